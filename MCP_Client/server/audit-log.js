@@ -0,0 +1,147 @@
+// Audit log of tool calls: one JSON line per call in navisworks-audit.jsonl,
+//
+//   {"ts":"…","tool":"apply_selection","args":{…},"instance":"default","duration_ms":42,
+//    "rpc_calls":1,"query_ms":17,"result_bytes":913,"error":null}
+//
+// in NAVISWORKS_AUDIT_LOG_DIR, else in the export directory. When the file
+// reaches NAVISWORKS_AUDIT_LOG_MAX_BYTES it is renamed to navisworks-audit.1.jsonl
+// (older files move up to .2, .3, …) and a new one is started.
+// NAVISWORKS_AUDIT_LOG=false turns the log off.
+
+import { appendFile, mkdir, readFile, rename, rm, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { exportDir } from './item-export.js';
+import { envFlag } from './tool-policy.js';
+
+const LOG_BASE = 'navisworks-audit';
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 3;
+const MAX_ARRAY_ENTRIES = 20;
+const MAX_STRING_LENGTH = 500;
+
+
+function envMaxBytes() {
+    const n = Number(process.env.NAVISWORKS_AUDIT_LOG_MAX_BYTES);
+    return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_BYTES;
+}
+
+
+// Long lists (e.g. thousands of canonical_ids) and strings are shortened so one call stays one short line.
+export function compactArgs(value) {
+    if (Array.isArray(value)) {
+        const kept = value.slice(0, MAX_ARRAY_ENTRIES).map(compactArgs);
+        return value.length > MAX_ARRAY_ENTRIES ? [...kept, `… ${value.length - MAX_ARRAY_ENTRIES} more`] : kept;
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, compactArgs(v)]));
+    }
+    if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) return `${value.slice(0, MAX_STRING_LENGTH)}…`;
+    return value;
+}
+
+
+export class AuditLog {
+    constructor({
+        enabled = envFlag(process.env.NAVISWORKS_AUDIT_LOG, true),
+        dir,
+        maxBytes = envMaxBytes(),
+        maxFiles = DEFAULT_MAX_FILES,
+    } = {}) {
+        this.enabled = enabled;
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.size = null;
+        this.sizeOf = null;
+        this.writing = Promise.resolve();
+        this.failed = false;
+    }
+
+
+    // Looked up on use, like the export directory.
+    get directory() {
+        return this.dir ?? (process.env.NAVISWORKS_AUDIT_LOG_DIR || exportDir());
+    }
+
+
+    // The current file first, then the rotated ones from newest to oldest.
+    files(dir = this.directory) {
+        return Array.from({ length: this.maxFiles + 1 }, (_, i) => join(dir, i ? `${LOG_BASE}.${i}.jsonl` : `${LOG_BASE}.jsonl`));
+    }
+
+
+    /** Appends one entry; writes are serialized and never fail the tool call. */
+    record(entry) {
+        if (!this.enabled) return this.writing;
+        const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+        const dir = this.directory;
+
+        this.writing = this.writing.then(async () => {
+            const [file] = this.files(dir);
+            await mkdir(dir, { recursive: true });
+            if (this.size === null || this.sizeOf !== file) {
+                try {
+                    this.size = (await stat(file)).size;
+                } catch {
+                    this.size = 0;
+                }
+                this.sizeOf = file;
+            }
+            if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) await this.rotate(dir);
+            await appendFile(file, line, 'utf8');
+            this.size += Buffer.byteLength(line);
+            this.failed = false;
+        }).catch((error) => {
+            // One message per failure streak, not one per call.
+            if (!this.failed) console.error(`[audit] could not write ${dir}: ${error.message}`);
+            this.failed = true;
+            this.size = null;
+        });
+        return this.writing;
+    }
+
+
+    async rotate(dir) {
+        const files = this.files(dir);
+        await rm(files[files.length - 1], { force: true });
+        for (let i = files.length - 2; i >= 0; i--) {
+            await rename(files[i], files[i + 1]).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+        this.size = 0;
+    }
+
+
+    /**
+     * The most recent entries, newest first, read across the rotated files.
+     * Options: limit, tool, errorsOnly, since (milliseconds since the epoch).
+     */
+    async recent({ limit = 50, tool, errorsOnly = false, since } = {}) {
+        await this.writing;
+        const entries = [];
+        for (const file of this.files()) {
+            let text;
+            try {
+                text = await readFile(file, 'utf8');
+            } catch {
+                continue;
+            }
+            const lines = text.split('\n').filter(Boolean).reverse();
+            for (const line of lines) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch {
+                    continue;
+                }
+                if (since !== undefined && Date.parse(entry.ts) < since) return entries;
+                if (tool && entry.tool !== tool) continue;
+                if (errorsOnly && !entry.error) continue;
+                entries.push(entry);
+                if (entries.length >= limit) return entries;
+            }
+        }
+        return entries;
+    }
+}
@@ -0,0 +1,200 @@
+// Clash matrix runs: planning the scope pairs, and the BCF 2.1 and HTML reports
+// written from the results of run_simple_clash.
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { randomUUID } from 'node:crypto';
+import { xmlEscape } from './item-export.js';
+import { createZip } from './zip.js';
+
+const IFC_GUID_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_$';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+
+/**
+ * Turns the arguments of run_clash_matrix into the list of tests to run.
+ * `pairs` entries name their scopes directly or by a key of `groups`; without
+ * `pairs`, every combination of two groups is tested (with `includeSelf` also
+ * each group against itself).
+ */
+export function planClashMatrix({ groups = {}, pairs, includeSelf = false, tolerance_m = 0.01 }) {
+    const names = Object.keys(groups);
+    const isGroup = name => Object.hasOwn(groups, name);
+    const run = (a, b, tolerance, name) => ({
+        name: name || `${a} vs ${b}`,
+        ...(isGroup(a) ? { groupA: a } : {}),
+        ...(isGroup(b) ? { groupB: b } : {}),
+        scopeA: isGroup(a) ? groups[a] : a,
+        scopeB: isGroup(b) ? groups[b] : b,
+        tolerance_m: tolerance ?? tolerance_m,
+    });
+
+    if (Array.isArray(pairs) && pairs.length > 0) {
+        return pairs.map(p => run(p.scopeA.trim(), p.scopeB.trim(), p.tolerance_m, p.name?.trim()));
+    }
+
+    const runs = [];
+    names.forEach((a, i) => {
+        names.slice(includeSelf ? i : i + 1).forEach(b => runs.push(run(a, b)));
+    });
+    if (runs.length === 0) {
+        throw new McpError(ErrorCode.InvalidParams, 'Invalid arguments: pairs or at least two groups are required');
+    }
+    return runs;
+}
+
+
+// Clash counts as { groupA: { groupB: results } } for tests between groups.
+export function clashMatrix(tests) {
+    const matrix = {};
+    for (const test of tests) {
+        if (!test.groupA || !test.groupB) continue;
+        matrix[test.groupA] ??= {};
+        matrix[test.groupA][test.groupB] = (matrix[test.groupA][test.groupB] ?? 0) + test.results;
+    }
+    return matrix;
+}
+
+
+/** The 22-character IFC GlobalId of a GUID, or null if `id` is not a GUID. */
+export function ifcGuid(id) {
+    const hex = String(id ?? '').replace(/^\{|\}$/g, '');
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(hex)) return null;
+
+    let n = BigInt(`0x${hex.replace(/-/g, '')}`);
+    const chars = new Array(22);
+    for (let i = 21; i >= 0; i--) {
+        chars[i] = IFC_GUID_CHARS[Number(n & 63n)];
+        n >>= 6n;
+    }
+    return chars.join('');
+}
+
+
+function component(canonicalId) {
+    const guid = ifcGuid(canonicalId);
+    return `<Component${guid ? ` IfcGuid="${guid}"` : ''}>` +
+        '<OriginatingSystem>Navisworks</OriginatingSystem>' +
+        `<AuthoringToolId>${xmlEscape(canonicalId)}</AuthoringToolId>` +
+        '</Component>';
+}
+
+
+function topicFiles(test, pair, { date, author, uuid }) {
+    const topicGuid = uuid();
+    const viewpointGuid = uuid();
+    const title = `${pair.name || 'Clash'}: ${test.name}`;
+    const description = [
+        `Clash test: ${test.test_name}`,
+        `Scope A: ${test.scopeA}`,
+        `Scope B: ${test.scopeB}`,
+        `Tolerance: ${test.tolerance_m} m`,
+        `Distance: ${pair.distance ?? ''}`,
+        `Item A: ${pair.a}`,
+        `Item B: ${pair.b}`,
+    ].join('\n');
+
+    const markup = XML_HEADER +
+        '<Markup xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">' +
+        `<Topic Guid="${topicGuid}" TopicType="Clash" TopicStatus="Open">` +
+        `<Title>${xmlEscape(title)}</Title>` +
+        `<Labels>${xmlEscape(test.name)}</Labels>` +
+        `<CreationDate>${date}</CreationDate>` +
+        `<CreationAuthor>${xmlEscape(author)}</CreationAuthor>` +
+        `<Description>${xmlEscape(description)}</Description>` +
+        '</Topic>' +
+        `<Viewpoints Guid="${viewpointGuid}"><Viewpoint>viewpoint.bcfv</Viewpoint></Viewpoints>` +
+        '</Markup>';
+
+    const viewpoint = XML_HEADER +
+        `<VisualizationInfo Guid="${viewpointGuid}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">` +
+        '<Components>' +
+        `<Selection>${[pair.a, pair.b].filter(Boolean).map(component).join('')}</Selection>` +
+        '<Visibility DefaultVisibility="true"/>' +
+        '</Components>' +
+        '</VisualizationInfo>';
+
+    return [
+        { name: `${topicGuid}/markup.bcf`, data: markup },
+        { name: `${topicGuid}/viewpoint.bcfv`, data: viewpoint },
+    ];
+}
+
+
+/**
+ * BCF 2.1 archive with one topic per clash pair. The viewpoint selects both
+ * items by IfcGuid (when the canonical ID is a GUID) and by AuthoringToolId.
+ * Returns { data: Buffer, topics }.
+ */
+export function createBcf(tests, { title = 'Clash matrix', date = new Date(), author = 'navisworks-mcp', uuid = randomUUID } = {}) {
+    const options = { date: date.toISOString(), author, uuid };
+    const entries = [
+        {
+            name: 'bcf.version',
+            data: XML_HEADER +
+                '<Version VersionId="2.1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">' +
+                '<DetailedVersion>2.1</DetailedVersion></Version>',
+        },
+        {
+            name: 'project.bcfp',
+            data: XML_HEADER +
+                '<ProjectExtension xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">' +
+                `<Project ProjectId="${uuid()}"><Name>${xmlEscape(title)}</Name></Project>` +
+                '<ExtensionSchema></ExtensionSchema></ProjectExtension>',
+        },
+    ];
+
+    let topics = 0;
+    for (const test of tests) {
+        for (const pair of test.pairs ?? []) {
+            entries.push(...topicFiles(test, pair, options));
+            topics++;
+        }
+    }
+    return { data: createZip(entries, { date }), topics };
+}
+
+
+function htmlTable(headers, rows) {
+    const head = headers.map(h => `<th>${xmlEscape(h)}</th>`).join('');
+    const body = rows.map(r => `<tr>${r.map(c => `<td>${xmlEscape(c ?? '')}</td>`).join('')}</tr>`).join('\n');
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+
+/** Self-contained HTML summary: group matrix, one row per test and the pairs of each test. */
+export function clashReportHtml(tests, { title = 'Clash matrix', date = new Date(), matrix = {} } = {}) {
+    const total = tests.reduce((sum, t) => sum + t.results, 0);
+    const failed = tests.filter(t => !t.success).length;
+    const groups = [...new Set(Object.entries(matrix).flatMap(([a, row]) => [a, ...Object.keys(row)]))];
+
+    const sections = [
+        `<h1>${xmlEscape(title)}</h1>`,
+        `<p>${xmlEscape(date.toISOString())} · ${tests.length} tests · ${total} clashes${failed ? ` · ${failed} failed` : ''}</p>`,
+    ];
+
+    if (groups.length > 0) {
+        sections.push('<h2>Matrix</h2>', htmlTable(['', ...groups], groups.map(a => [a, ...groups.map(b => {
+            const count = matrix[a]?.[b] ?? matrix[b]?.[a];
+            return count === undefined ? '' : String(count);
+        })])));
+    }
+
+    sections.push('<h2>Tests</h2>', htmlTable(
+        ['Test', 'Scope A', 'Scope B', 'Tolerance (m)', 'Clashes', 'Status'],
+        tests.map(t => [t.name, t.scopeA, t.scopeB, String(t.tolerance_m), String(t.results), t.success ? 'ok' : t.message]),
+    ));
+
+    sections.push('<h2>Clashes</h2>');
+    for (const test of tests) {
+        const pairs = test.pairs ?? [];
+        sections.push(`<details><summary>${xmlEscape(test.name)} (${pairs.length})</summary>`,
+            htmlTable(['Clash', 'Item A', 'Item B', 'Distance'], pairs.map(p => [p.name, p.a, p.b, String(p.distance ?? '')])),
+            '</details>');
+    }
+
+    return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+        `<title>${xmlEscape(title)}</title>\n` +
+        '<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin:.5em 0 1.5em}' +
+        'th,td{border:1px solid #ccc;padding:.25em .6em;text-align:left}th{background:#f3f3f3}td:nth-child(n+2){font-variant-numeric:tabular-nums}</style>\n' +
+        `</head>\n<body>\n${sections.join('\n')}\n</body>\n</html>\n`;
+}
@@ -0,0 +1,244 @@
+// Serves the client over HTTP so several MCP clients on the machine can share
+// one set of Navisworks connections:
+//
+//   POST/GET/DELETE /mcp          Streamable HTTP (one session per initialize)
+//   GET /sse, POST /messages      the older HTTP+SSE transport for clients without Streamable HTTP
+//
+// Every session gets its own MCP server from NavisworksMCPServer.createServer(),
+// so tools behave exactly as over stdio. With a token every request needs
+// `Authorization: Bearer <token>`; requests from browsers (with an Origin header)
+// are only accepted from the configured origins, and the Host header must name
+// a loopback address, the listening host or a configured host, so a page on a
+// rebound DNS name cannot reach the server.
+
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+
+export const DEFAULT_HTTP_PORT = 3100;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+const WILDCARD_HOSTS = new Set(['0.0.0.0', '::']);
+
+
+function option(argv, name) {
+    const i = argv.indexOf(name);
+    return i >= 0 ? argv[i + 1] : undefined;
+}
+
+
+/**
+ * Transport settings from the command line and the environment:
+ * `--http` or NAVISWORKS_MCP_TRANSPORT=http selects HTTP; `--port` /
+ * NAVISWORKS_MCP_HTTP_PORT, `--host` / NAVISWORKS_MCP_HTTP_HOST,
+ * NAVISWORKS_MCP_TOKEN, NAVISWORKS_MCP_ALLOWED_ORIGINS and
+ * NAVISWORKS_MCP_ALLOWED_HOSTS configure it.
+ */
+export function transportConfig(argv = process.argv.slice(2), env = process.env) {
+    const transport = argv.includes('--http') ? 'http' : (env.NAVISWORKS_MCP_TRANSPORT?.trim().toLowerCase() || 'stdio');
+    if (transport !== 'stdio' && transport !== 'http') {
+        throw new Error(`NAVISWORKS_MCP_TRANSPORT must be stdio or http, got "${transport}"`);
+    }
+
+    const portText = option(argv, '--port') ?? env.NAVISWORKS_MCP_HTTP_PORT?.trim() ?? '';
+    const port = portText === '' ? DEFAULT_HTTP_PORT : Number(portText);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid HTTP port "${portText}"`);
+
+    const host = option(argv, '--host') ?? (env.NAVISWORKS_MCP_HTTP_HOST?.trim() || DEFAULT_HOST);
+    const token = env.NAVISWORKS_MCP_TOKEN?.trim() || null;
+    if (transport === 'http' && !token && !LOOPBACK_HOSTS.has(host)) {
+        throw new Error(`Serving on ${host} needs NAVISWORKS_MCP_TOKEN; without a token only loopback addresses are allowed`);
+    }
+
+    const allowedOrigins = (env.NAVISWORKS_MCP_ALLOWED_ORIGINS ?? '').split(/[,;\s]+/).map(o => o.replace(/\/+$/, '')).filter(Boolean);
+    const allowedHosts = (env.NAVISWORKS_MCP_ALLOWED_HOSTS ?? '').split(/[,;\s]+/).filter(Boolean);
+    return { transport, host, port, token, allowedOrigins, allowedHosts };
+}
+
+
+// Host name of a Host header without the port, or of a configured host; IPv6 addresses without brackets.
+function hostName(header) {
+    const text = !header.startsWith('[') && header.split(':').length > 2 ? `[${header}]` : header;
+    try {
+        return new URL(`http://${text}`).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+
+function digest(text) {
+    return createHash('sha256').update(text).digest();
+}
+
+
+function sendError(res, status, message, headers = {}) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw Object.assign(new Error('Request body too large'), { status: 413 });
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw Object.assign(new Error('Parse error: the body is not valid JSON'), { status: 400 });
+    }
+}
+
+
+/**
+ * Starts the HTTP server for `nav` (a NavisworksMCPServer). Resolves to
+ * { url, sessions, close() } once it listens; `sessions` maps session ids to
+ * { kind: 'streamable' | 'sse', transport, server }.
+ */
+export async function startHttpServer(nav, { host = DEFAULT_HOST, port = DEFAULT_HTTP_PORT, token = null, allowedOrigins = [], allowedHosts = [] } = {}) {
+    const sessions = new Map();
+    const expected = token ? digest(token) : null;
+    const hosts = new Set([...LOOPBACK_HOSTS, ...(WILDCARD_HOSTS.has(host) ? [] : [host]), ...allowedHosts].map(hostName));
+
+    const hostAllowed = (req) => {
+        const name = hostName(req.headers.host ?? '');
+        return name !== null && hosts.has(name);
+    };
+
+    const authorized = (req) => {
+        if (!expected) return true;
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '');
+        return !!match && timingSafeEqual(digest(match[1].trim()), expected);
+    };
+
+    // Clients outside a browser send no Origin; browser pages only from the listed origins.
+    const originAllowed = (req) => {
+        const origin = req.headers.origin;
+        return origin === undefined || allowedOrigins.includes(origin.replace(/\/+$/, ''));
+    };
+
+    const openSession = async (kind, transport) => {
+        const { server } = nav.createServer();
+        transport.onclose = () => {
+            if (transport.sessionId) sessions.delete(transport.sessionId);
+        };
+        await server.connect(transport);
+        return { kind, transport, server };
+    };
+
+    // Closing the server closes its transport; the server leaves nav.servers either way.
+    const discardSession = async ({ transport, server }) => {
+        if (transport.sessionId) sessions.delete(transport.sessionId);
+        await server.close().catch(() => { });
+        nav.servers.delete(server);
+    };
+
+    const handleMcp = async (req, res) => {
+        const sessionId = req.headers['mcp-session-id'];
+        const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+        const session = sessionId ? sessions.get(sessionId) : undefined;
+
+        if (session?.kind === 'streamable') {
+            await session.transport.handleRequest(req, res, body);
+            return;
+        }
+        if (sessionId) {
+            sendError(res, 404, 'Session not found');
+            return;
+        }
+
+        const initialize = Array.isArray(body) ? body.some(m => isInitializeRequest(m)) : isInitializeRequest(body);
+        if (req.method !== 'POST' || !initialize) {
+            sendError(res, 400, 'Bad Request: no valid session ID; start with an initialize request');
+            return;
+        }
+
+        let opened;
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => { sessions.set(id, opened); },
+        });
+        opened = await openSession('streamable', transport);
+        try {
+            await transport.handleRequest(req, res, body);
+        } catch (error) {
+            await discardSession(opened);
+            throw error;
+        }
+        // A rejected initialize request leaves a server no later request can reach.
+        if (sessions.get(transport.sessionId) !== opened) await discardSession(opened);
+    };
+
+    const handleSse = async (req, res) => {
+        const transport = new SSEServerTransport('/messages', res);
+        const session = await openSession('sse', transport);
+        sessions.set(transport.sessionId, session);
+    };
+
+    const handleMessages = async (req, res, url) => {
+        const session = sessions.get(url.searchParams.get('sessionId') ?? '');
+        if (session?.kind !== 'sse') {
+            sendError(res, 404, 'Session not found');
+            return;
+        }
+        await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+    };
+
+    const httpServer = createServer((req, res) => {
+        const url = new URL(req.url ?? '/', 'http://localhost');
+
+        const handle = async () => {
+            if (!hostAllowed(req)) {
+                sendError(res, 403, `Host ${req.headers.host ?? '(none)'} is not allowed`);
+                return;
+            }
+            if (!originAllowed(req)) {
+                sendError(res, 403, `Origin ${req.headers.origin} is not allowed`);
+                return;
+            }
+            if (!authorized(req)) {
+                sendError(res, 401, 'Unauthorized: a valid bearer token is required', { 'WWW-Authenticate': 'Bearer' });
+                return;
+            }
+
+            if (url.pathname === '/mcp' && ['POST', 'GET', 'DELETE'].includes(req.method)) return handleMcp(req, res);
+            if (url.pathname === '/sse' && req.method === 'GET') return handleSse(req, res);
+            if (url.pathname === '/messages' && req.method === 'POST') return handleMessages(req, res, url);
+            sendError(res, 404, `Not found: ${req.method} ${url.pathname}`);
+        };
+
+        handle().catch((error) => {
+            if (!error.status) console.error(`[http] ${req.method} ${url.pathname}: ${error.message}`);
+            sendError(res, error.status ?? 500, error.status ? error.message : 'Internal server error');
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, () => {
+            httpServer.off('error', reject);
+            resolve();
+        });
+    });
+
+    const address = httpServer.address();
+    const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return {
+        url: `http://${urlHost}:${address.port}`,
+        sessions,
+        async close() {
+            await Promise.all([...sessions.values()].map(s => s.server.close().catch(() => { })));
+            sessions.clear();
+            httpServer.closeAllConnections();
+            await new Promise(resolve => httpServer.close(() => resolve()));
+        },
+    };
+}
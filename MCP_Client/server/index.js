@@ -8,45 +8,219 @@ import {
     ListToolsRequestSchema,
     McpError,
 } from '@modelcontextprotocol/sdk/types.js';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { AuditLog, compactArgs } from './audit-log.js';
+import { clashMatrix, clashReportHtml, createBcf, planClashMatrix } from './clash-matrix.js';
+import { startHttpServer, transportConfig } from './http-transport.js';
+import { exportDir, formatOf, safeFileName, writeExport, writeNewFile } from './item-export.js';
+import { buildSnapshot, diffReport, diffSnapshots, loadSnapshot, snapshotsDir } from './model-snapshots.js';
+import { instanceConfig, NavisworksInstance } from './navisworks-instances.js';
+import { evaluateQuery, parseQuery, queryProperties } from './navisworks-query.js';
+import { countBy, PAGE_OUTPUT_PROPERTIES, PAGED_TOOLS, PAGING_ARGUMENTS, paginate } from './paging.js';
+import { PromptManager } from './prompts.js';
+import { auditRule, compileRules, coverageByModel, loadRulesFile } from './property-audit.js';
+import { ResourceManager } from './resources.js';
+import { cacheKey, NO_CACHE_ARGUMENT, UNCACHED_METHODS } from './response-cache.js';
+import { validateArguments } from './schema.js';
+import { combineSets, normalizeCanonicalId, SelectionSetStore } from './selection-sets.js';
+import { BUILTIN_TOOLS, CLIENT_TOOLS, GENERIC_OUTPUT_SCHEMA, mergeToolCatalog, toMcpTool } from './tool-catalog.js';
+import { applyToolPolicy, toolNotAllowed, toolPolicy } from './tool-policy.js';
+
+// Tools that do not talk to one Navisworks instance and take no `instance` argument.
+const INSTANCE_FREE_TOOLS = new Set(['list_instances', 'get_audit_log']);
+
+
+
+export class NavisworksMCPServer {
+    constructor() {
+        const { instances, defaultName } = instanceConfig();
+        this.instances = new Map(instances.map(({ name, url }) => [name, new NavisworksInstance({
+            name,
+            url,
+            isRetryable: (method) => this.isRetryableMethod(method),
+        })]));
+        this.defaultInstanceName = defaultName;
+        this.requestContext = new AsyncLocalStorage();
+        this.healthTimer = null;
+        this.tools = BUILTIN_TOOLS;
+        this.toolSource = null;
+        this.catalogLoading = null;
+        this.prompts = new PromptManager();
+        this.selectionSets = new SelectionSetStore();
+        this.policy = toolPolicy();
+        this.auditLog = new AuditLog();
+        this.servers = new Set();
+
+        // The server of the stdio connection (and of the tests).
+        ({ server: this.server, resources: this.resources } = this.createServer());
+    }
 
 
-
-class NavisworksMCPServer {
-    constructor() {
-        this.server = new Server(
+    /**
+     * An MCP server with all handlers of this client. Every connection (stdio or
+     * one HTTP session) gets its own; instances, caches and the tool catalog are shared.
+     */
+    createServer() {
+        const server = new Server(
             { name: 'waabe-navisworks-mcp', version: '1.0.0' },
-            { capabilities: { tools: {} } }
+            { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {}, logging: {} } }
         );
+        this.setupToolHandlers(server);
+        const resources = new ResourceManager(this);
+        resources.setupHandlers(server);
+        this.prompts.setupHandlers(server);
+
+        this.servers.add(server);
+        server.onclose = () => {
+            resources.stopPolling();
+            this.servers.delete(server);
+        };
+        return { server, resources };
+    }
+
+
+    /**
+     * The instance called `name`; without a name the one of the current tool call,
+     * else the default instance. Unknown names are an InvalidParams error.
+     */
+    instance(name = this.requestContext.getStore()?.instance) {
+        const instance = this.instances.get(name ?? this.defaultInstanceName);
+        if (!instance) {
+            throw new McpError(ErrorCode.InvalidParams,
+                `Invalid arguments: unknown instance ${name}; configured: ${[...this.instances.keys()].join(', ')}`);
+        }
+        return instance;
+    }
+
 
-        this.navisworksApiUrl = this.getNavisworksApiUrl();
-        this.setupToolHandlers();
+    // Connection, cache and health of the default instance.
+    get rpcClient() {
+        return this.instance(this.defaultInstanceName).rpcClient;
     }
 
+    get cache() {
+        return this.instance(this.defaultInstanceName).cache;
+    }
 
-    getNavisworksApiUrl() {
-        const port = process.env.NAVISWORKS_API_PORT || '1234';
-        return `http://localhost:${port}`;
+    get health() {
+        return this.instance(this.defaultInstanceName).health;
     }
 
+    get navisworksApiUrl() {
+        return this.rpcClient.baseUrl;
+    }
 
-    async rpc(method, params = {}) {
-        const body = { id: String(Date.now()), method, params };
-        const resp = await fetch(`${this.navisworksApiUrl}/rpc`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body),
-        });
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
-        const data = await resp.json();
-        if (!data || typeof data.ok !== 'boolean') {
-            throw new Error('Ungültige RPC-Antwort (kein ok-Feld).');
+    set navisworksApiUrl(url) {
+        this.rpcClient.baseUrl = url;
+    }
+
+
+    isRetryableMethod(method) {
+        if (method === 'describe_tools' || method === 'ping') return true;
+        const tool = this.tools.find(t => t.name === method);
+        return !!tool && !tool.mutating;
+    }
+
+
+    isCacheableMethod(method, cache = this.cache) {
+        if (!cache.enabled || UNCACHED_METHODS.has(method)) return false;
+        const tool = this.tools.find(t => t.name === method);
+        return !!tool && !tool.mutating;
+    }
+
+
+    // Revision of the open document: meta.model_revision, or the loaded models while the add-in reports "n/a".
+    documentRevision(overviewEnvelope) {
+        const revision = overviewEnvelope?.meta?.model_revision;
+        if (revision && revision !== 'n/a') return `rev:${revision}`;
+        const models = this.shapeModelOverview(overviewEnvelope?.data).Models;
+        return `models:${JSON.stringify(models.map(m => [m.canonical_id, m.name, m.parent_including_self]))}`;
+    }
+
+
+    observeRevision(method, envelope, cache = this.cache) {
+        if (method === 'get_model_overview') {
+            cache.setRevision(this.documentRevision(envelope));
+        } else {
+            const revision = envelope?.meta?.model_revision;
+            if (revision && revision !== 'n/a') cache.setRevision(`rev:${revision}`);
+        }
+        return envelope;
+    }
+
+
+    // Options: timeoutMs, signal, noCache, instance. Inside an MCP request the request's
+    // abort signal, noCache and instance arguments are used.
+    async rpcEnvelope(method, params = {}, options = {}) {
+        const context = this.requestContext.getStore();
+        const signal = options.signal ?? context?.signal;
+        const { name, rpcClient, cache } = this.instance(options.instance ?? context?.instance);
+        const call = async () => {
+            const envelope = await rpcClient.call(method, params, { timeoutMs: options.timeoutMs, signal });
+            // Add-in time of the tool call, for the audit log.
+            if (context?.stats) {
+                context.stats.rpcCalls++;
+                if (Number.isFinite(envelope?.meta?.query_ms)) context.stats.queryMs = (context.stats.queryMs ?? 0) + envelope.meta.query_ms;
+            }
+            return this.observeRevision(method, envelope, cache);
+        };
+
+        if (!this.isCacheableMethod(method, cache)) return call();
+
+        // A cached answer is only served after confirming the document has not changed.
+        if (!cache.revisionIsFresh()) await this.rpcEnvelope('get_model_overview', {}, { signal, instance: name });
+
+        const key = cacheKey(method, params);
+        if (!(options.noCache ?? context?.noCache)) {
+            const cached = cache.get(key);
+            if (cached) return cached;
         }
-        if (!data.ok) {
-            const code = data?.error?.code ?? 'UNKNOWN';
-            const msg = data?.error?.msg ?? 'Unbekannter Fehler';
-            throw new McpError(ErrorCode.InternalError, `RPC-Fehler ${code}: ${msg}`);
+
+        const envelope = await call();
+        cache.set(key, method, envelope);
+        return envelope;
+    }
+
+
+    async rpc(method, params = {}, options = {}) {
+        const envelope = await this.rpcEnvelope(method, params, options);
+        return envelope.data;
+    }
+
+
+    async checkHealth(instance = this.instance(this.defaultInstanceName)) {
+        const previous = instance.health?.state;
+        instance.health = { instance: instance.name, ...await instance.rpcClient.checkHealth() };
+
+        if (instance.health.state !== previous) {
+            const level = instance.health.state === 'ok' ? 'info' : 'error';
+            console.error(`[navisworks:${instance.name}] ${instance.health.state}: ${instance.health.message}`);
+            // Only reaches servers with a connected client.
+            for (const server of this.servers) {
+                server.sendLoggingMessage({ level, logger: 'navisworks', data: instance.health }).catch(() => { });
+            }
         }
-        return data.data;
+        return instance.health;
+    }
+
+
+    checkAllHealth() {
+        return Promise.all([...this.instances.values()].map(instance => this.checkHealth(instance)));
+    }
+
+
+    startHealthChecks(intervalMs = Number(process.env.NAVISWORKS_HEALTH_INTERVAL_MS ?? 30000)) {
+        if (this.healthTimer || !(intervalMs > 0)) return;
+        this.healthTimer = setInterval(() => { this.checkAllHealth().catch(() => { }); }, intervalMs);
+        this.healthTimer.unref?.();
+    }
+
+
+    stopHealthChecks() {
+        if (this.healthTimer) clearInterval(this.healthTimer);
+        this.healthTimer = null;
     }
 
 
@@ -68,222 +242,220 @@ class NavisworksMCPServer {
     }
 
 
-    setupToolHandlers() {
+    // Concurrent callers (startup and an early tools/list) share one describe_tools request.
+    loadToolCatalog() {
+        this.catalogLoading ??= (async () => {
+            try {
+                const catalog = await this.rpc('describe_tools', {});
+                this.tools = mergeToolCatalog(catalog?.tools, BUILTIN_TOOLS);
+                this.toolSource = 'server';
+            } catch (error) {
+                this.tools = BUILTIN_TOOLS;
+                // An add-in without `describe_tools` answers NVX_NOT_FOUND: keep the built-ins.
+                // Anything else (add-in not running yet) is retried on the next tools/list.
+                this.toolSource = error?.data?.rpcCode === 'NVX_NOT_FOUND' ? 'builtin' : null;
+            }
+            return this.tools;
+        })().finally(() => { this.catalogLoading = null; });
+        return this.catalogLoading;
+    }
+
+
+    async getTools() {
+        if (!this.toolSource) await this.loadToolCatalog();
+        return [...this.tools, ...CLIENT_TOOLS.filter(c => !this.tools.some(t => t.name === c.name))];
+    }
+
+
+    // The tools as read-only mode and the allowlist leave them.
+    async availableTools() {
+        return (await this.getTools()).map(tool => applyToolPolicy(tool, this.policy)).filter(Boolean);
+    }
+
+
+    // Paged tools additionally accept `cursor` and `pageSize`, cacheable tools `noCache`,
+    // all but list_instances and get_audit_log `instance`. Arguments not in the schema are rejected.
+    toolInputSchema(tool) {
+        const extra = {
+            ...(PAGED_TOOLS.has(tool.name) ? PAGING_ARGUMENTS : {}),
+            ...(this.isCacheableMethod(tool.name) ? { noCache: NO_CACHE_ARGUMENT } : {}),
+            ...(!INSTANCE_FREE_TOOLS.has(tool.name) ? { instance: this.instanceArgument() } : {}),
+        };
+        return {
+            additionalProperties: false,
+            ...tool.inputSchema,
+            properties: { ...tool.inputSchema?.properties, ...extra },
+        };
+    }
+
+
+    instanceArgument() {
+        return {
+            type: 'string',
+            enum: [...this.instances.keys()],
+            description: `Navisworks instance to ask (default: ${this.defaultInstanceName}); see list_instances`,
+        };
+    }
+
+
+    // Results of paged tools additionally carry `page` and `summary`.
+    toolOutputSchema(tool) {
+        const schema = tool.outputSchema ?? GENERIC_OUTPUT_SCHEMA;
+        if (!PAGED_TOOLS.has(tool.name)) return schema;
+        return {
+            ...schema,
+            properties: { ...schema.properties, ...PAGE_OUTPUT_PROPERTIES },
+            required: [...(schema.required ?? []), 'page'],
+        };
+    }
+
+
+    // Tool result with the payload as structuredContent and, for clients without
+    // structured output support, as a JSON block.
+    // structuredContent has to be an object; other results (null, lists, values) are wrapped as { result }.
+    jsonResult(payload) {
+        const structured = payload !== null && typeof payload === 'object' && !Array.isArray(payload) ? payload : { result: payload };
+        return {
+            content: [{ type: 'text', text: '```json\n' + JSON.stringify(structured, null, 2) + '\n```' }],
+            structuredContent: structured,
+        };
+    }
+
+
+    toolHandlers() {
+        return {
+            get_model_overview: (args) => this.t_model_overview(args),
+            get_units_and_tolerances: () => this.t_simple('get_units_and_tolerances'),
+            get_property_distribution_by_category: (args) => this.t_property_distribution_by_category(args),
+
+            list_items_to_property: (args) => this.t_list_items_to_property({
+                ...this.listItemsQuery(args),
+                cursor: args?.cursor,
+                pageSize: args?.pageSize,
+                instance: args?.instance,
+            }),
+
+            get_element_count_by_category: (args) => this.t_count_by_category(args.category.trim(), this.normalizeScope(args.scope)),
+
+            list_properties_for_item: (args) => this.t_list_properties_for_item(args.canonical_id.trim(), args),
+
+            clear_selection: () => this.t_simple('clear_selection'),
+            get_current_selection_snapshot: (args) => this.t_selection_snapshot(args),
+
+            apply_selection: (args) => this.t_apply_selection(args.canonical_id, args.keepExistingSelection),
+
+            run_simple_clash: (args) => {
+                const test_name = args.test_name.trim() || 'MCP API Test';
+                return this.t_run_simple_clash(args.scopeA, args.scopeB, args.tolerance_m, test_name);
+            },
+
+            query_items: (args) => this.t_query_items(args),
+
+            audit_properties: (args) => this.t_audit_properties(args),
+            run_clash_matrix: (args) => this.t_run_clash_matrix(args),
+
+            export_items: (args) => this.t_export_items(args),
+
+            snapshot_model: (args) => this.t_snapshot_model(args.name?.trim() ?? ''),
+            diff_snapshots: (args) => this.t_diff_snapshots(args.from.trim(), args.to?.trim()),
+
+            save_selection_set: (args) => this.t_save_selection_set(args),
+            list_selection_sets: () => this.t_list_selection_sets(),
+            delete_selection_set: (args) => this.t_delete_selection_set(args.name.trim()),
+            combine_selection_sets: (args) => this.t_combine_selection_sets(args),
+            apply_selection_set: (args) => this.t_apply_selection_set(args),
+
+            list_instances: () => this.t_list_instances(),
+
+            cache_status: () => this.t_cache_status(),
+            cache_clear: (args) => this.t_cache_clear(args.method?.trim() ?? ''),
+
+            get_audit_log: (args) => this.t_get_audit_log(args),
+        };
+    }
+
+
+    setupToolHandlers(server) {
+        const handlers = this.toolHandlers();
 
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+        server.setRequestHandler(ListToolsRequestSchema, async () => {
+            const tools = await this.availableTools();
             return {
-                tools: [
-                    {
-                        name: 'get_model_overview',
-                        description: 'Provides an overview of the loaded models.',
-                        inputSchema: { type: 'object', properties: {} }
-                    },
-
-                    {
-                        name: 'get_element_count_by_category',
-                        description: 'Counts elements of a category. scope="all" (default) or list of model canonical_id / model name (comma, semicolon, newline).',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                category: { type: 'string', description: 'e.g. IfcSpace, Doors, Windows' },
-                                scope: { type: 'string', description: '"all" or list of IDs/names, separated by , ; or newlines', default: 'all' }
-                            },
-                            required: ['category']
-                        }
-                    },
-
-                    {
-                        name: 'get_property_distribution_by_category',
-                        description: 'Overview of all models with property categories and counts.',
-                        inputSchema: { type: 'object', properties: {} },
-                        output_schema: {
-                            type: 'object',
-                            properties: {
-                                category: { type: 'string' },
-                                count: { type: 'integer' },
-                                scope: { type: 'string' },
-                                success: { type: 'boolean' },
-                                message: { type: 'string' },
-                                models: {
-                                    type: 'array',
-                                    items: {
-                                        type: 'object',
-                                        properties: {
-                                            modelId: { type: 'string' },
-                                            categories: {
-                                                type: 'array',
-                                                items: {
-                                                    type: 'object',
-                                                    properties: {
-                                                        category: { type: 'string' },
-                                                        properties: {
-                                                            type: 'array',
-                                                            items: {
-                                                                type: 'object',
-                                                                properties: {
-                                                                    property: { type: 'string' },
-                                                                    count: { type: 'integer' }
-                                                                },
-                                                                required: ['property', 'count']
-                                                            }
-                                                        }
-                                                    },
-                                                    required: ['category', 'properties']
-                                                }
-                                            }
-                                        },
-                                        required: ['modelId', 'categories']
-                                    }
-                                }
-                            },
-                            required: ['category', 'count', 'scope', 'success', 'models']
-                        }
-                    },
-
-                    {
-                        name: 'list_properties_for_item',
-                        description: 'Determines properties for an item.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: { canonical_id: { type: 'string' } },
-                            required: ['canonical_id']
-                        }
-                    },
-
-                    {
-                        name: 'list_items_to_property',
-                        description: 'Lists items by category/property; optional model and value filters (substring, >=, <=, regex). modelFilter and scope accept IDs or model names; multiple tokens via , ; \\n.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                category: { type: 'string' },
-                                property: { type: 'string' },
-                                scope: { type: 'string', description: '"all" or list of model canonical_id / model name', default: 'all' },
-                                modelFilter: {
-                                    oneOf: [
-                                        { type: 'string', description: 'A token or comma-separated list' },
-                                        { type: 'array', items: { type: 'string' }, description: 'List of tokens' }
-                                    ]
-                                },
-                                valueFilter: { type: 'string' },
-                                ignoreCase: { type: 'boolean', default: true },
-                                maxResults: { type: 'number' }
-                            },
-                            required: ['category', 'property']
-                        }
-                    },
-
-                    { name: 'clear_selection', description: 'Clears selection.', inputSchema: { type: 'object', properties: {} } },
-
-                    { name: 'get_current_selection_snapshot', description: 'Current selection as list.', inputSchema: { type: 'object', properties: {} } },
-
-                    {
-                        name: 'apply_selection',
-                        description: 'Sets selection. Input: canonical_id[].',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                canonical_id: { type: 'array', items: { type: 'string' } },
-                                keepExistingSelection: { type: 'boolean', default: true }
-                            },
-                            required: ['canonical_id']
-                        }
-                    },
-                    {
-                        name: 'run_simple_clash',
-                        description: 'Runs a simple hard clash between two scopes. Input: scopeA, scopeB, tolerance_m?, test_name?',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                scopeA: { type: 'string', description: '"all" or list of IDs/names (separated by , ; \\n)', default: 'all' },
-                                scopeB: { type: 'string', description: '"all" or list of IDs/names (separated by , ; \\n)', default: 'all' },
-                                tolerance_m: { type: 'number', description: 'Tolerance in meters', default: 0.01 },
-                                test_name: { type: 'string', description: 'Display name of the test', default: 'MCP API Test' }
-                            }
-                        }
-                    },
-                    { name: 'get_units_and_tolerances', description: 'Length/area/volume units + tolerances.', inputSchema: { type: 'object', properties: {} } },
-                ],
+                tools: tools.map(t => toMcpTool({ ...t, inputSchema: this.toolInputSchema(t), outputSchema: this.toolOutputSchema(t) })),
             };
         });
 
 
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
             const { name, arguments: args } = request.params;
+            const started = Date.now();
+            const stats = { rpcCalls: 0, queryMs: null };
+            const audit = { tool: name, args: args ?? {}, instance: null };
+            let result;
+            let failure = null;
 
             try {
-                switch (name) {
-
-                    case 'get_model_overview': return await this.t_model_overview();
-                    case 'get_units_and_tolerances': return await this.t_simple('get_units_and_tolerances');
-                    case 'get_property_distribution_by_category': return await this.t_property_distribution_by_category();
-
-                    case 'list_items_to_property': {
-                        const category = typeof args?.category === 'string' ? args.category.trim() : '';
-                        const property = typeof args?.property === 'string' ? args.property.trim() : '';
-                        if (!category) throw new McpError(ErrorCode.InvalidParams, 'category fehlt oder ist leer.');
-                        if (!property) throw new McpError(ErrorCode.InvalidParams, 'property fehlt oder ist leer.');
-
-
-                        const scopeRaw = (typeof args?.scope === 'string' && args.scope.trim()) ? args.scope.trim() : 'all';
-                        const scope = scopeRaw === 'all' ? 'all' : this.toDelimitedString(scopeRaw);
-                        const modelFilter = (args?.modelFilter !== undefined) ? this.toDelimitedString(args.modelFilter) : undefined;
-
-                        const valueFilter = typeof args?.valueFilter === 'string' ? args.valueFilter : undefined;
-                        const ignoreCase = typeof args?.ignoreCase === 'boolean' ? args.ignoreCase : true;
-                        const maxResults = (typeof args?.maxResults === 'number' && isFinite(args.maxResults)) ? args.maxResults : undefined;
-
-                        return await this.t_list_items_to_property({ category, property, scope, modelFilter, valueFilter, ignoreCase, maxResults });
-                    }
-
-                    case 'get_element_count_by_category': {
-                        const cat = typeof args?.category === 'string' ? args.category.trim() : '';
-                        if (!cat) throw new McpError(ErrorCode.InvalidParams, 'category fehlt oder ist leer.');
-                        const scopeRaw = (typeof args?.scope === 'string' && args.scope.trim()) ? args.scope.trim() : 'all';
-                        const scope = scopeRaw === 'all' ? 'all' : this.toDelimitedString(scopeRaw);
-                        return await this.t_count_by_category(cat, scope);
-                    }
-
-                    case 'list_properties_for_item': {
-                        const id = args?.item_id ?? args?.canonical_id; // fallback für altes schema
-                        return await this.t_list_properties_for_item(id);
-                    };
-
-
-                    case 'clear_selection': return await this.t_simple('clear_selection');
-                    case 'get_current_selection_snapshot': return await this.t_simple('get_current_selection_snapshot');
-
-                    case 'apply_selection': {
-                        const ids = Array.isArray(args?.canonical_id) ? args.canonical_id : [];
-                        if (ids.length === 0 || !ids.every(v => typeof v === 'string')) {
-                            throw new McpError(ErrorCode.InvalidParams, 'canonical_id[] (string) erforderlich.');
-                        }
-                        const keep = (typeof args?.keepExistingSelection === 'boolean') ? args.keepExistingSelection : true;
-                        return await this.t_apply_selection(ids, keep);
-                    };
-
-                    case 'run_simple_clash': {
-                        const scopeAraw = (typeof args?.scopeA === 'string') ? args.scopeA : 'all';
-                        const scopeBraw = (typeof args?.scopeB === 'string') ? args.scopeB : 'all';
-                        const tolerance_m = (typeof args?.tolerance_m === 'number' && isFinite(args.tolerance_m)) ? args.tolerance_m : 0.01;
-                        const test_name = (typeof args?.test_name === 'string' && args.test_name.trim()) ? args.test_name.trim() : 'MCP API Test';
-
-                        return await this.t_run_simple_clash(scopeAraw, scopeBraw, tolerance_m, test_name);
-                    };
-
-                    default:
-                        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+                const tool = (await this.availableTools()).find(t => t.name === name);
+                if (!tool) {
+                    const hidden = (await this.getTools()).find(t => t.name === name);
+                    throw hidden ? toolNotAllowed(hidden, this.policy) : new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
                 }
+
+                const { noCache, ...validArgs } = validateArguments(this.toolInputSchema(tool), args);
+                const handler = handlers[name];
+                // Kept in the arguments so paging cursors stay bound to the instance.
+                if (!INSTANCE_FREE_TOOLS.has(name)) validArgs.instance = this.instance(validArgs.instance).name;
+                audit.args = noCache ? { ...validArgs, noCache } : validArgs;
+                audit.instance = validArgs.instance ?? null;
+
+                // Tools the add-in describes but this client has no special handling for
+                // are passed through to the RPC method of the same name.
+                result = await this.requestContext.run({ signal: extra?.signal, noCache: noCache === true, instance: validArgs.instance, stats }, () =>
+                    handler ? handler(validArgs) : this.t_generic(name, validArgs));
+                return result;
             } catch (error) {
-                if (error instanceof McpError) throw error;
-                throw new McpError(ErrorCode.InternalError, `Error occurred while executing tool: ${error.message}`);
+                failure = error instanceof McpError
+                    ? error
+                    : new McpError(ErrorCode.InternalError, `Error occurred while executing tool: ${error.message}`);
+                throw failure;
+            } finally {
+                this.auditLog.record({
+                    ...audit,
+                    args: compactArgs(audit.args),
+                    duration_ms: Date.now() - started,
+                    rpc_calls: stats.rpcCalls,
+                    query_ms: stats.queryMs,
+                    result_bytes: result ? Buffer.byteLength(JSON.stringify(result)) : null,
+                    error: failure ? { code: failure.code, rpc_code: failure.data?.rpcCode ?? null, message: failure.message } : null,
+                });
             }
         });
     }
 
 
-    async t_list_items_to_property(a) {
-        const dto = await this.rpc('list_items_to_property', {
+    // "all" (also for a blank scope) or the delimited list of model tokens.
+    normalizeScope(scope) {
+        const raw = typeof scope === 'string' ? scope.trim() : '';
+        return raw === '' || raw === 'all' ? 'all' : this.toDelimitedString(raw);
+    }
+
+
+    // Arguments are validated against the tool schema; this only normalizes them.
+    listItemsQuery(args) {
+        return {
+            category: args.category.trim(),
+            property: args.property.trim(),
+            scope: this.normalizeScope(args.scope),
+            modelFilter: args.modelFilter !== undefined ? this.toDelimitedString(args.modelFilter) : undefined,
+            valueFilter: args.valueFilter,
+            ignoreCase: args.ignoreCase ?? true,
+            maxResults: args.maxResults,
+        };
+    }
+
+
+    async listItems(a) {
+        return this.rpc('list_items_to_property', {
             Category: a.category,
             Property: a.property,
             Scope: a.scope,
@@ -292,127 +464,157 @@ class NavisworksMCPServer {
             IgnoreCase: a.ignoreCase,
             MaxResults: a.maxResults
         });
-        return { content: [{ type: 'text', text: '```json\n' + JSON.stringify(dto, null, 2) + '\n```' }] };
     }
 
-    async t_simple(method) {
-        const data = await this.rpc(method, {});
-        return { content: [{ type: 'text', text: '```json\n' + JSON.stringify(data, null, 2) + '\n```' }] };
-    }
-
-    async t_model_overview() {
-        const overview = await this.rpc('get_model_overview', {});
-
-        const modelsCount = overview?.ModelsCount ?? 0;
-        const total = overview?.TotalElements ?? 0;
-        const docTitle = overview?.DocumentTitle || 'Unbenannt';
 
-        const details = Array.isArray(overview?.Models) ? overview.Models : [];
-        const hist = overview?.categories_histogram || {};
-
-        const modelLines = details.map((m, i) => {
-            const model_name = m?.FileName || m?.DisplayName || '(unbenannt)';
-            const typ = m?.SourceFileName || '';     // ".ifc", ".rvt", ...
-            const cid = m?.canonical_id || '';
-            const kids = Number.isFinite(m?.ChildrenCount) ? m.ChildrenCount : 0;
-            const desc = Number.isFinite(m?.DescendantsCount) ? m.DescendantsCount : 0;
-            const parent_canonical_id = m?.perent_canonical_id || '';
-            return `- ${i + 1}. ${model_name}${typ ? ` ${typ}` : ''}${cid ? ` — canonical_id: ${cid}` : ''}${parent_canonical_id ? ` parent_canonical_id: ${parent_canonical_id}` : ''} (direct_children: ${kids}, node_count_including_self: ${desc})`;
+    async t_list_items_to_property(a) {
+        const dto = await this.listItems(a);
+
+        const items = Array.isArray(dto?.Items) ? dto.Items : [];
+        // The add-in stops collecting at MaxResults, so the total is only a lower bound then.
+        const maxResultsReached = a.maxResults !== undefined && items.length >= a.maxResults;
+
+        const payload = paginate({
+            tool: 'list_items_to_property',
+            args: a,
+            items,
+            render: page => ({ ...dto, Items: page, ...(maxResultsReached ? { maxResultsReached } : {}) }),
+            summarize: all => ({
+                by_value: countBy(all, i => i?.PropertyValue),
+                by_model: countBy(all, i => i?.model_name),
+            }),
         });
+        return this.jsonResult(payload);
+    }
 
-        const histLines = Object.keys(hist).map(k => `- ${k}: ${hist[k]}`);
+    async t_generic(method, { instance, ...params }) {
+        return this.jsonResult(await this.rpc(method, params));
+    }
 
-        const jsonModels = details.map(m => ({
-            canonical_id: m?.canonical_id ?? null,
-            parent_canonical_id: m?.perent_canonical_id ?? 'xx',
-            name: m?.FileName || m?.DisplayName || null,
-            type: m?.SourceFileName || null,
-            direct_children: Number.isFinite(m?.ChildrenCount) ? m.ChildrenCount : 0,
-            parent_including_self: Number.isFinite(m?.DescendantsCount) ? m.DescendantsCount : 0,
-        }));
+    async t_simple(method) {
+        return this.jsonResult(await this.rpc(method, {}));
+    }
 
-        const jsonStr = JSON.stringify(
-            { modelsCount, total, document: docTitle, Models: jsonModels },
-            null,
-            2
-        );
+    shapeModelOverview(overview) {
+        const details = Array.isArray(overview?.Models) ? overview.Models : [];
+        return {
+            modelsCount: overview?.ModelsCount ?? 0,
+            total: overview?.TotalElements ?? 0,
+            document: overview?.DocumentTitle || 'Untitled',
+            Models: details.map(m => ({
+                canonical_id: m?.canonical_id ?? null,
+                parent_canonical_id: m?.perent_canonical_id ?? 'xx',
+                name: m?.FileName || m?.DisplayName || null,
+                type: m?.SourceFileName || null,
+                direct_children: Number.isFinite(m?.ChildrenCount) ? m.ChildrenCount : 0,
+                parent_including_self: Number.isFinite(m?.DescendantsCount) ? m.DescendantsCount : 0,
+            })),
+        };
+    }
 
-        const txt = `\n\`\`\`json\n${jsonStr}\n\`\`\``;
-        return { content: [{ type: 'text', text: txt }] };
+    async t_model_overview(args = {}) {
+        const overview = this.shapeModelOverview(await this.rpc('get_model_overview', {}));
+        const payload = paginate({
+            tool: 'get_model_overview',
+            args,
+            items: overview.Models,
+            render: page => ({ ...overview, Models: page }),
+            summarize: all => ({ by_type: countBy(all, m => m.type) }),
+        });
+        return this.jsonResult(payload);
     }
 
-    async t_property_distribution_by_category() {
+    async t_property_distribution_by_category(args = {}) {
         const dto = await this.rpc('get_property_distribution_by_category', {});
+        const models = distributionModels(dto);
+
+        // Paged by category; the categories of a page are grouped by model again.
+        const rows = models.flatMap(m => m.categories.map(c => ({ modelId: m.modelId, ...c })));
+        const groupByModel = page => {
+            const grouped = new Map();
+            for (const { modelId, ...category } of page) {
+                if (!grouped.has(modelId)) grouped.set(modelId, { modelId, categories: [] });
+                grouped.get(modelId).categories.push(category);
+            }
+            return [...grouped.values()];
+        };
 
-        let details = null;
-        try {
-            details = typeof dto?.details === 'string' ? JSON.parse(dto.details) : (dto?.details ?? null);
-        } catch {
-            details = null;
-        }
-
-        const models = details
-            ? Object.entries(details).map(([modelId, categories]) => ({
-                modelId,
-                categories: Object.entries(categories).map(([categoryName, props]) => ({
-                    category: categoryName,
-                    properties: Object.entries(props).map(([property, count]) => ({
-                        property,
-                        count: typeof count === 'number' ? count : Number(count) || 0,
-                    })),
+        const payload = paginate({
+            tool: 'get_property_distribution_by_category',
+            args,
+            items: rows,
+            render: page => ({
+                category: dto?.category ?? '(all)',
+                count: Number(dto?.count ?? 0),
+                scope: dto?.scope ?? 'all',
+                success: Boolean(dto?.success ?? true),
+                models: groupByModel(page),
+            }),
+            summarize: () => ({
+                models: models.map(m => ({
+                    modelId: m.modelId,
+                    categories: m.categories.length,
+                    properties: m.categories.reduce((sum, c) => sum + c.properties.length, 0),
                 })),
-            }))
-            : [];
-
-        const payload = {
-            category: dto?.category ?? '(all)',
-            count: Number(dto?.count ?? 0),
-            scope: dto?.scope ?? 'all',
-            success: Boolean(dto?.success ?? true),
-            models,
-        };
+            }),
+        });
 
-        return {
-            content: [
-                { type: 'text', text: '```json\n' + JSON.stringify(payload, null, 2) + '\n```' },
-            ],
-        };
+        return this.jsonResult(payload);
     }
 
     async t_count_by_category(category, scope = 'all') {
-        if (!category) throw new McpError(ErrorCode.InvalidParams, 'category fehlt.');
         const dto = await this.rpc('get_element_count_by_category', { category, scope });
-        return { content: [{ type: 'text', text: '```json\n' + JSON.stringify(dto, null, 2) + '\n```' }] };
+        return this.jsonResult(dto);
     }
 
-    async t_list_properties_for_item(item_id) {
-        if (!item_id) throw new McpError(ErrorCode.InvalidParams, 'item_id fehlt.');
-        const dto = await this.rpc('list_properties_for_item', { item_id });
-        return { content: [{ type: 'text', text: '```json\n' + JSON.stringify(dto, null, 2) + '\n```' }] };
+    async t_list_properties_for_item(canonicalId, args = {}) {
+        // The RPC parameter is called item_id.
+        const dto = await this.rpc('list_properties_for_item', { item_id: canonicalId });
+
+        // Paged by property category.
+        const categories = Object.entries(dto?.categories ?? {});
+        const payload = paginate({
+            tool: 'list_properties_for_item',
+            args,
+            items: categories,
+            render: page => ({ ...dto, categories: Object.fromEntries(page) }),
+            summarize: all => ({
+                properties_by_category: Object.fromEntries(all.map(([name, props]) => [name, Array.isArray(props) ? props.length : 0])),
+            }),
+        });
+        return this.jsonResult(payload);
     }
 
-    async t_apply_selection(canonicalIds = [], keepExistingSelection = true) {
-        if (!Array.isArray(canonicalIds) || canonicalIds.length === 0) {
-            throw new McpError(ErrorCode.InvalidParams, 'canonical_id[] erforderlich.');
-        }
+    async t_selection_snapshot(args = {}) {
+        const dto = await this.rpc('get_current_selection_snapshot', {});
+        const ids = Array.isArray(dto?.canonical_id) ? dto.canonical_id : [];
+        const paths = Array.isArray(dto?.path) ? dto.path : [];
+
+        const payload = paginate({
+            tool: 'get_current_selection_snapshot',
+            args,
+            items: ids.map((id, i) => [id, paths[i] ?? '']),
+            render: page => ({ ...dto, canonical_id: page.map(([id]) => id), path: page.map(([, path]) => path) }),
+            // The first path step is the model file.
+            summarize: all => ({ by_model: countBy(all, ([, path]) => String(path).split('/')[0] || '(unknown)') }),
+        });
+        return this.jsonResult(payload);
+    }
 
+    async t_apply_selection(canonicalIds, keepExistingSelection = true) {
         const dto = await this.rpc('apply_selection', {
             canonical_id: canonicalIds,
             keepExistingSelection
         });
 
-        return {
-            content: [{ type: 'text', text: '```json\n' + JSON.stringify(dto, null, 2) + '\n```' }]
-        };
+        // The add-in answers with the list of resolved items.
+        const items = Array.isArray(dto) ? dto : [];
+        return this.jsonResult({ count: items.length, items });
     }
 
     async t_run_simple_clash(scopeAraw, scopeBraw, tolerance_m, test_name) {
-        const scopeA = (scopeAraw && scopeAraw.trim() !== '' && scopeAraw.trim() !== 'all')
-            ? this.toDelimitedString(scopeAraw)
-            : 'all';
-        const scopeB = (scopeBraw && scopeBraw.trim() !== '' && scopeBraw.trim() !== 'all')
-            ? this.toDelimitedString(scopeBraw)
-            : 'all';
+        const scopeA = this.normalizeScope(scopeAraw);
+        const scopeB = this.normalizeScope(scopeBraw);
 
         const dto = await this.rpc('run_simple_clash', {
             scopeA,
@@ -421,21 +623,560 @@ class NavisworksMCPServer {
             test_name
         });
 
-        return { content: [{ type: 'text', text: '```json\n' + JSON.stringify(dto, null, 2) + '\n```' }] };
+        return this.jsonResult(dto);
+    }
+
+
+    /**
+     * Values of several properties joined by canonical_id: one list_items_to_property
+     * call per lookup ({ key, category, property, valueFilter? }), which gets the number of items
+     * returned as `items`. Returns Map canonical_id -> { item, path, values: Map key -> value }.
+     */
+    async joinPropertyValues(lookups, { scope, modelFilter }) {
+        const found = new Map();
+        for (const lookup of lookups) {
+            const dto = await this.listItems({ category: lookup.category, property: lookup.property, scope, modelFilter, valueFilter: lookup.valueFilter });
+            const items = Array.isArray(dto?.Items) ? dto.Items : [];
+            lookup.items = items.length;
+
+            for (const item of items) {
+                if (!item?.canonical_id) continue;
+                if (!found.has(item.canonical_id)) {
+                    found.set(item.canonical_id, { item, path: itemPath(item.path_from_this_object), values: new Map() });
+                }
+                found.get(item.canonical_id).values.set(lookup.key, item.PropertyValue ?? null);
+            }
+        }
+        return found;
+    }
+
+
+    async t_query_items(args) {
+        const tree = parseQuery(args.where);
+        const lookups = queryProperties(tree);
+        const scope = this.normalizeScope(args.scope);
+        const modelFilter = args.modelFilter !== undefined ? this.toDelimitedString(args.modelFilter) : undefined;
+
+        // All values of every referenced property are fetched; the expression is
+        // evaluated here on the items joined by canonical_id.
+        const found = await this.joinPropertyValues(lookups, { scope, modelFilter });
+        const matches = [...found.values()]
+            .filter(({ values }) => evaluateQuery(tree, values, { ignoreCase: args.ignoreCase }))
+            .map(({ item, path, values }) => ({
+                canonical_id: item.canonical_id,
+                model_name: item.model_name ?? '',
+                model_canonical_id: item.model_canonical_id ?? '',
+                path,
+                values: Object.fromEntries(lookups.map(l => [l.key, values.get(l.key) ?? null])),
+            }));
+
+        let selection;
+        if (args.applySelection) {
+            // Without matches the selection is left as it is.
+            const ids = matches.map(m => m.canonical_id);
+            const dto = ids.length > 0
+                ? await this.rpc('apply_selection', { canonical_id: ids, keepExistingSelection: args.keepExistingSelection })
+                : [];
+            selection = { applied: ids.length > 0, count: Array.isArray(dto) ? dto.length : ids.length, keepExistingSelection: args.keepExistingSelection };
+        }
+
+        const payload = paginate({
+            tool: 'query_items',
+            args,
+            items: matches,
+            render: page => ({
+                where: args.where,
+                lookups: lookups.map(({ category, property, items }) => ({ category, property, items })),
+                count: matches.length,
+                items: page,
+                ...(selection ? { selection } : {}),
+            }),
+            summarize: all => ({ by_model: countBy(all, m => m.model_name) }),
+        });
+        return this.jsonResult(payload);
+    }
+
+
+    async t_audit_properties(args) {
+        if ((args.rulesFile === undefined) === (args.rules === undefined)) {
+            throw new McpError(ErrorCode.InvalidParams, 'Invalid arguments: pass either rulesFile or rules');
+        }
+        const source = args.rulesFile !== undefined ? await loadRulesFile(args.rulesFile.trim()) : { path: null, doc: args.rules };
+        const audit = compileRules(source.doc);
+        const warnings = [];
+
+        // The distribution only adds coverage numbers; the checks themselves need the values.
+        let coverage = {};
+        try {
+            coverage = coverageByModel(distributionModels(await this.rpc('get_property_distribution_by_category', {})));
+        } catch (error) {
+            if (this.requestContext.getStore()?.signal?.aborted) throw error;
+            warnings.push(`No coverage numbers: ${error.message}`);
+        }
+
+        // Rules with the same scope share one list_items_to_property call per property.
+        const groups = new Map();
+        for (const rule of audit.rules) {
+            const scope = this.normalizeScope(rule.scope ?? args.scope ?? audit.scope);
+            if (!groups.has(scope)) groups.set(scope, { rules: [], lookups: new Map() });
+            const group = groups.get(scope);
+            group.rules.push(rule);
+            for (const p of rule.properties) {
+                const id = p.valueFilter === undefined ? p.key : `${p.key} ${p.valueFilter}`;
+                if (!group.lookups.has(id)) group.lookups.set(id, { ...p });
+            }
+        }
+
+        const results = new Map();
+        const failedIds = new Set();
+        const lookups = [];
+        for (const [scope, group] of groups) {
+            // Filtered lookups are left out when the same property is looked up unfiltered anyway;
+            // lookups keep the order in which rules first referenced their property.
+            const keys = [...group.lookups.values()].map(l => l.key);
+            const groupLookups = [...group.lookups.values()]
+                .filter(l => l.valueFilter === undefined || !group.lookups.has(l.key))
+                .sort((a, b) => keys.indexOf(a.key) - keys.indexOf(b.key));
+            const found = await this.joinPropertyValues(groupLookups, { scope });
+            lookups.push(...groupLookups.map(({ category, property, valueFilter, items }) =>
+                ({ scope, category, property, ...(valueFilter !== undefined ? { valueFilter } : {}), items })));
+
+            for (const rule of group.rules) {
+                const audited = auditRule(rule, found, { scope, ignoreCase: args.ignoreCase, coverage, maxFailures: args.maxFailures });
+                results.set(rule.id, audited.result);
+                audited.failedIds.forEach(id => failedIds.add(id));
+            }
+        }
+        const rules = audit.rules.map(rule => results.get(rule.id));
+
+        let selection;
+        if (args.applySelection) {
+            const ids = [...failedIds];
+            const dto = ids.length > 0
+                ? await this.rpc('apply_selection', { canonical_id: ids, keepExistingSelection: args.keepExistingSelection })
+                : [];
+            selection = { applied: ids.length > 0, count: Array.isArray(dto) ? dto.length : ids.length, keepExistingSelection: args.keepExistingSelection };
+        }
+
+        const checked = rules.reduce((sum, r) => sum + r.checked, 0);
+        const failedChecks = rules.reduce((sum, r) => sum + r.failed, 0);
+        return this.jsonResult({
+            rulesFile: source.path,
+            name: audit.name,
+            summary: {
+                rules: rules.length,
+                passed: rules.filter(r => r.status === 'pass').length,
+                failed: rules.filter(r => r.status === 'fail').length,
+                not_applicable: rules.filter(r => r.status === 'not_applicable').length,
+                checked,
+                failedChecks,
+                failedElements: failedIds.size,
+                compliance: checked > 0 ? Math.round((checked - failedChecks) / checked * 1000) / 10 : null,
+            },
+            rules,
+            lookups,
+            ...(selection ? { selection } : {}),
+            ...(warnings.length > 0 ? { warnings } : {}),
+        });
+    }
+
+
+    async t_run_clash_matrix(args) {
+        const runs = planClashMatrix(args);
+        const prefix = args.test_name.trim() || 'MCP Clash Matrix';
+        const signal = this.requestContext.getStore()?.signal;
+
+        // One test at a time; a failed test is reported and the others still run.
+        const tests = [];
+        for (const run of runs) {
+            const test = { ...run, test_name: `${prefix}: ${run.name}` };
+            try {
+                const dto = await this.rpc('run_simple_clash', {
+                    scopeA: this.normalizeScope(run.scopeA),
+                    scopeB: this.normalizeScope(run.scopeB),
+                    tolerance_m: run.tolerance_m,
+                    test_name: test.test_name
+                });
+                tests.push({
+                    ...test,
+                    success: dto?.success !== false,
+                    message: dto?.message ?? '',
+                    results: Number(dto?.results ?? 0),
+                    pairs: Array.isArray(dto?.pairs) ? dto.pairs : null,
+                });
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                tests.push({ ...test, success: false, message: error.message, results: 0, pairs: [] });
+            }
+        }
+
+        const warnings = [];
+        if (tests.some(t => t.success && t.results > 0 && t.pairs === null)) {
+            warnings.push('The add-in does not return clash pairs; update it to get one BCF topic per clash.');
+        }
+
+        const date = new Date();
+        const title = prefix;
+        const matrix = clashMatrix(tests);
+        const base = safeFileName(args.fileName, '') || `clash-matrix-${date.toISOString().replace(/[:.]/g, '-')}`;
+        const bcf = createBcf(tests, { title, date });
+        const bcfFile = await writeNewFile(exportDir(), base, 'bcfzip', bcf.data);
+        const htmlFile = await writeNewFile(exportDir(), base, 'html', Buffer.from(clashReportHtml(tests, { title, date, matrix }), 'utf8'));
+
+        const payload = {
+            tests: tests.map(({ pairs, ...t }) => ({
+                ...t,
+                pairs: (pairs ?? []).slice(0, args.pairPreview),
+                ...((pairs ?? []).length > args.pairPreview ? { pairsTruncated: true } : {}),
+            })),
+            total_results: tests.reduce((sum, t) => sum + t.results, 0),
+            failed: tests.filter(t => !t.success).length,
+            ...(Object.keys(matrix).length > 0 ? { matrix } : {}),
+            topics: bcf.topics,
+            files: { bcf: bcfFile.file, html: htmlFile.file },
+            ...(warnings.length > 0 ? { warnings } : {}),
+        };
+        return this.jsonResult(payload);
+    }
+
+
+    // Rows and columns for export_items from one of the supported sources.
+    async collectExportRows(args) {
+        switch (args.source) {
+            case 'list_items_to_property': {
+                const missing = ['category', 'property'].filter(k => !args[k]?.trim());
+                if (missing.length > 0) {
+                    throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: ${missing.map(k => `${k} is required`).join('; ')}`);
+                }
+                const query = this.listItemsQuery(args);
+                const dto = await this.listItems(query);
+                const rows = (Array.isArray(dto?.Items) ? dto.Items : []).map(item => ({
+                    canonical_id: item?.canonical_id ?? '',
+                    model_name: item?.model_name ?? '',
+                    model_canonical_id: item?.model_canonical_id ?? '',
+                    category: query.category,
+                    property: query.property,
+                    value: item?.PropertyValue ?? '',
+                    path: itemPath(item?.path_from_this_object),
+                }));
+                return { query, columns: ['canonical_id', 'model_name', 'model_canonical_id', 'category', 'property', 'value', 'path'], rows };
+            }
+
+            case 'get_element_count_by_category': {
+                const categories = this.normalizeTokens(args.category);
+                if (categories.length === 0) throw new McpError(ErrorCode.InvalidParams, 'Invalid arguments: category is required');
+                const scope = this.normalizeScope(args.scope);
+
+                const rows = [];
+                for (const category of categories) {
+                    const dto = await this.rpc('get_element_count_by_category', { category, scope });
+                    rows.push({ category, scope, count: Number(dto?.count ?? 0) });
+                }
+                return { query: { categories, scope }, columns: ['category', 'scope', 'count'], rows };
+            }
+
+            case 'selection': {
+                const dto = await this.rpc('get_current_selection_snapshot', {});
+                const paths = Array.isArray(dto?.path) ? dto.path : [];
+                const rows = (Array.isArray(dto?.canonical_id) ? dto.canonical_id : []).map((id, i) => ({
+                    canonical_id: id,
+                    model_name: String(paths[i] ?? '').split('/')[0],
+                    path: paths[i] ?? '',
+                }));
+                return { query: {}, columns: ['canonical_id', 'model_name', 'path'], rows };
+            }
+
+            default:
+                throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: unknown source ${args.source}`);
+        }
+    }
+
+
+    // Adds one column per requested property, read with list_properties_for_item per item;
+    // more than maxLookups items are rejected before the first request.
+    async addPropertyColumns(columns, rows, properties, maxLookups = Infinity) {
+        const wanted = (Array.isArray(properties) ? properties : [])
+            .map(p => ({ category: String(p?.category ?? '').trim(), property: String(p?.property ?? '').trim() }))
+            .filter(p => p.category && p.property);
+        if (wanted.length === 0 || !columns.includes('canonical_id')) return columns;
+        if (rows.length > maxLookups) {
+            throw new McpError(ErrorCode.InvalidParams,
+                `Invalid arguments: properties need one request per item and ${rows.length} items exceed maxPropertyLookups (${maxLookups}); ` +
+                'narrow the export or raise maxPropertyLookups');
+        }
+
+        const names = wanted.map(p => `${p.category}.${p.property}`);
+        for (const row of rows) {
+            const dto = await this.rpc('list_properties_for_item', { item_id: row.canonical_id });
+            wanted.forEach((p, i) => {
+                const props = dto?.categories?.[p.category];
+                const match = Array.isArray(props) ? props.find(x => x?.property === p.property) : undefined;
+                row[names[i]] = match?.value ?? '';
+            });
+        }
+        return [...columns, ...names.filter(n => !columns.includes(n))];
+    }
+
+
+    async t_export_items(args) {
+        const format = args.format ?? formatOf(args.fileName) ?? 'csv';
+
+        const { query, columns: baseColumns, rows } = await this.collectExportRows(args);
+        const columns = await this.addPropertyColumns(baseColumns, rows, args.properties, args.maxPropertyLookups);
+
+        const exportedAt = new Date().toISOString();
+        const { file, bytes } = await writeExport({
+            dir: exportDir(),
+            fileName: args.fileName || `${args.source}-${exportedAt.replace(/[:.]/g, '-')}`,
+            format,
+            columns,
+            rows,
+            meta: { source: args.source, query, exported_at: exportedAt },
+        });
+
+        const payload = { file, format, bytes, source: args.source, rows: rows.length, columns, preview: rows.slice(0, 5) };
+        return this.jsonResult(payload);
+    }
+
+    // Only snapshots ask for the categories histogram: the add-in walks every item for it.
+    async takeSnapshot(name = '', created = new Date()) {
+        const overview = await this.rpc('get_model_overview', { include_categories: true });
+        const distribution = distributionModels(await this.rpc('get_property_distribution_by_category', {}));
+        const units = await this.rpc('get_units_and_tolerances', {});
+        return buildSnapshot({
+            name,
+            created,
+            overview: this.shapeModelOverview(overview),
+            histogram: overview?.categories_histogram,
+            distribution,
+            units,
+        });
+    }
+
+    async t_snapshot_model(name) {
+        const created = new Date();
+        const snapshot = await this.takeSnapshot(name, created);
+        snapshot.name ||= `${snapshot.document}-${created.toISOString().replace(/[:.]/g, '-')}`;
+
+        const { file } = await writeNewFile(snapshotsDir(), snapshot.name, 'json',
+            Buffer.from(JSON.stringify(snapshot, null, 2) + '\n', 'utf8'));
+        return this.jsonResult({
+            file,
+            name: snapshot.name,
+            document: snapshot.document,
+            created: snapshot.created,
+            total_elements: snapshot.total_elements,
+            models: snapshot.models.length,
+            categories: Object.keys(snapshot.categories).length,
+            properties: snapshot.models.reduce((sum, m) => sum + Object.keys(m.properties).length, 0),
+        });
+    }
+
+    // Without `to` the snapshot is compared with the live model.
+    async t_diff_snapshots(fromFile, toFile) {
+        const from = await loadSnapshot(fromFile);
+        const to = toFile ? await loadSnapshot(toFile) : { path: null, snapshot: await this.takeSnapshot() };
+        const diff = diffSnapshots(from.snapshot, to.snapshot, { fromFile: from.path, toFile: to.path });
+        return this.jsonResult({ ...diff, report: diffReport(diff) });
+    }
+
+    // Selection sets belong to the document open in the instance of the tool call.
+    async selectionSetDocument() {
+        return this.shapeModelOverview(await this.rpc('get_model_overview', {})).document;
+    }
+
+    async t_save_selection_set(args) {
+        const document = await this.selectionSetDocument();
+        let ids = args.canonical_id;
+        const source = ids ? 'canonical_id' : 'selection';
+        if (!ids) {
+            const dto = await this.rpc('get_current_selection_snapshot', {});
+            ids = Array.isArray(dto?.canonical_id) ? dto.canonical_id : [];
+            if (ids.length === 0) {
+                throw new McpError(ErrorCode.InvalidParams, 'Nothing to save: the selection is empty; select items or pass canonical_id');
+            }
+        }
+
+        const name = args.name.trim();
+        const { set, replaced } = await this.selectionSets.save(document, name, ids, { description: args.description });
+        return this.jsonResult({ document, name, count: set.canonical_id.length, replaced, source });
+    }
+
+    async t_list_selection_sets() {
+        const document = await this.selectionSetDocument();
+        return this.jsonResult({ document, sets: this.selectionSets.list(document) });
+    }
+
+    async t_delete_selection_set(name) {
+        const document = await this.selectionSetDocument();
+        const deleted = await this.selectionSets.delete(document, name);
+        return this.jsonResult({ document, name, deleted });
+    }
+
+    async t_combine_selection_sets(args) {
+        const document = await this.selectionSetDocument();
+        const names = args.sets.map(name => name.trim());
+        const lists = names.map(name => this.selectionSets.get(document, name).canonical_id.map(normalizeCanonicalId));
+        const ids = combineSets(args.operation, lists);
+
+        // Later pages of the result do not save it again.
+        const saveAs = args.saveAs?.trim();
+        if (saveAs && !args.cursor) {
+            await this.selectionSets.save(document, saveAs, ids, { description: `${args.operation} of ${names.join(', ')}` });
+        }
+
+        const payload = paginate({
+            tool: 'combine_selection_sets',
+            args,
+            items: ids,
+            render: page => ({
+                document,
+                operation: args.operation,
+                sets: Object.fromEntries(names.map((name, i) => [name, lists[i].length])),
+                count: ids.length,
+                canonical_id: page,
+                ...(saveAs ? { savedAs: saveAs } : {}),
+            }),
+            summarize: () => ({ count: ids.length }),
+        });
+        return this.jsonResult(payload);
+    }
+
+    async t_apply_selection_set(args) {
+        const document = await this.selectionSetDocument();
+        const name = args.name.trim();
+        const set = this.selectionSets.get(document, name);
+
+        // The add-in answers with the items it resolved; the others no longer exist.
+        const dto = await this.rpc('apply_selection', { canonical_id: set.canonical_id, keepExistingSelection: args.keepExistingSelection });
+        const resolved = new Set((Array.isArray(dto) ? dto : []).map(item => normalizeCanonicalId(item?.canonical_id)));
+        const stale = set.canonical_id.filter(id => !resolved.has(normalizeCanonicalId(id)));
+
+        const payload = { document, name, requested: set.canonical_id.length, selected: set.canonical_id.length - stale.length, stale };
+        if (args.pruneStale) {
+            payload.pruned = stale.length > 0;
+            if (payload.pruned) await this.selectionSets.save(document, name, set.canonical_id.filter(id => resolved.has(normalizeCanonicalId(id))));
+        }
+        return this.jsonResult(payload);
+    }
+
+    // Health and open document of every instance; instances that are down do not hold up the others.
+    async t_list_instances() {
+        const instances = await Promise.all([...this.instances.values()].map(async (instance) => {
+            const health = await this.checkHealth(instance);
+            const entry = {
+                name: instance.name,
+                url: instance.url,
+                default: instance.name === this.defaultInstanceName,
+                health: { state: health.state, message: health.message },
+                document: null,
+                models: null,
+            };
+            if (health.state !== 'ok') return entry;
+
+            try {
+                const overview = this.shapeModelOverview(await this.rpc('get_model_overview', {}, { instance: instance.name }));
+                return { ...entry, document: overview.document, models: overview.modelsCount };
+            } catch (error) {
+                return { ...entry, error: error.message };
+            }
+        }));
+
+        return this.jsonResult({ default: this.defaultInstanceName, instances });
     }
 
+    async t_cache_status() {
+        const status = { instance: this.instance().name, ...this.instance().cache.status() };
+        return this.jsonResult(status);
+    }
+
+    async t_cache_clear(method) {
+        const { name, cache } = this.instance();
+        const cleared = cache.clear(method || undefined);
+        const payload = { instance: name, cleared, method: method || 'all', remaining: cache.entries.size };
+        return this.jsonResult(payload);
+    }
+
+
+    async t_get_audit_log(args) {
+        const since = args.since !== undefined ? Date.parse(args.since) : undefined;
+        if (Number.isNaN(since)) throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: since must be an ISO date or time, got "${args.since}"`);
+
+        const entries = await this.auditLog.recent({ limit: args.limit, tool: args.tool?.trim() || undefined, errorsOnly: args.errorsOnly, since });
+        return this.jsonResult({ enabled: this.auditLog.enabled, file: this.auditLog.files()[0], count: entries.length, entries });
+    }
 
-    async run() {
-        const transport = new StdioServerTransport();
-        await this.server.connect(transport);
+
+    async run(config = transportConfig()) {
+        let http = null;
+        if (config.transport === 'http') {
+            http = await startHttpServer(this, config);
+            console.error(`[mcp] Streamable HTTP on ${http.url}/mcp, HTTP+SSE on ${http.url}/sse` +
+                (config.token ? ' (bearer token required)' : ''));
+        } else {
+            const transport = new StdioServerTransport();
+            await this.server.connect(transport);
+        }
+
+        // A busy or hung Navisworks must not hold up the MCP handshake; tools/list
+        // waits for the catalog if it is asked for before the load finished.
+        Promise.all([this.checkAllHealth(), this.loadToolCatalog()])
+            .catch(error => { console.error(`[navisworks] startup checks failed: ${error.message}`); })
+            .finally(() => { this.startHealthChecks(); });
 
         process.on('SIGINT', async () => {
-            await this.server.close();
+            this.resources.stopPolling();
+            this.stopHealthChecks();
+            await Promise.all([...this.instances.values()].map(instance => instance.cache.flush()));
+            await this.auditLog.writing;
+            await (http ? http.close() : this.server.close());
             process.exit(0);
         });
     }
 }
 
 
-const server = new NavisworksMCPServer();
-server.run().catch(console.error);
+// Models with their property categories and counts from the `details` JSON of
+// get_property_distribution_by_category.
+function distributionModels(dto) {
+    let details = null;
+    try {
+        details = typeof dto?.details === 'string' ? JSON.parse(dto.details) : (dto?.details ?? null);
+    } catch {
+        details = null;
+    }
+
+    return details
+        ? Object.entries(details).map(([modelId, categories]) => ({
+            modelId,
+            categories: Object.entries(categories).map(([categoryName, props]) => ({
+                category: categoryName,
+                properties: Object.entries(props).map(([property, count]) => ({
+                    property,
+                    count: typeof count === 'number' ? count : Number(count) || 0,
+                })),
+            })),
+        }))
+        : [];
+}
+
+
+// Display path of an item: the last step of path_from_this_object.
+function itemPath(steps) {
+    return Array.isArray(steps) && steps.length ? steps[steps.length - 1]?.paths ?? '' : '';
+}
+
+
+function isMainModule() {
+    try {
+        return !!process.argv[1] && realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url));
+    } catch {
+        return false;
+    }
+}
+
+
+if (isMainModule()) {
+    const server = new NavisworksMCPServer();
+    server.run().catch(console.error);
+}
@@ -0,0 +1,196 @@
+// Writes tabular query results (columns + row objects) to CSV, XLSX or JSON
+// files. Everything runs in the client; the add-in's export service is not used.
+
+import { open, mkdir, rm } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { extname, join } from 'node:path';
+import { createZip } from './zip.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+
+export function exportDir() {
+    return process.env.NAVISWORKS_EXPORT_DIR || join(homedir(), 'Documents', 'Navisworks MCP Exports');
+}
+
+
+// Keeps only a plain file name: no directories, no characters Windows rejects.
+export function safeFileName(name, fallback) {
+    const base = String(name ?? '')
+        .split(/[\\/]/).pop()
+        .replace(/[<>:"|?*\x00-\x1f]/g, '_')
+        .replace(/^[.\s]+|[.\s]+$/g, '');
+    return base || fallback;
+}
+
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+
+// Text starting like a formula is prefixed with ' so spreadsheets do not evaluate it.
+function neutralizeFormula(text) {
+    return /^[=+@\t\r]/.test(text) || (/^-/.test(text) && !Number.isFinite(Number(text))) ? `'${text}` : text;
+}
+
+
+export function toCsv(columns, rows) {
+    const quote = (value) => {
+        const text = neutralizeFormula(cellText(value));
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(quote).join(',')];
+    for (const row of rows) lines.push(columns.map(c => quote(row[c])).join(','));
+    // BOM so Excel opens the file as UTF-8.
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+
+export function toJson(columns, rows, meta = {}) {
+    return JSON.stringify({ ...meta, columns, rows }, null, 2) + '\n';
+}
+
+
+export function xmlEscape(text) {
+    return String(text)
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+
+function xlsxCell(ref, value, style = 0) {
+    const s = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(cellText(value))}</t></is></c>`;
+}
+
+
+/**
+ * Single-sheet workbook with a bold, frozen header row and an auto filter.
+ * Numbers and booleans keep their type, everything else is text.
+ */
+export function toXlsx(columns, rows, { sheetName = 'Export' } = {}) {
+    const lastRef = `${columnName(Math.max(columns.length, 1) - 1)}${rows.length + 1}`;
+    const sheetRows = [
+        `<row r="1">${columns.map((c, i) => xlsxCell(`${columnName(i)}1`, c, 1)).join('')}</row>`,
+        ...rows.map((row, r) =>
+            `<row r="${r + 2}">${columns.map((c, i) => xlsxCell(`${columnName(i)}${r + 2}`, row[c])).join('')}</row>`),
+    ];
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${sheetRows.join('')}</sheetData>` +
+        `<autoFilter ref="A1:${lastRef}"/>` +
+        '</worksheet>';
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>',
+        },
+        {
+            name: 'xl/styles.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>',
+        },
+        { name: 'xl/worksheets/sheet1.xml', data: sheet },
+    ]);
+}
+
+
+/**
+ * Writes `data` to `<dir>/<baseName>.<extension>`; an existing file is never
+ * overwritten, a numbered name is used instead. When the write fails the file
+ * is removed again. Returns { file, bytes }.
+ */
+export async function writeNewFile(dir, baseName, extension, data) {
+    await mkdir(dir, { recursive: true });
+    const base = safeFileName(baseName, 'export').replace(new RegExp(`\\.${extension}$`, 'i'), '');
+
+    for (let n = 0; ; n++) {
+        const file = join(dir, `${base}${n ? `-${n}` : ''}.${extension}`);
+        let handle;
+        try {
+            handle = await open(file, 'wx');
+        } catch (error) {
+            if (error.code === 'EEXIST' && n < 1000) continue;
+            throw error;
+        }
+        try {
+            await handle.writeFile(data);
+            await handle.close();
+        } catch (error) {
+            // A partly written file would pass for a finished export and take the name.
+            await handle.close().catch(() => { });
+            await rm(file, { force: true });
+            throw error;
+        }
+        return { file, bytes: data.length };
+    }
+}
+
+
+export async function writeExport({ dir = exportDir(), fileName, format, columns, rows, meta }) {
+    const content = format === 'xlsx' ? toXlsx(columns, rows)
+        : format === 'json' ? toJson(columns, rows, meta)
+            : toCsv(columns, rows);
+    return writeNewFile(dir, fileName, format, Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'));
+}
+
+
+export function formatOf(fileName) {
+    const ext = extname(String(fileName ?? '')).slice(1).toLowerCase();
+    return EXPORT_FORMATS.includes(ext) ? ext : null;
+}
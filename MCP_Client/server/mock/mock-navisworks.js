@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+// Local stand-in for the add-in's HTTP endpoint (POST /rpc, GET /health).
+// Answers every routed RPC method with the {ok, data, error, meta} envelope
+// recorded in mock/fixtures/<method>.json.
+//
+// A fixture is either an envelope or { "variants": [{ "match": {...}, "response": {...} }], "default": {...} };
+// the first variant whose `match` keys equal the request params (strings compared
+// case-insensitively) wins. Error envelopes live in mock/fixtures/errors/<code>.json;
+// `{method}` in their message stands for the called method.
+//
+//   node mock/mock-navisworks.js [--port 1234]
+
+import { createServer } from 'node:http';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+
+function readJson(file) {
+    return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+
+export function loadFixtures(dir = FIXTURES_DIR) {
+    const fixtures = {};
+    for (const file of readdirSync(dir)) {
+        if (!file.endsWith('.json')) continue;
+        fixtures[basename(file, '.json')] = readJson(join(dir, file));
+    }
+    return fixtures;
+}
+
+
+export function loadErrorFixture(code, dir = FIXTURES_DIR, method = '') {
+    const file = join(dir, 'errors', `${code}.json`);
+    if (!existsSync(file)) return { ok: false, error: { code, msg: `${code} (mock)` } };
+    const envelope = readJson(file);
+    if (typeof envelope.error?.msg === 'string') envelope.error.msg = envelope.error.msg.replaceAll('{method}', method);
+    return envelope;
+}
+
+
+function paramMatches(expected, actual) {
+    if (typeof expected === 'string' && typeof actual === 'string') {
+        return expected.toLowerCase() === actual.toLowerCase();
+    }
+    return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+
+function selectResponse(fixture, params) {
+    if (!fixture || !Array.isArray(fixture.variants)) return fixture;
+    const hit = fixture.variants.find(v =>
+        Object.entries(v.match ?? {}).every(([k, val]) => paramMatches(val, params?.[k])));
+    return hit ? hit.response : fixture.default;
+}
+
+
+/**
+ * Starts the mock on `port` (0 = random free port).
+ * Returns a handle to inspect recorded calls and to override responses per method:
+ * - respondWith(method, envelope | (params, request) => envelope | { httpStatus, body })
+ * - failWith(method, code)  answer with mock/fixtures/errors/<code>.json
+ * - reset()                 drop overrides and recorded calls
+ */
+export async function startMockNavisworks({ port = 0, fixturesDir = FIXTURES_DIR, modelRevision = 'n/a' } = {}) {
+    const fixtures = loadFixtures(fixturesDir);
+    const overrides = new Map();
+    const calls = [];
+
+    const handle = {
+        calls,
+        fixtures,
+        modelRevision,
+        url: null,
+        port: null,
+        respondWith(method, response) { overrides.set(method, response); },
+        failWith(method, code) { overrides.set(method, loadErrorFixture(code, fixturesDir, method)); },
+        reset() {
+            overrides.clear();
+            calls.length = 0;
+        },
+        close() {
+            return new Promise(resolve => {
+                server.closeAllConnections?.();
+                server.close(() => resolve());
+            });
+        },
+    };
+
+    function dispatch(request) {
+        // Mirrors RpcRouter.Dispatch for missing or unknown methods.
+        if (!request || typeof request.method !== 'string' || !request.method.trim()) {
+            return loadErrorFixture('NVX_BAD_REQUEST', fixturesDir);
+        }
+
+        const method = request.method;
+        if (overrides.has(method)) {
+            const override = overrides.get(method);
+            return typeof override === 'function' ? override(request.params, request) : override;
+        }
+
+        const key = Object.keys(fixtures).find(k => k.toLowerCase() === method.toLowerCase());
+        if (!key) return loadErrorFixture('NVX_NOT_FOUND', fixturesDir, method);
+        return selectResponse(fixtures[key], request.params);
+    }
+
+    function send(res, status, contentType, payload) {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(payload);
+    }
+
+    const server = createServer((req, res) => {
+        const path = (req.url ?? '/').split('?')[0].replace(/\/+$/, '').toLowerCase();
+
+        if (req.method === 'GET' && path === '/health') return send(res, 200, 'text/plain; charset=utf-8', 'OK');
+        if (req.method === 'GET' && path === '') return send(res, 200, 'text/plain; charset=utf-8', 'WAABE MCP Server is running. Try POST /rpc');
+        if (req.method !== 'POST' || (path !== '/rpc' && path !== '')) return send(res, 404, 'text/plain; charset=utf-8', 'Not Found');
+
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            if (!body.trim()) return send(res, 400, 'application/json; charset=utf-8', JSON.stringify({ error: 'empty body' }));
+
+            let request;
+            try {
+                request = JSON.parse(body);
+            } catch (err) {
+                return send(res, 400, 'application/json; charset=utf-8', JSON.stringify({ error: 'invalid json', detail: err.message }));
+            }
+            calls.push({ id: request?.id, method: request?.method, params: request?.params });
+
+            const started = Date.now();
+            let envelope;
+            try {
+                envelope = await dispatch(request);
+            } catch (err) {
+                envelope = { ok: false, error: { code: 'NVX_INTERNAL', msg: err.message } };
+            }
+
+            if (envelope && envelope.httpStatus) {
+                return send(res, envelope.httpStatus, 'text/plain; charset=utf-8', envelope.body ?? '');
+            }
+
+            const out = envelope?.ok === true
+                ? {
+                    ...envelope,
+                    meta: {
+                        model_revision: handle.modelRevision,
+                        query_ms: Date.now() - started,
+                        server_version: '1.0.0',
+                        request_id: request?.id ?? 'n/a',
+                        ...envelope.meta,
+                    },
+                }
+                : envelope;
+            send(res, 200, 'application/json; charset=utf-8', JSON.stringify(out));
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+
+    handle.port = server.address().port;
+    handle.url = `http://127.0.0.1:${handle.port}`;
+    return handle;
+}
+
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    const i = process.argv.indexOf('--port');
+    const port = i >= 0 ? Number(process.argv[i + 1]) : Number(process.env.NAVISWORKS_API_PORT || 1234);
+    startMockNavisworks({ port }).then(mock => {
+        console.log(`Mock Navisworks RPC listening on ${mock.url}/rpc`);
+    }).catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
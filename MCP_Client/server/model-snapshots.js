@@ -0,0 +1,222 @@
+// Model snapshots and the diff between two of them. A snapshot is a JSON file
+// with what get_model_overview (models, categories_histogram),
+// get_property_distribution_by_category and get_units_and_tolerances report:
+//
+//   { "kind": "navisworks-model-snapshot", "version": 1, "name", "created", "document",
+//     "total_elements", "models": [{ canonical_id, name, type, elements, properties: { "Category.Property": count } }],
+//     "categories": { "IfcDoor": 42 }, "units": { "length_unit": "m" } }
+//
+// Models are matched by canonical_id between snapshots, else by name, so a new
+// drop of the same file compares with its predecessor. Relative snapshot files are looked up in
+// NAVISWORKS_SNAPSHOTS_DIR, else in the export directory.
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { exportDir } from './item-export.js';
+import { coverageByModel } from './property-audit.js';
+
+export const SNAPSHOT_KIND = 'navisworks-model-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+
+export function snapshotsDir() {
+    return process.env.NAVISWORKS_SNAPSHOTS_DIR || exportDir();
+}
+
+
+/**
+ * Builds a snapshot from the shaped model overview (with `histogram`, the
+ * add-in's categories_histogram), the models of the property distribution and
+ * the units. Properties of models missing from the overview are kept under their id.
+ */
+export function buildSnapshot({ name = '', created = new Date(), overview, histogram = {}, distribution = [], units = {} }) {
+    const properties = coverageByModel(distribution);
+    const models = overview.Models.map(m => ({
+        canonical_id: m.canonical_id ?? '',
+        name: m.name ?? m.canonical_id ?? '',
+        type: m.type ?? '',
+        elements: m.parent_including_self,
+        properties: properties[m.canonical_id] ?? {},
+    }));
+    for (const [modelId, counts] of Object.entries(properties)) {
+        if (!models.some(m => m.canonical_id === modelId)) {
+            models.push({ canonical_id: modelId, name: modelId, type: '', elements: 0, properties: counts });
+        }
+    }
+
+    return {
+        kind: SNAPSHOT_KIND,
+        version: SNAPSHOT_VERSION,
+        name,
+        created: created.toISOString(),
+        document: overview.document,
+        total_elements: overview.total,
+        models,
+        categories: Object.fromEntries(Object.entries(histogram ?? {}).map(([category, count]) => [category, Number(count) || 0])),
+        units: units ?? {},
+    };
+}
+
+
+/** Reads a snapshot file; unreadable files and other JSON are InvalidParams errors. */
+export async function loadSnapshot(file, dir = snapshotsDir()) {
+    const path = resolve(dir, file);
+    let snapshot;
+    try {
+        snapshot = JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, `Cannot read snapshot ${path}: ${error.code || error.message}`);
+    }
+    if (snapshot?.kind !== SNAPSHOT_KIND || !Array.isArray(snapshot.models)) {
+        throw new McpError(ErrorCode.InvalidParams, `${path} is not a model snapshot (see snapshot_model)`);
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new McpError(ErrorCode.InvalidParams, `Snapshot ${path} has version ${snapshot.version}; expected ${SNAPSHOT_VERSION}`);
+    }
+    return { path, snapshot };
+}
+
+
+// Changes between two { key: number } maps: added, removed and changed keys.
+function diffCounts(before = {}, after = {}) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+    for (const [key, count] of Object.entries(after)) {
+        if (!Object.hasOwn(before, key)) added.push({ key, count });
+        else if (before[key] !== count) changed.push({ key, before: before[key], after: count, delta: count - before[key] });
+    }
+    for (const [key, count] of Object.entries(before)) {
+        if (!Object.hasOwn(after, key)) removed.push({ key, count });
+    }
+    return { added, removed, changed };
+}
+
+
+// Later model -> earlier model: same canonical_id first, then the same name among the rest.
+function matchModels(fromModels, toModels) {
+    const matches = new Map();
+    const unmatched = new Set(fromModels);
+    const claim = (model, predicate) => {
+        const found = [...unmatched].find(predicate);
+        if (!found) return;
+        matches.set(model, found);
+        unmatched.delete(found);
+    };
+    for (const model of toModels) {
+        if (model.canonical_id) claim(model, m => m.canonical_id === model.canonical_id);
+    }
+    for (const model of toModels.filter(m => !matches.has(m))) claim(model, m => m.name === model.name);
+    return matches;
+}
+
+
+function source(snapshot, file) {
+    return { file: file ?? null, name: snapshot.name ?? '', document: snapshot.document ?? '', created: snapshot.created ?? null };
+}
+
+
+/**
+ * Compares two snapshots: models added, removed and with other element counts,
+ * element counts per category, properties that appeared or disappeared per model
+ * (and changed counts), and units. `fromFile`/`toFile` only label the sides.
+ */
+export function diffSnapshots(from, to, { fromFile, toFile } = {}) {
+    const before = matchModels(from.models, to.models);
+    const matched = new Set(before.values());
+
+    const models = {
+        added: to.models.filter(m => !before.has(m)).map(m => ({ name: m.name, elements: m.elements })),
+        removed: from.models.filter(m => !matched.has(m)).map(m => ({ name: m.name, elements: m.elements })),
+        changed: to.models
+            .filter(m => before.has(m) && before.get(m).elements !== m.elements)
+            .map(m => ({ name: m.name, before: before.get(m).elements, after: m.elements, delta: m.elements - before.get(m).elements })),
+    };
+
+    const categories = diffCounts(from.categories, to.categories);
+
+    // Properties of added and removed models are covered by the model lists.
+    const properties = { added: [], removed: [], changed: [] };
+    for (const model of to.models.filter(m => before.has(m))) {
+        const diff = diffCounts(before.get(model).properties, model.properties);
+        properties.added.push(...diff.added.map(({ key, count }) => ({ model: model.name, property: key, count })));
+        properties.removed.push(...diff.removed.map(({ key, count }) => ({ model: model.name, property: key, count })));
+        properties.changed.push(...diff.changed.map(({ key, ...counts }) => ({ model: model.name, property: key, ...counts })));
+    }
+
+    const units = Object.keys({ ...from.units, ...to.units })
+        .filter(unit => JSON.stringify(from.units?.[unit] ?? null) !== JSON.stringify(to.units?.[unit] ?? null))
+        .map(unit => ({ unit, before: from.units?.[unit] ?? null, after: to.units?.[unit] ?? null }));
+
+    const summary = {
+        models_added: models.added.length,
+        models_removed: models.removed.length,
+        models_changed: models.changed.length,
+        categories_added: categories.added.length,
+        categories_removed: categories.removed.length,
+        categories_changed: categories.changed.length,
+        properties_added: properties.added.length,
+        properties_removed: properties.removed.length,
+        properties_changed: properties.changed.length,
+        units_changed: units.length,
+        elements: { before: from.total_elements ?? 0, after: to.total_elements ?? 0, delta: (to.total_elements ?? 0) - (from.total_elements ?? 0) },
+    };
+    summary.unchanged = summary.elements.delta === 0 &&
+        Object.entries(summary).every(([key, value]) => typeof value !== 'number' || value === 0);
+
+    return {
+        from: source(from, fromFile),
+        to: source(to, toFile),
+        summary,
+        models,
+        categories: {
+            added: categories.added.map(({ key, count }) => ({ category: key, count })),
+            removed: categories.removed.map(({ key, count }) => ({ category: key, count })),
+            changed: categories.changed.map(({ key, ...counts }) => ({ category: key, ...counts })),
+        },
+        properties,
+        units,
+    };
+}
+
+
+function signed(n) {
+    return n > 0 ? `+${n}` : String(n);
+}
+
+
+function label(side) {
+    return side.file ? `${side.name || side.file} (${side.created})` : 'live model';
+}
+
+
+/** The diff as a Markdown change report. */
+export function diffReport(diff, { limit = 50 } = {}) {
+    const lines = [`# Model changes: ${label(diff.from)} → ${label(diff.to)}`, ''];
+    const { elements } = diff.summary;
+    lines.push(`Document: ${diff.to.document}. Elements: ${elements.before} → ${elements.after} (${signed(elements.delta)}).`);
+    if (diff.summary.unchanged) {
+        lines.push('', 'No changes.');
+        return lines.join('\n') + '\n';
+    }
+
+    const section = (title, entries, format) => {
+        if (entries.length === 0) return;
+        lines.push('', `## ${title}`, '');
+        for (const entry of entries.slice(0, limit)) lines.push(`- ${format(entry)}`);
+        if (entries.length > limit) lines.push(`- … and ${entries.length - limit} more`);
+    };
+
+    section('Models added', diff.models.added, m => `${m.name} (${m.elements} elements)`);
+    section('Models removed', diff.models.removed, m => `${m.name} (${m.elements} elements)`);
+    section('Models changed', diff.models.changed, m => `${m.name}: ${m.before} → ${m.after} elements (${signed(m.delta)})`);
+    section('Categories added', diff.categories.added, c => `${c.category}: ${c.count}`);
+    section('Categories removed', diff.categories.removed, c => `${c.category}: ${c.count}`);
+    section('Category counts changed', diff.categories.changed, c => `${c.category}: ${c.before} → ${c.after} (${signed(c.delta)})`);
+    section('Properties appeared', diff.properties.added, p => `${p.model}: ${p.property} (${p.count} items)`);
+    section('Properties disappeared', diff.properties.removed, p => `${p.model}: ${p.property} (was on ${p.count} items)`);
+    section('Property coverage changed', diff.properties.changed, p => `${p.model}: ${p.property} ${p.before} → ${p.after} (${signed(p.delta)})`);
+    section('Units changed', diff.units, u => `${u.unit}: ${u.before} → ${u.after}`);
+    return lines.join('\n') + '\n';
+}
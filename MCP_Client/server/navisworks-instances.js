@@ -0,0 +1,75 @@
+// Named add-in endpoints. NAVISWORKS_INSTANCES lists them as
+//
+//   current=localhost:1234, issue-2024-05=localhost:1235, vm=10.0.0.12:1234
+//
+// (separated by , ; or newlines; an entry without "name=" is named after its
+// endpoint). Without the list there is one instance, "default", on
+// localhost:NAVISWORKS_API_PORT. Each instance has its own connection, response
+// cache and health state.
+
+import { NavisworksRpcClient } from './navisworks-rpc.js';
+import { ResponseCache } from './response-cache.js';
+
+export const DEFAULT_INSTANCE = 'default';
+const DEFAULT_PORT = '1234';
+
+
+function endpointUrl(endpoint) {
+    const text = /^\d+$/.test(endpoint) ? `localhost:${endpoint}` : endpoint;
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `http://${text}`);
+    } catch {
+        throw new Error(`Invalid Navisworks endpoint "${endpoint}"; expected host:port`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Invalid Navisworks endpoint "${endpoint}"; only http and https are supported`);
+    }
+    return url.origin;
+}
+
+
+/** Parses the NAVISWORKS_INSTANCES list into [{ name, url }]. */
+export function parseInstances(text) {
+    const instances = [];
+    for (const entry of String(text ?? '').split(/[,;\r\n]/).map(s => s.trim()).filter(Boolean)) {
+        const eq = entry.indexOf('=');
+        const name = (eq >= 0 ? entry.slice(0, eq) : entry).trim();
+        const url = endpointUrl((eq >= 0 ? entry.slice(eq + 1) : entry).trim());
+        if (!name) throw new Error(`Navisworks instance "${entry}" has no name`);
+        if (instances.some(i => i.name === name)) throw new Error(`Navisworks instance "${name}" is configured twice`);
+        instances.push({ name, url });
+    }
+    return instances;
+}
+
+
+/** Instances and default instance name from the environment. */
+export function instanceConfig(env = process.env) {
+    const configured = parseInstances(env.NAVISWORKS_INSTANCES);
+    const instances = configured.length > 0
+        ? configured
+        : [{ name: DEFAULT_INSTANCE, url: `http://localhost:${env.NAVISWORKS_API_PORT || DEFAULT_PORT}` }];
+
+    const defaultName = env.NAVISWORKS_DEFAULT_INSTANCE?.trim() || instances[0].name;
+    if (!instances.some(i => i.name === defaultName)) {
+        throw new Error(`NAVISWORKS_DEFAULT_INSTANCE "${defaultName}" is not one of ${instances.map(i => i.name).join(', ')}`);
+    }
+    return { instances, defaultName };
+}
+
+
+export class NavisworksInstance {
+    constructor({ name, url, isRetryable }) {
+        this.name = name;
+        this.rpcClient = new NavisworksRpcClient({ baseUrl: url, isRetryable });
+        // The single implicit instance keeps the cache file name of earlier versions.
+        this.cache = new ResponseCache(name === DEFAULT_INSTANCE ? {} : { fileName: `navisworks-response-cache-${name.replace(/[^\w.-]/g, '_')}.json` });
+        this.health = null;
+    }
+
+
+    get url() {
+        return this.rpcClient.baseUrl;
+    }
+}
@@ -0,0 +1,315 @@
+// Filter expressions for query_items, e.g.
+//
+//   Pset_WallCommon.FireRating >= 60 and Pset_WallCommon.IsExternal = true
+//     and not Element.Material contains 'gypsum'
+//
+// A term compares one Category.Property with a literal. Names that are not plain
+// identifiers are quoted: "Element ID"."Value". Terms combine with and/or/not
+// (also &&, ||, !) and parentheses; `and` binds tighter than `or`.
+//
+// Operators: = != > >= < <= contains startswith endswith, matches (or ~) with a
+// /regex/ or string, and `exists` without a value. Items without the property
+// only satisfy `not ...`.
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+const COMPARISONS = new Set(['=', '!=', '>', '>=', '<', '<=']);
+const WORD_OPERATORS = new Set(['contains', 'startswith', 'endswith', 'matches', 'exists']);
+const KEYWORDS = { and: 'and', or: 'or', not: 'not', '&&': 'and', '||': 'or', '!': 'not' };
+
+const TRUE_VALUES = new Set(['true', 'yes', '1']);
+const FALSE_VALUES = new Set(['false', 'no', '0']);
+
+
+function syntaxError(message, pos) {
+    return new McpError(ErrorCode.InvalidParams, `Invalid query at position ${pos + 1}: ${message}`);
+}
+
+
+function readQuoted(text, start) {
+    const quote = text[start];
+    let value = '';
+    for (let i = start + 1; i < text.length; i++) {
+        const c = text[i];
+        if (c === '\\' && i + 1 < text.length) {
+            value += text[++i];
+        } else if (c === quote) {
+            return { value, end: i + 1 };
+        } else {
+            value += c;
+        }
+    }
+    throw syntaxError('unterminated string', start);
+}
+
+
+function readRegex(text, start) {
+    let source = '';
+    for (let i = start + 1; i < text.length; i++) {
+        const c = text[i];
+        if (c === '\\' && i + 1 < text.length) {
+            source += c + text[++i];
+        } else if (c === '/') {
+            const flags = /^[a-z]*/.exec(text.slice(i + 1))[0];
+            return { source, flags, end: i + 1 + flags.length };
+        } else {
+            source += c;
+        }
+    }
+    throw syntaxError('unterminated regex', start);
+}
+
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const c = text[i];
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+        const pos = i;
+        const two = text.slice(i, i + 2);
+
+        if (c === '(' || c === ')' || c === '.') {
+            tokens.push({ kind: c, pos });
+            i++;
+        } else if (two === '&&' || two === '||') {
+            tokens.push({ kind: 'keyword', value: KEYWORDS[two], pos });
+            i += 2;
+        } else if (['>=', '<=', '!=', '=='].includes(two)) {
+            tokens.push({ kind: 'op', value: two === '==' ? '=' : two, pos });
+            i += 2;
+        } else if (c === '!') {
+            tokens.push({ kind: 'keyword', value: 'not', pos });
+            i++;
+        } else if ('=<>'.includes(c)) {
+            tokens.push({ kind: 'op', value: c, pos });
+            i++;
+        } else if (c === '~') {
+            tokens.push({ kind: 'op', value: 'matches', pos });
+            i++;
+        } else if (c === '"' || c === "'") {
+            const { value, end } = readQuoted(text, i);
+            tokens.push({ kind: 'string', value, pos });
+            i = end;
+        } else if (c === '/' && tokens.at(-1)?.value === 'matches') {
+            const { source, flags, end } = readRegex(text, i);
+            tokens.push({ kind: 'regex', source, flags, pos });
+            i = end;
+        } else {
+            const number = /^-?\d+(?:\.\d+)?(?![\p{L}\p{N}_])/u.exec(text.slice(i));
+            if (number) {
+                tokens.push({ kind: 'number', value: Number(number[0]), pos });
+                i += number[0].length;
+                continue;
+            }
+            const word = /^[\p{L}\p{N}_-]+/u.exec(text.slice(i));
+            if (!word) throw syntaxError(`unexpected character ${JSON.stringify(c)}`, pos);
+
+            const lower = word[0].toLowerCase();
+            if (lower === 'and' || lower === 'or' || lower === 'not') tokens.push({ kind: 'keyword', value: KEYWORDS[lower], pos });
+            else if (WORD_OPERATORS.has(lower)) tokens.push({ kind: 'op', value: lower, pos });
+            else if (lower === 'true' || lower === 'false') tokens.push({ kind: 'boolean', value: lower === 'true', pos });
+            else tokens.push({ kind: 'name', value: word[0], pos });
+            i += word[0].length;
+        }
+    }
+
+    tokens.push({ kind: 'end', pos: text.length });
+    return tokens;
+}
+
+
+function compileRegex(source, flags, pos) {
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        throw syntaxError(`invalid regex: ${error.message}`, pos);
+    }
+}
+
+
+/**
+ * Parses a filter expression into a tree of
+ * { type: 'and' | 'or', items }, { type: 'not', item } and
+ * { type: 'term', category, property, op, value }.
+ * Throws McpError(InvalidParams) with the position of the first error.
+ */
+export function parseQuery(text) {
+    const tokens = tokenize(String(text ?? ''));
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isKeyword = value => peek().kind === 'keyword' && peek().value === value;
+
+    function describe(token) {
+        if (token.kind === 'end') return 'end of query';
+        if (token.kind === 'regex') return `/${token.source}/`;
+        return JSON.stringify(String(token.value ?? token.kind));
+    }
+
+    function expect(kind, what) {
+        const token = next();
+        if (token.kind !== kind) throw syntaxError(`expected ${what}, found ${describe(token)}`, token.pos);
+        return token;
+    }
+
+    function name(what) {
+        const token = next();
+        if (token.kind !== 'name' && token.kind !== 'string' && token.kind !== 'number' && token.kind !== 'boolean') {
+            throw syntaxError(`expected ${what}, found ${describe(token)}`, token.pos);
+        }
+        return String(token.value);
+    }
+
+    function term() {
+        const category = name('Category.Property');
+        expect('.', `"." after category ${JSON.stringify(category)}`);
+        const property = name('property name');
+
+        const opToken = next();
+        if (opToken.kind !== 'op') throw syntaxError(`expected an operator after ${category}.${property}, found ${describe(opToken)}`, opToken.pos);
+        const op = opToken.value;
+        if (op === 'exists') return { type: 'term', category, property, op };
+
+        const value = next();
+        if (op === 'matches') {
+            if (value.kind === 'regex') return { type: 'term', category, property, op, value: compileRegex(value.source, value.flags, value.pos) };
+            if (value.kind === 'string') return { type: 'term', category, property, op, value: compileRegex(value.value, '', value.pos) };
+            throw syntaxError(`expected /regex/ or string after matches, found ${describe(value)}`, value.pos);
+        }
+        if (!['string', 'number', 'boolean', 'name'].includes(value.kind)) {
+            throw syntaxError(`expected a value after ${op}, found ${describe(value)}`, value.pos);
+        }
+        if (!COMPARISONS.has(op) && value.kind === 'boolean') {
+            throw syntaxError(`${op} needs a text value`, value.pos);
+        }
+        return { type: 'term', category, property, op, value: value.value };
+    }
+
+    function unary() {
+        if (isKeyword('not')) {
+            next();
+            return { type: 'not', item: unary() };
+        }
+        if (peek().kind === '(') {
+            next();
+            const inner = or();
+            expect(')', '")"');
+            return inner;
+        }
+        return term();
+    }
+
+    function chain(type, operand) {
+        const items = [operand()];
+        while (isKeyword(type)) {
+            next();
+            items.push(operand());
+        }
+        return items.length === 1 ? items[0] : { type, items };
+    }
+
+    const and = () => chain('and', unary);
+    const or = () => chain('or', and);
+
+    if (peek().kind === 'end') throw syntaxError('the query is empty', 0);
+    const tree = or();
+    if (peek().kind !== 'end') throw syntaxError(`unexpected ${describe(peek())}`, peek().pos);
+    return tree;
+}
+
+
+export function termKey(category, property) {
+    return `${category}.${property}`;
+}
+
+
+/** Distinct { key, category, property } referenced by the query, in order of appearance. */
+export function queryProperties(tree) {
+    const found = new Map();
+    const visit = (node) => {
+        if (node.type === 'term') {
+            const key = termKey(node.category, node.property);
+            if (!found.has(key)) found.set(key, { key, category: node.category, property: node.property });
+        } else {
+            (node.items ?? [node.item]).forEach(visit);
+        }
+    };
+    visit(tree);
+    return [...found.values()];
+}
+
+
+// Leading number of a display value such as "60", "2.5 m" or "2,5 m".
+function numberOf(value) {
+    const match = /^\s*([-+]?\d+(?:[.,]\d+)?)/.exec(String(value));
+    return match ? Number(match[1].replace(',', '.')) : NaN;
+}
+
+
+function compare(op, actual, expected, ignoreCase) {
+    if (typeof expected === 'boolean') {
+        const text = String(actual).trim().toLowerCase();
+        const truth = TRUE_VALUES.has(text) ? true : FALSE_VALUES.has(text) ? false : undefined;
+        if (op === '=') return truth === expected;
+        if (op === '!=') return truth !== undefined && truth !== expected;
+        return false;
+    }
+
+    // Number literals compare numerically, everything else as text.
+    let order;
+    if (typeof expected === 'number') {
+        const number = numberOf(actual);
+        if (!Number.isFinite(number)) return op === '!=';
+        order = Math.sign(number - expected);
+    } else {
+        const fold = s => (ignoreCase ? String(s).toLowerCase() : String(s));
+        const a = fold(actual);
+        const b = fold(expected);
+        order = a === b ? 0 : a < b ? -1 : 1;
+    }
+
+    switch (op) {
+        case '=': return order === 0;
+        case '!=': return order !== 0;
+        case '>': return order > 0;
+        case '>=': return order >= 0;
+        case '<': return order < 0;
+        default: return order <= 0;
+    }
+}
+
+
+function matchesTerm(term, values, ignoreCase) {
+    const actual = values.get(termKey(term.category, term.property));
+    if (term.op === 'exists') return actual !== undefined;
+    if (actual === undefined || actual === null) return false;
+
+    const fold = s => (ignoreCase ? String(s).toLowerCase() : String(s));
+    switch (term.op) {
+        case 'contains': return fold(actual).includes(fold(term.value));
+        case 'startswith': return fold(actual).startsWith(fold(term.value));
+        case 'endswith': return fold(actual).endsWith(fold(term.value));
+        case 'matches': {
+            const regex = ignoreCase && !term.value.flags.includes('i') ? new RegExp(term.value.source, term.value.flags + 'i') : term.value;
+            regex.lastIndex = 0;
+            return regex.test(String(actual));
+        }
+        default: return compare(term.op, actual, term.value, ignoreCase);
+    }
+}
+
+
+/** Evaluates the query for one item; `values` maps termKey → property value of that item. */
+export function evaluateQuery(tree, values, { ignoreCase = true } = {}) {
+    switch (tree.type) {
+        case 'and': return tree.items.every(item => evaluateQuery(item, values, { ignoreCase }));
+        case 'or': return tree.items.some(item => evaluateQuery(item, values, { ignoreCase }));
+        case 'not': return !evaluateQuery(tree.item, values, { ignoreCase });
+        default: return matchesTerm(tree, values, ignoreCase);
+    }
+}
@@ -0,0 +1,202 @@
+// HTTP transport to the add-in's /rpc endpoint: per-call timeouts, cancellation,
+// retries with backoff for read-only methods, unique request ids and a ping
+// based health check with actionable errors.
+//
+// Failures are McpErrors carrying `data.rpcCode`: the add-in's NVX_* code, or one
+// of the client-side codes below.
+
+import { randomUUID } from 'node:crypto';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+export const NVX_UNREACHABLE = 'NVX_UNREACHABLE';
+export const NVX_WRONG_SERVICE = 'NVX_WRONG_SERVICE';
+export const NVX_CLIENT_TIMEOUT = 'NVX_CLIENT_TIMEOUT';
+export const NVX_CANCELED = 'NVX_CANCELED';
+export const NVX_ID_MISMATCH = 'NVX_ID_MISMATCH';
+
+// These change the document or the selection and are never sent twice.
+export const NEVER_RETRY = new Set(['apply_selection', 'clear_selection', 'run_simple_clash']);
+
+// Methods that walk the whole model get at least this long.
+const METHOD_TIMEOUTS_MS = {
+    get_property_distribution_by_category: 120000,
+    list_items_to_property: 120000,
+    run_simple_clash: 300000,
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 250;
+const HEALTH_TIMEOUT_MS = 5000;
+
+
+export function rpcError(rpcCode, message, { errorCode = ErrorCode.InternalError, transient = false } = {}) {
+    return new McpError(errorCode, message, { rpcCode, transient });
+}
+
+
+function envNumber(name, fallback) {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n >= 0 && process.env[name] !== '' ? n : fallback;
+}
+
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(rpcError(NVX_CANCELED, 'Request was canceled.'));
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+
+export class NavisworksRpcClient {
+    constructor({
+        baseUrl,
+        timeoutMs = envNumber('NAVISWORKS_RPC_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+        retries = envNumber('NAVISWORKS_RPC_RETRIES', DEFAULT_RETRIES),
+        retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+        isRetryable = () => false,
+    } = {}) {
+        this.baseUrl = baseUrl;
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.retryDelayMs = retryDelayMs;
+        this.isRetryable = isRetryable;
+    }
+
+
+    timeoutFor(method) {
+        return Math.max(METHOD_TIMEOUTS_MS[method] ?? 0, this.timeoutMs);
+    }
+
+
+    /**
+     * Calls `method` and returns the full {ok, data, meta} envelope.
+     * Options: `timeoutMs` (per call), `signal` (AbortSignal, e.g. from MCP request cancellation).
+     */
+    async call(method, params = {}, { signal, timeoutMs } = {}) {
+        const retryable = !NEVER_RETRY.has(method) && this.isRetryable(method);
+        const attempts = retryable ? this.retries + 1 : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.callOnce(method, params, { signal, timeoutMs: timeoutMs ?? this.timeoutFor(method) });
+            } catch (error) {
+                if (attempt >= attempts || !error?.data?.transient || signal?.aborted) throw error;
+                const backoff = this.retryDelayMs * 2 ** (attempt - 1);
+                await wait(backoff + Math.floor(Math.random() * this.retryDelayMs), signal);
+            }
+        }
+    }
+
+
+    async callOnce(method, params, { signal, timeoutMs }) {
+        if (signal?.aborted) throw rpcError(NVX_CANCELED, `${method} was canceled.`);
+
+        const id = randomUUID();
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let resp;
+        let text;
+        try {
+            resp = await fetch(`${this.baseUrl}/rpc`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id, method, params }),
+                signal: controller.signal,
+            });
+            text = await resp.text();
+        } catch (error) {
+            if (signal?.aborted) throw rpcError(NVX_CANCELED, `${method} was canceled.`);
+            if (timedOut) {
+                throw rpcError(NVX_CLIENT_TIMEOUT,
+                    `Navisworks did not answer ${method} within ${timeoutMs} ms. The add-in may be busy with a large model; ` +
+                    'try again or raise NAVISWORKS_RPC_TIMEOUT_MS.',
+                    { errorCode: ErrorCode.RequestTimeout, transient: true });
+            }
+            throw this.unreachableError(error);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        if (!resp.ok) {
+            if (resp.status === 404) throw this.wrongServiceError('HTTP 404 for POST /rpc');
+            throw rpcError('NVX_HTTP', `HTTP ${resp.status}: ${resp.statusText}`, { transient: resp.status >= 500 });
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw this.wrongServiceError('response is not JSON');
+        }
+        if (!data || typeof data.ok !== 'boolean') {
+            throw this.wrongServiceError('response has no ok field');
+        }
+
+        const echoed = data.meta?.request_id;
+        if (echoed && echoed !== 'n/a' && echoed !== id) {
+            throw rpcError(NVX_ID_MISMATCH, `Response to ${method} belongs to request ${echoed}, expected ${id}.`);
+        }
+
+        if (!data.ok) {
+            const code = data?.error?.code ?? 'UNKNOWN';
+            const msg = data?.error?.msg ?? 'Unknown error';
+            throw rpcError(code, `RPC error ${code}: ${msg}`);
+        }
+        return data;
+    }
+
+
+    unreachableError(error) {
+        const reason = error?.cause?.code || error?.code || error?.message || 'fetch failed';
+        return rpcError(NVX_UNREACHABLE,
+            `Navisworks is not reachable at ${this.baseUrl} (${reason}). Make sure Navisworks Manage is running, ` +
+            'the waabe MCP add-in server is started from the ribbon, and api_port (NAVISWORKS_API_PORT) or the instance ' +
+            'list (NAVISWORKS_INSTANCES) matches its port.',
+            { transient: true });
+    }
+
+
+    wrongServiceError(detail) {
+        return rpcError(NVX_WRONG_SERVICE,
+            `The service at ${this.baseUrl} is not the Navisworks MCP add-in (${detail}). ` +
+            'Another program is using this port; check api_port (NAVISWORKS_API_PORT) or NAVISWORKS_INSTANCES.');
+    }
+
+
+    /**
+     * Pings the add-in. Returns { state, message, url, checked_at } where state is
+     * "ok", "unreachable", "wrong_service", "unresponsive" or "error".
+     */
+    async checkHealth({ signal } = {}) {
+        const result = { state: 'ok', message: 'Navisworks add-in is reachable.', url: this.baseUrl, checked_at: new Date().toISOString() };
+        try {
+            await this.callOnce('ping', {}, { signal, timeoutMs: Math.min(HEALTH_TIMEOUT_MS, this.timeoutMs) });
+        } catch (error) {
+            const code = error?.data?.rpcCode;
+            // Add-ins without a ping route still answer with a proper envelope.
+            if (code === 'NVX_NOT_FOUND') return result;
+
+            result.state = {
+                [NVX_UNREACHABLE]: 'unreachable',
+                [NVX_WRONG_SERVICE]: 'wrong_service',
+                [NVX_CLIENT_TIMEOUT]: 'unresponsive',
+            }[code] ?? 'error';
+            result.message = error.message;
+        }
+        return result;
+    }
+}
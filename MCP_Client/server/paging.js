@@ -0,0 +1,169 @@
+// Cursor pagination and an output size budget for tools that return lists.
+//
+// The full list is fetched (and cached, see response-cache.js); the client returns
+// one page of it. A page that does not fit into the budget is shortened, and
+// whenever entries are left out the result carries a summary of the whole list.
+
+import { createHash } from 'node:crypto';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { cacheKey } from './response-cache.js';
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+const DEFAULT_BUDGET_CHARS = 40000;
+const CHARS_PER_TOKEN = 4;
+const SUMMARY_LIMIT = 20;
+
+// Tools whose results are paged; they additionally accept `cursor` and `pageSize`.
+export const PAGED_TOOLS = new Set([
+    'get_model_overview',
+    'get_property_distribution_by_category',
+    'list_properties_for_item',
+    'list_items_to_property',
+    'get_current_selection_snapshot',
+    'query_items',
+    'combine_selection_sets',
+]);
+
+export const PAGING_ARGUMENTS = {
+    cursor: { type: 'string', description: 'page.nextCursor of the previous result; omit for the first page' },
+    pageSize: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, description: `Entries per page (default ${DEFAULT_PAGE_SIZE})` },
+};
+
+export const PAGE_OUTPUT_PROPERTIES = {
+    page: {
+        type: 'object',
+        properties: {
+            offset: { type: 'integer' },
+            returned: { type: 'integer' },
+            total: { type: 'integer' },
+            nextCursor: { type: 'string', description: 'Pass as cursor to get the next page; absent on the last page' },
+            budgetLimited: { type: 'boolean', description: 'The page was shortened to fit the output budget' },
+        },
+        required: ['offset', 'returned', 'total'],
+    },
+    summary: { type: 'object', description: 'Summary of the whole list; present when entries are left out' },
+};
+
+
+function envPositive(name) {
+    const n = Number(process.env[name]);
+    return process.env[name] && Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+
+// Maximum length of one tool result: NAVISWORKS_OUTPUT_BUDGET_CHARS, or NAVISWORKS_OUTPUT_BUDGET_TOKENS (≈ 4 chars each).
+export function outputBudgetChars() {
+    const chars = envPositive('NAVISWORKS_OUTPUT_BUDGET_CHARS');
+    if (chars) return chars;
+    const tokens = envPositive('NAVISWORKS_OUTPUT_BUDGET_TOKENS');
+    return tokens ? tokens * CHARS_PER_TOKEN : DEFAULT_BUDGET_CHARS;
+}
+
+
+// A cursor is only valid for the tool and arguments it was issued for.
+function queryKey(tool, args) {
+    const { cursor, pageSize, noCache, ...query } = args ?? {};
+    return createHash('sha1').update(cacheKey(tool, query)).digest('hex').slice(0, 12);
+}
+
+
+export function encodeCursor(offset, key) {
+    return Buffer.from(JSON.stringify({ o: offset, k: key })).toString('base64url');
+}
+
+
+export function decodeCursor(cursor, key) {
+    if (cursor === undefined || cursor === null || cursor === '') return 0;
+
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        decoded = null;
+    }
+    if (!Number.isInteger(decoded?.o) || decoded.o < 0) {
+        throw new McpError(ErrorCode.InvalidParams, 'Invalid cursor; use page.nextCursor from the previous result.');
+    }
+    if (decoded.k !== key) {
+        throw new McpError(ErrorCode.InvalidParams, 'The cursor belongs to a query with different arguments; start again without cursor.');
+    }
+    return decoded.o;
+}
+
+
+/**
+ * Counts entries by `keyOf`, most frequent first. Beyond `limit` distinct keys
+ * the rest is added up under "(others)".
+ */
+export function countBy(items, keyOf, limit = SUMMARY_LIMIT) {
+    const counts = new Map();
+    for (const item of items) {
+        const key = String(keyOf(item) ?? '(none)');
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+    }
+
+    const sorted = [...counts].sort((a, b) => b[1] - a[1]);
+    const out = Object.fromEntries(sorted.slice(0, limit));
+    const others = sorted.slice(limit).reduce((sum, [, n]) => sum + n, 0);
+    if (others > 0) out['(others)'] = others;
+    return out;
+}
+
+
+function measure(payload) {
+    return JSON.stringify(payload, null, 2).length;
+}
+
+
+/**
+ * Returns one page of `items` rendered by `render(pageItems)`, extended by
+ * `page: { offset, returned, total, nextCursor?, budgetLimited? }` and, when
+ * entries are left out, `summary: summarize(items)`.
+ *
+ * `args` are the tool arguments including `cursor` and `pageSize`.
+ */
+export function paginate({ tool, args, items, render, summarize, budgetChars = outputBudgetChars() }) {
+    const list = Array.isArray(items) ? items : [];
+    const key = queryKey(tool, args);
+    const total = list.length;
+
+    const offset = decodeCursor(args?.cursor, key);
+    if (offset > total) {
+        throw new McpError(ErrorCode.InvalidParams, `cursor points past the end of the list (${total} entries); the model may have changed.`);
+    }
+
+    const pageSize = args?.pageSize ?? DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new McpError(ErrorCode.InvalidParams, 'pageSize must be a positive integer');
+    }
+
+    const wanted = Math.min(pageSize, MAX_PAGE_SIZE, total - offset);
+    let summary;
+    const build = (count) => {
+        const end = offset + count;
+        const page = { offset, returned: count, total };
+        if (count < wanted) page.budgetLimited = true;
+        const payload = { ...render(list.slice(offset, end)), page };
+        if (end < total) {
+            page.nextCursor = encodeCursor(end, key);
+            summary ??= summarize ? summarize(list) : undefined;
+            if (summary !== undefined) payload.summary = summary;
+        }
+        return payload;
+    };
+
+    const payload = build(wanted);
+    if (wanted <= 1 || measure(payload) <= budgetChars) return payload;
+
+    // Largest page that fits; at least one entry so paging always makes progress.
+    let lo = 1;
+    let hi = wanted - 1;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (measure(build(mid)) <= budgetChars) lo = mid;
+        else hi = mid - 1;
+    }
+    return build(lo);
+}
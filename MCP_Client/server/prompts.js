@@ -0,0 +1,157 @@
+// MCP prompts: parameterized coordination workflows built around the tools. Each
+// prompt is a Markdown file in ./prompts or in NAVISWORKS_PROMPTS_DIR (a prompt
+// there replaces a built-in one of the same name). The files are read on every
+// request, so new prompts show up without restarting the server.
+//
+//   ---
+//   name: clash_review
+//   title: Clash review
+//   description: Runs a clash test between two scopes and reviews the results.
+//   arguments:
+//     - scopeA (required): Model name, canonical_id or group of side A
+//     - tolerance_m: Clash tolerance in metres
+//   ---
+//   Run a clash test between {{scopeA}} and ... with {{tolerance_m|0.01}} m.
+//
+// {{name}} is replaced by the argument; {{name|text}} falls back to `text` when
+// the argument is missing or blank.
+
+import { ErrorCode, GetPromptRequestSchema, ListPromptsRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { readdirSync, readFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const BUILTIN_PROMPTS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'prompts');
+
+const NAME = /^[A-Za-z0-9_-]+$/;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+const FIELD = /^(name|title|description|arguments):\s*(.*)$/;
+const ARGUMENT = /^\s+-\s+([A-Za-z0-9_-]+)\s*(\(required\))?\s*(?::\s*(.*))?$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+
+export function promptDirs(env = process.env) {
+    const custom = env.NAVISWORKS_PROMPTS_DIR?.trim();
+    return custom ? [BUILTIN_PROMPTS_DIR, custom] : [BUILTIN_PROMPTS_DIR];
+}
+
+
+/**
+ * Parses a prompt file into { name, title, description, arguments, template }.
+ * Without a `name` field the prompt is named after the file.
+ */
+export function parsePrompt(text, fileName = 'prompt.md') {
+    const m = FRONT_MATTER.exec(String(text).replace(/^\uFEFF/, ''));
+    if (!m) throw new Error(`${fileName}: missing the --- front matter`);
+
+    const prompt = { name: basename(fileName, '.md'), arguments: [] };
+    let inArguments = false;
+    for (const line of m[1].split(/\r?\n/)) {
+        if (line.trim() === '' || line.trimStart().startsWith('#')) continue;
+
+        const argument = inArguments && ARGUMENT.exec(line);
+        if (argument) {
+            const [, name, required, description] = argument;
+            if (prompt.arguments.some(a => a.name === name)) throw new Error(`${fileName}: argument ${name} is declared twice`);
+            prompt.arguments.push({ name, ...(description ? { description: description.trim() } : {}), required: !!required });
+            continue;
+        }
+
+        const field = FIELD.exec(line);
+        if (!field) throw new Error(`${fileName}: cannot read front matter line "${line.trim()}"`);
+        inArguments = field[1] === 'arguments';
+        if (!inArguments) prompt[field[1]] = field[2].trim();
+    }
+
+    if (!NAME.test(prompt.name)) throw new Error(`${fileName}: invalid prompt name "${prompt.name}"`);
+    prompt.template = m[2].trim();
+    if (!prompt.template) throw new Error(`${fileName}: the prompt text is empty`);
+
+    for (const [, name] of prompt.template.matchAll(PLACEHOLDER)) {
+        if (!prompt.arguments.some(a => a.name === name)) throw new Error(`${fileName}: {{${name}}} is not a declared argument`);
+    }
+    return prompt;
+}
+
+
+/**
+ * Prompts of all directories by name; later directories win. Unreadable
+ * directories and invalid files are reported through `onError` and skipped.
+ */
+export function loadPrompts(dirs = promptDirs(), onError = () => { }) {
+    const prompts = new Map();
+    for (const dir of dirs) {
+        let files;
+        try {
+            files = readdirSync(dir).filter(f => f.toLowerCase().endsWith('.md')).sort();
+        } catch (error) {
+            onError(new Error(`Prompt directory ${dir}: ${error.message}`));
+            continue;
+        }
+        for (const file of files) {
+            try {
+                const prompt = parsePrompt(readFileSync(join(dir, file), 'utf8'), file);
+                prompts.set(prompt.name, prompt);
+            } catch (error) {
+                onError(error);
+            }
+        }
+    }
+    return prompts;
+}
+
+
+/** The prompt text with its arguments filled in. */
+export function renderPrompt(prompt, args = {}) {
+    for (const name of Object.keys(args)) {
+        if (!prompt.arguments.some(a => a.name === name)) {
+            throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: unknown argument ${name} for prompt ${prompt.name}`);
+        }
+    }
+    const value = name => String(args[name] ?? '').trim();
+    const missing = prompt.arguments.filter(a => a.required && !value(a.name)).map(a => a.name);
+    if (missing.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: prompt ${prompt.name} requires ${missing.join(', ')}`);
+    }
+    return prompt.template.replace(PLACEHOLDER, (_, name, fallback) => value(name) || (fallback ?? '').trim());
+}
+
+
+export class PromptManager {
+    constructor({ dirs } = {}) {
+        this.dirs = dirs ?? promptDirs();
+        this.reported = new Set();
+    }
+
+
+    // Each problem is logged once, not on every list request.
+    prompts() {
+        return loadPrompts(this.dirs, (error) => {
+            if (this.reported.has(error.message)) return;
+            this.reported.add(error.message);
+            console.error(`[prompts] ${error.message}`);
+        });
+    }
+
+
+    setupHandlers(server) {
+        server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+            prompts: [...this.prompts().values()].map(p => ({
+                name: p.name,
+                ...(p.title ? { title: p.title } : {}),
+                ...(p.description ? { description: p.description } : {}),
+                arguments: p.arguments,
+            })),
+        }));
+
+        server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+            const { name, arguments: args } = request.params;
+            const prompt = this.prompts().get(name);
+            if (!prompt) throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+            return {
+                ...(prompt.description ? { description: prompt.description } : {}),
+                messages: [{ role: 'user', content: { type: 'text', text: renderPrompt(prompt, args) } }],
+            };
+        });
+    }
+}
@@ -0,0 +1,251 @@
+// Property data quality audits against a requirements file (JSON or YAML):
+//
+//   name: Hospital EIR
+//   scope: all
+//   rules:
+//     - id: door-fire-rating
+//       category: IfcDoor
+//       require: [Pset_DoorCommon.FireRating]
+//       constraints: ["Pset_DoorCommon.FireRating matches /^R?EI\\d+/"]
+//     - id: space-area
+//       elements: Item.Type = IfcSpace and not Element.Category = Areas
+//       scope: Hospital_ARC.ifc
+//       require: [Element.Name]
+//       constraints: ["Pset_SpaceCommon.Area > 0"]
+//
+// A rule applies to the elements of an element `category` (their Item.Type) or
+// to the elements matching an `elements` filter in the query_items language.
+// The Item.Type lookup of a category rule asks the add-in only for items whose
+// type contains the category (ValueFilter); the rule filter still decides.
+// Each `require` property must be present with a non-blank value; each of the
+// `constraints` is a filter the element has to satisfy. `scope` limits a rule
+// to models; the file-level scope is the default.
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { readFile } from 'node:fs/promises';
+import { extname, resolve } from 'node:path';
+import YAML from 'yaml';
+import { exportDir } from './item-export.js';
+import { evaluateQuery, parseQuery, queryProperties, termKey } from './navisworks-query.js';
+
+// Navisworks shows the class of an item (IfcDoor, Walls, ...) as Item > Type.
+const ELEMENT_TYPE = 'Item.Type';
+const RULE_FIELDS = new Set(['id', 'description', 'category', 'elements', 'scope', 'require', 'constraints']);
+// The add-in reads ValueFilter texts starting like this as a comparison or a regex, not as a substring.
+const VALUE_FILTER_SYNTAX = /^[<>=!~^$/]/;
+
+
+function invalidRules(message) {
+    return new McpError(ErrorCode.InvalidParams, `Invalid rules: ${message}`);
+}
+
+
+// Relative rules files are looked up in NAVISWORKS_RULES_DIR, else in the export directory.
+export function rulesDir() {
+    return process.env.NAVISWORKS_RULES_DIR || exportDir();
+}
+
+
+/** Reads and parses a rules file; `.json` files are read as JSON, all others as YAML. */
+export async function loadRulesFile(file, dir = rulesDir()) {
+    const path = resolve(dir, file);
+    let text;
+    try {
+        text = (await readFile(path, 'utf8')).replace(/^\uFEFF/, '');
+    } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, `Cannot read rules file ${path}: ${error.code || error.message}`);
+    }
+    try {
+        return { path, doc: extname(path).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text) };
+    } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid rules file ${path}: ${error.message}`);
+    }
+}
+
+
+function list(value, where) {
+    if (value === undefined || value === null) return [];
+    const entries = Array.isArray(value) ? value : [value];
+    entries.forEach((entry, i) => {
+        if (typeof entry !== 'string' || !entry.trim()) throw invalidRules(`${where}[${i}] must be a non-empty string`);
+    });
+    return entries.map(e => e.trim());
+}
+
+
+function filter(text, where) {
+    try {
+        return parseQuery(text);
+    } catch (error) {
+        // McpError prefixes its message with "MCP error <code>: ".
+        throw invalidRules(`${where}: ${error.message.replace(/^MCP error -?\d+: /, '')}`);
+    }
+}
+
+
+function propertyRef(text, where) {
+    const tree = filter(`${text} exists`, where);
+    if (tree.type !== 'term') throw invalidRules(`${where}: expected Category.Property, got "${text}"`);
+    return { key: termKey(tree.category, tree.property), category: tree.category, property: tree.property };
+}
+
+
+function quoted(text) {
+    return `'${text.replace(/[\\']/g, '\\$&')}'`;
+}
+
+
+/**
+ * Checks a parsed rules document and compiles its filters. Returns
+ * { name, scope, rules } where each rule carries its element filter, required
+ * properties, constraints and the list of properties to look up (with the
+ * `valueFilter` the add-in applies, if any).
+ */
+export function compileRules(doc) {
+    const root = Array.isArray(doc) ? { rules: doc } : doc;
+    if (!root || typeof root !== 'object') throw invalidRules('expected an object with a rules list');
+    if (!Array.isArray(root.rules) || root.rules.length === 0) throw invalidRules('rules must be a non-empty list');
+    if (root.scope !== undefined && typeof root.scope !== 'string') throw invalidRules('scope must be a string');
+
+    const ids = new Set();
+    const rules = root.rules.map((rule, i) => {
+        const where = `rules[${i}]`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw invalidRules(`${where} must be an object`);
+        for (const key of Object.keys(rule)) {
+            if (!RULE_FIELDS.has(key)) throw invalidRules(`${where}: unknown field ${key}`);
+        }
+        for (const key of ['id', 'description', 'category', 'elements', 'scope']) {
+            if (rule[key] !== undefined && typeof rule[key] !== 'string') throw invalidRules(`${where}.${key} must be a string`);
+        }
+
+        const id = rule.id?.trim() || `rule-${i + 1}`;
+        if (ids.has(id)) throw invalidRules(`${where}: rule id ${id} is used twice`);
+        ids.add(id);
+
+        const category = rule.category?.trim();
+        const elementsText = rule.elements?.trim();
+        if (!category === !elementsText) throw invalidRules(`${where} needs either category or elements`);
+        const elements = elementsText
+            ? filter(elementsText, `${where}.elements`)
+            : filter(`${ELEMENT_TYPE} = ${quoted(category)}`, `${where}.category`);
+
+        const require = list(rule.require, `${where}.require`).map((text, j) => propertyRef(text, `${where}.require[${j}]`));
+        const constraints = list(rule.constraints, `${where}.constraints`)
+            .map((text, j) => ({ text, tree: filter(text, `${where}.constraints[${j}]`) }));
+        if (require.length === 0 && constraints.length === 0) throw invalidRules(`${where} needs require or constraints`);
+
+        const properties = new Map();
+        for (const p of [...queryProperties(elements), ...require, ...constraints.flatMap(c => queryProperties(c.tree))]) {
+            if (!properties.has(p.key)) properties.set(p.key, { key: p.key, category: p.category, property: p.property });
+        }
+        if (category && !VALUE_FILTER_SYNTAX.test(category)) properties.get(ELEMENT_TYPE).valueFilter = category;
+
+        return {
+            id,
+            description: rule.description?.trim() ?? '',
+            elements: elementsText ?? `${ELEMENT_TYPE} = ${quoted(category)}`,
+            elementsTree: elements,
+            scope: rule.scope?.trim() || undefined,
+            require,
+            constraints,
+            properties: [...properties.values()],
+        };
+    });
+
+    return {
+        name: typeof root.name === 'string' ? root.name.trim() : '',
+        scope: root.scope?.trim() || undefined,
+        rules,
+    };
+}
+
+
+/**
+ * { modelId: { "Category.Property": count } } from the models of
+ * get_property_distribution_by_category.
+ */
+export function coverageByModel(models) {
+    const coverage = {};
+    for (const model of models ?? []) {
+        const counts = coverage[model.modelId] ??= {};
+        for (const category of model.categories ?? []) {
+            for (const p of category.properties ?? []) counts[termKey(category.category, p.property)] = p.count;
+        }
+    }
+    return coverage;
+}
+
+
+function blank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+
+/**
+ * Checks one rule against the items of its scope, joined by canonical_id
+ * ({ item, path, values }). Returns the rule result with one entry per model; at most
+ * `maxFailures` failing elements are listed per model, `failedIds` holds all of them.
+ */
+export function auditRule(rule, found, { scope = 'all', ignoreCase = true, coverage = {}, maxFailures = 100 } = {}) {
+    const models = new Map();
+    const failedIds = [];
+
+    for (const { item, path, values } of found.values()) {
+        if (!evaluateQuery(rule.elementsTree, values, { ignoreCase })) continue;
+
+        const modelId = item.model_canonical_id ?? '';
+        if (!models.has(modelId)) {
+            models.set(modelId, {
+                model_name: item.model_name ?? '',
+                model_canonical_id: modelId,
+                checked: 0,
+                passed: 0,
+                failed: 0,
+                coverage: Object.fromEntries(rule.require.map(r => [r.key, coverage[modelId]?.[r.key] ?? null])),
+                failures: [],
+            });
+        }
+        const model = models.get(modelId);
+        model.checked++;
+
+        const failed = [
+            ...rule.require.filter(r => blank(values.get(r.key))).map(r => `missing ${r.key}`),
+            ...rule.constraints.filter(c => !evaluateQuery(c.tree, values, { ignoreCase })).map(c => c.text),
+        ];
+        if (failed.length === 0) {
+            model.passed++;
+            continue;
+        }
+
+        model.failed++;
+        failedIds.push(item.canonical_id);
+        if (model.failures.length < maxFailures) {
+            model.failures.push({
+                canonical_id: item.canonical_id,
+                path: path ?? '',
+                failed,
+                values: Object.fromEntries(rule.properties.map(p => [p.key, values.get(p.key) ?? null])),
+            });
+        } else {
+            model.failuresTruncated = true;
+        }
+    }
+
+    const results = [...models.values()];
+    const checked = results.reduce((sum, m) => sum + m.checked, 0);
+    const failed = results.reduce((sum, m) => sum + m.failed, 0);
+    return {
+        result: {
+            id: rule.id,
+            description: rule.description,
+            elements: rule.elements,
+            scope,
+            status: checked === 0 ? 'not_applicable' : failed === 0 ? 'pass' : 'fail',
+            checked,
+            passed: checked - failed,
+            failed,
+            models: results,
+        },
+        failedIds,
+    };
+}
@@ -0,0 +1,280 @@
+// MCP resources for the loaded models, single items and the current selection.
+// Subscriptions are served by polling the add-in: the document is considered
+// changed when `meta.model_revision` (or, while the add-in reports "n/a", the
+// list of loaded models) changes; the selection when its canonical_ids change.
+//
+// The URIs refer to the default instance; prefixed with `instance/<name>/`
+// (navisworks://instance/archive/models) to the named one.
+
+import {
+    ErrorCode,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    McpError,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+
+export const MODELS_URI = 'navisworks://models';
+export const SELECTION_URI = 'navisworks://selection';
+
+const INSTANCE_URI = /^navisworks:\/\/instance\/([^/]+)\/(.+)$/;
+const MODEL_URI = /^navisworks:\/\/model\/([^/]+)$/;
+const ITEM_PROPERTIES_URI = /^navisworks:\/\/item\/([^/]+)\/properties$/;
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+
+/** The URI of `path` (e.g. "models") on `instance`, or on the default instance without one. */
+function resourceUri(path, instance) {
+    return instance ? `navisworks://instance/${encodeURIComponent(instance)}/${path}` : `navisworks://${path}`;
+}
+
+
+export function parseResourceUri(uri) {
+    const scoped = INSTANCE_URI.exec(uri);
+    if (scoped) {
+        const target = parseResourceUri(`navisworks://${scoped[2]}`);
+        return target && !target.instance ? { ...target, instance: decodeURIComponent(scoped[1]) } : null;
+    }
+
+    if (uri === MODELS_URI) return { kind: 'models' };
+    if (uri === SELECTION_URI) return { kind: 'selection' };
+
+    let m = MODEL_URI.exec(uri);
+    if (m) return { kind: 'model', canonicalId: decodeURIComponent(m[1]) };
+
+    m = ITEM_PROPERTIES_URI.exec(uri);
+    if (m) return { kind: 'item', canonicalId: decodeURIComponent(m[1]) };
+
+    return null;
+}
+
+
+function jsonContents(uri, payload) {
+    return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(payload, null, 2) }] };
+}
+
+
+export class ResourceManager {
+    constructor(nav, { pollIntervalMs } = {}) {
+        this.nav = nav;
+        this.server = null;
+        this.subscriptions = new Set();
+        this.pollIntervalMs = pollIntervalMs ?? (Number(process.env.NAVISWORKS_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS);
+        this.timer = null;
+        this.inflight = null;
+        // Instance name -> fingerprint of the previous poll.
+        this.documentRevisions = new Map();
+        this.selectionRevisions = new Map();
+    }
+
+
+    // Instances other than the default, which the plain URIs refer to.
+    namedInstances() {
+        return [...this.nav.instances.keys()].filter(name => name !== this.nav.defaultInstanceName);
+    }
+
+
+    setupHandlers(server) {
+        this.server = server;
+        server.setRequestHandler(ListResourcesRequestSchema, async () => {
+            const resources = [
+                { uri: MODELS_URI, name: 'Loaded models', description: 'Models of the active Navisworks document.', mimeType: 'application/json' },
+                { uri: SELECTION_URI, name: 'Current selection', description: 'canonical_ids and paths of the selected items.', mimeType: 'application/json' },
+            ];
+
+            // The model list is only a convenience; without a running add-in the static entries remain.
+            try {
+                const overview = this.nav.shapeModelOverview(await this.nav.rpc('get_model_overview', {}));
+                for (const model of overview.Models) {
+                    if (!model.canonical_id) continue;
+                    resources.push({
+                        uri: `navisworks://model/${encodeURIComponent(model.canonical_id)}`,
+                        name: model.name || model.canonical_id,
+                        description: `Loaded model${model.type ? ` (${model.type})` : ''}`,
+                        mimeType: 'application/json',
+                    });
+                }
+            } catch { /* ignore */ }
+
+            for (const instance of this.namedInstances()) {
+                resources.push(
+                    { uri: resourceUri('models', instance), name: `Loaded models (${instance})`, description: `Models of the active document of instance ${instance}.`, mimeType: 'application/json' },
+                    { uri: resourceUri('selection', instance), name: `Current selection (${instance})`, description: `canonical_ids and paths of the items selected in instance ${instance}.`, mimeType: 'application/json' },
+                );
+            }
+
+            return { resources };
+        });
+
+        server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+            const resourceTemplates = [
+                {
+                    uriTemplate: 'navisworks://model/{canonical_id}',
+                    name: 'Model',
+                    description: 'A single loaded model by canonical_id.',
+                    mimeType: 'application/json',
+                },
+                {
+                    uriTemplate: 'navisworks://item/{canonical_id}/properties',
+                    name: 'Item properties',
+                    description: 'All property categories of an item by canonical_id.',
+                    mimeType: 'application/json',
+                },
+            ];
+            if (this.namedInstances().length > 0) {
+                resourceTemplates.push(...resourceTemplates.map(t => ({
+                    ...t,
+                    uriTemplate: t.uriTemplate.replace('navisworks://', 'navisworks://instance/{instance}/'),
+                    name: `${t.name} of an instance`,
+                    description: `${t.description} From the named instance (see list_instances).`,
+                })));
+            }
+            return { resourceTemplates };
+        });
+
+        server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) =>
+            this.nav.requestContext.run({ signal: extra?.signal }, () => this.read(request.params.uri)));
+
+        server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            const { uri } = request.params;
+            const target = parseResourceUri(uri);
+            if (!target) throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+            if (target.instance) this.nav.instance(target.instance);
+            this.subscriptions.add(uri);
+            this.startPolling();
+            return {};
+        });
+
+        server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            this.subscriptions.delete(request.params.uri);
+            if (this.subscriptions.size === 0) this.stopPolling();
+            return {};
+        });
+    }
+
+
+    async read(uri) {
+        const target = parseResourceUri(uri);
+        if (!target) throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+        const options = { instance: target.instance };
+
+        try {
+            switch (target.kind) {
+                case 'models':
+                    return jsonContents(uri, this.nav.shapeModelOverview(await this.nav.rpc('get_model_overview', {}, options)));
+
+                case 'model': {
+                    const overview = this.nav.shapeModelOverview(await this.nav.rpc('get_model_overview', {}, options));
+                    const model = overview.Models.find(m => m.canonical_id === target.canonicalId);
+                    if (!model) throw new McpError(ErrorCode.InvalidParams, `Model not found: ${target.canonicalId}`);
+                    return jsonContents(uri, { document: overview.document, ...model });
+                }
+
+                case 'item':
+                    return jsonContents(uri, await this.nav.rpc('list_properties_for_item', { item_id: target.canonicalId }, options));
+
+                case 'selection':
+                    return jsonContents(uri, await this.nav.rpc('get_current_selection_snapshot', {}, options));
+            }
+        } catch (error) {
+            if (error instanceof McpError) throw error;
+            throw new McpError(ErrorCode.InternalError, `Error occurred while reading ${uri}: ${error.message}`);
+        }
+    }
+
+
+    startPolling() {
+        if (this.timer) return;
+        this.timer = setInterval(() => { this.poll().catch(() => { }); }, this.pollIntervalMs);
+        this.timer.unref?.();
+        // Take the baseline right away so the first change after subscribing is reported.
+        this.poll().catch(() => { });
+    }
+
+
+    stopPolling() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.documentRevisions.clear();
+        this.selectionRevisions.clear();
+    }
+
+
+    async documentFingerprint(instance) {
+        return this.nav.documentRevision(await this.nav.rpcEnvelope('get_model_overview', {}, { instance }));
+    }
+
+
+    async selectionFingerprint(instance) {
+        const snapshot = await this.nav.rpc('get_current_selection_snapshot', {}, { instance });
+        return JSON.stringify(Array.isArray(snapshot?.canonical_id) ? snapshot.canonical_id : []);
+    }
+
+
+    /**
+     * Compares the document and selection of every instance with subscribed
+     * resources with the previous poll and notifies subscribers of changed
+     * resources. The first poll only records a baseline. Concurrent calls share
+     * the poll in flight.
+     */
+    poll() {
+        if (!this.inflight) {
+            this.inflight = this.pollOnce().finally(() => { this.inflight = null; });
+        }
+        return this.inflight;
+    }
+
+
+    async pollOnce() {
+        if (this.subscriptions.size === 0) return [];
+
+        const byInstance = new Map();
+        for (const uri of this.subscriptions) {
+            const target = parseResourceUri(uri);
+            const instance = target.instance ?? this.nav.defaultInstanceName;
+            if (!byInstance.has(instance)) byInstance.set(instance, []);
+            byInstance.get(instance).push({ uri, kind: target.kind });
+        }
+
+        const changed = [];
+        for (const [instance, targets] of byInstance) {
+            // An instance that does not answer keeps its baseline and holds up none of the others.
+            try {
+                changed.push(...await this.pollInstance(instance, targets));
+            } catch { /* try again next poll */ }
+        }
+
+        for (const uri of changed) {
+            await this.server.sendResourceUpdated({ uri });
+        }
+        return changed;
+    }
+
+
+    async pollInstance(instance, targets) {
+        const documentUris = targets.filter(t => t.kind !== 'selection').map(t => t.uri);
+        const selectionUris = targets.filter(t => t.kind === 'selection').map(t => t.uri);
+        const changed = [];
+
+        if (documentUris.length > 0) {
+            const fp = await this.documentFingerprint(instance);
+            const previous = this.documentRevisions.get(instance);
+            if (previous !== undefined && fp !== previous) {
+                changed.push(...documentUris);
+                await this.server.sendResourceListChanged();
+            }
+            this.documentRevisions.set(instance, fp);
+        }
+
+        if (selectionUris.length > 0) {
+            const fp = await this.selectionFingerprint(instance);
+            const previous = this.selectionRevisions.get(instance);
+            if (previous !== undefined && fp !== previous) changed.push(...selectionUris);
+            this.selectionRevisions.set(instance, fp);
+        }
+        return changed;
+    }
+}
@@ -0,0 +1,199 @@
+// Cache for the envelopes of read-only RPC methods, kept in memory and, when a
+// directory is configured, in a JSON file that survives restarts.
+//
+// Entries belong to one document revision: `meta.model_revision` when the add-in
+// reports one, otherwise the list of loaded models from get_model_overview. When
+// the revision changes all entries are dropped. The revision is checked again
+// once NAVISWORKS_CACHE_REVISION_CHECK_MS have passed since the last check.
+
+import { mkdirSync, readFileSync } from 'node:fs';
+import { rename, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+
+// Read-only, but not covered by the document revision (or used to determine it).
+export const UNCACHED_METHODS = new Set(['get_model_overview', 'get_current_selection_snapshot']);
+
+export const NO_CACHE_ARGUMENT = {
+    type: 'boolean',
+    description: 'Bypass the response cache and fetch fresh data from Navisworks.',
+};
+
+const CACHE_FILE = 'navisworks-response-cache.json';
+const FILE_VERSION = 1;
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_REVISION_CHECK_MS = 30000;
+
+
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(v => stableStringify(v === undefined ? null : v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+
+// Same method and params (in any key order, undefined values ignored) give the same key.
+export function cacheKey(method, params = {}) {
+    return `${method} ${stableStringify(params ?? {})}`;
+}
+
+
+function envMaxEntries() {
+    const raw = process.env.NAVISWORKS_CACHE_MAX_ENTRIES;
+    const n = Number(raw);
+    return raw !== undefined && raw !== '' && Number.isInteger(n) && n >= 0 ? n : DEFAULT_MAX_ENTRIES;
+}
+
+
+// Without a model_revision from the add-in every check walks the model (get_model_overview).
+function envRevisionCheckMs() {
+    const raw = process.env.NAVISWORKS_CACHE_REVISION_CHECK_MS;
+    const n = Number(raw);
+    return raw !== undefined && raw !== '' && Number.isInteger(n) && n >= 0 ? n : DEFAULT_REVISION_CHECK_MS;
+}
+
+
+export class ResponseCache {
+    constructor({
+        maxEntries = envMaxEntries(),
+        dir = process.env.NAVISWORKS_CACHE_DIR || null,
+        revisionCheckMs = envRevisionCheckMs(),
+        fileName = CACHE_FILE,
+    } = {}) {
+        this.maxEntries = maxEntries;
+        this.revisionCheckMs = revisionCheckMs;
+        this.file = dir ? join(dir, fileName) : null;
+        this.entries = new Map();
+        this.revision = undefined;
+        this.revisionCheckedAt = 0;
+        this.stats = { hits: 0, misses: 0, invalidations: 0 };
+        this.saving = null;
+        this.dirty = false;
+        this.load();
+    }
+
+
+    get enabled() {
+        return this.maxEntries > 0;
+    }
+
+
+    // True while the last revision check is recent enough to trust without asking the add-in again.
+    revisionIsFresh(now = Date.now()) {
+        return this.revision !== undefined && now - this.revisionCheckedAt < this.revisionCheckMs;
+    }
+
+
+    setRevision(revision) {
+        this.revisionCheckedAt = Date.now();
+        if (revision === this.revision) return;
+
+        if (this.entries.size > 0) {
+            this.entries.clear();
+            this.stats.invalidations++;
+        }
+        this.revision = revision;
+        this.save();
+    }
+
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+        // Re-insert to keep the Map in least-recently-used order.
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry.envelope;
+    }
+
+
+    set(key, method, envelope) {
+        if (!this.enabled) return;
+        this.entries.delete(key);
+        this.entries.set(key, { method, envelope, stored_at: new Date().toISOString() });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.save();
+    }
+
+
+    // Drops all entries, or only those of `method`. Returns the number removed.
+    clear(method) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (method && entry.method !== method) continue;
+            this.entries.delete(key);
+            removed++;
+        }
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+
+    status() {
+        const byMethod = {};
+        for (const { method } of this.entries.values()) byMethod[method] = (byMethod[method] ?? 0) + 1;
+
+        return {
+            enabled: this.enabled,
+            revision: this.revision ?? null,
+            entries: this.entries.size,
+            max_entries: this.maxEntries,
+            by_method: byMethod,
+            ...this.stats,
+            disk_file: this.file,
+        };
+    }
+
+
+    load() {
+        if (!this.file || !this.enabled) return;
+        try {
+            const stored = JSON.parse(readFileSync(this.file, 'utf8'));
+            if (stored?.version !== FILE_VERSION || !Array.isArray(stored.entries)) return;
+            this.revision = stored.revision ?? undefined;
+            for (const [key, entry] of stored.entries.slice(-this.maxEntries)) {
+                if (typeof key === 'string' && entry?.envelope) this.entries.set(key, entry);
+            }
+        } catch { /* missing or unreadable file: start empty */ }
+    }
+
+
+    // Writes are serialized; changes made during a write are saved right after it.
+    save() {
+        if (!this.file) return;
+        if (this.saving) {
+            this.dirty = true;
+            return;
+        }
+
+        const data = JSON.stringify({ version: FILE_VERSION, revision: this.revision, entries: [...this.entries] });
+        const tmp = `${this.file}.tmp`;
+        this.saving = (async () => {
+            mkdirSync(dirname(this.file), { recursive: true });
+            await writeFile(tmp, data, 'utf8');
+            await rename(tmp, this.file);
+        })()
+            .catch(error => { console.error(`[cache] could not write ${this.file}: ${error.message}`); })
+            .finally(() => {
+                this.saving = null;
+                if (this.dirty) {
+                    this.dirty = false;
+                    this.save();
+                }
+            });
+    }
+
+
+    // Resolves once pending writes are on disk.
+    async flush() {
+        while (this.saving) await this.saving;
+    }
+}
@@ -0,0 +1,129 @@
+// JSON schema checks for tool arguments and results. Covers the keywords the
+// tool catalog uses: type, enum, required, properties, additionalProperties,
+// items, oneOf, minLength, minimum, maximum, minItems and default.
+//
+// Strings are trimmed before minLength is checked, so "   " does not count as
+// a value.
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+
+function matchesType(value, type) {
+    if (!type) return true;
+    if (Array.isArray(type)) return type.some(t => matchesType(value, t));
+    const actual = typeOf(value);
+    if (type === 'number') return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+    return actual === type;
+}
+
+
+function describeTypes(schema) {
+    return Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+}
+
+
+/**
+ * Returns a list of problems of `value` against `schema`; an empty list means valid.
+ * `path` names the checked field in the messages.
+ */
+export function checkValue(schema, value, path) {
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (Array.isArray(schema.oneOf)) {
+        const matching = schema.oneOf.filter(s => checkValue(s, value, path).length === 0);
+        if (matching.length !== 1) {
+            const types = schema.oneOf.map(s => s?.type).filter(Boolean).join(' or ');
+            return [`${path} must be ${types || 'one of the allowed shapes'}`];
+        }
+        return [];
+    }
+
+    if (!matchesType(value, schema.type)) {
+        return [`${path} must be of type ${describeTypes(schema)}`];
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.join(', ')}`];
+    }
+
+    switch (typeOf(value)) {
+        case 'string':
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                return [schema.minLength === 1 ? `${path} must not be empty` : `${path} must have at least ${schema.minLength} characters`];
+            }
+            return [];
+
+        case 'number':
+        case 'integer':
+            if (schema.minimum !== undefined && value < schema.minimum) return [`${path} must be >= ${schema.minimum}`];
+            if (schema.maximum !== undefined && value > schema.maximum) return [`${path} must be <= ${schema.maximum}`];
+            return [];
+
+        case 'array': {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return [`${path} must have at least ${schema.minItems} ${schema.minItems === 1 ? 'entry' : 'entries'}`];
+            }
+            return schema.items ? value.flatMap((v, i) => checkValue(schema.items, v, `${path}[${i}]`)) : [];
+        }
+
+        case 'object':
+            return checkObject(schema, value, path);
+
+        default:
+            return [];
+    }
+}
+
+
+function checkObject(schema, value, path) {
+    const properties = schema.properties ?? {};
+    const field = key => (path ? `${path}.${key}` : key);
+    const problems = [];
+
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+        if (value[key] === undefined || value[key] === null) problems.push(`${field(key)} is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+        if (v === undefined) continue;
+        if (properties[key]) {
+            problems.push(...checkValue(properties[key], v, field(key)));
+        } else if (schema.additionalProperties === false) {
+            problems.push(`unknown argument ${field(key)}`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            problems.push(...checkValue(schema.additionalProperties, v, field(key)));
+        }
+    }
+    return problems;
+}
+
+
+/**
+ * Validates tool arguments against an object input schema and returns a copy
+ * with schema defaults applied. Arguments the schema does not declare are
+ * rejected unless it sets `additionalProperties`. Throws McpError(InvalidParams)
+ * naming the offending fields.
+ */
+export function validateArguments(schema, args) {
+    if (args !== undefined && args !== null && typeOf(args) !== 'object') {
+        throw new McpError(ErrorCode.InvalidParams, 'Invalid arguments: arguments must be an object');
+    }
+
+    const out = { ...(args ?? {}) };
+    for (const [key, prop] of Object.entries(schema?.properties ?? {})) {
+        if (out[key] === undefined && prop && prop.default !== undefined) out[key] = prop.default;
+    }
+
+    const problems = checkObject({ additionalProperties: false, ...schema }, out, '');
+    if (problems.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: ${problems.join('; ')}`);
+    }
+    return out;
+}
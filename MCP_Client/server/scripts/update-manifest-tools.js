@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+// Regenerates the `tools` section of MCP_Client/manifest.json from the tool catalog
+// plus the tools implemented by the client, and the `prompts` section from the
+// built-in prompt files.
+//
+//   node scripts/update-manifest-tools.js          built-in definitions (tool-catalog.js)
+//   node scripts/update-manifest-tools.js --live   catalog of the running add-in (describe_tools),
+//                                                  port from NAVISWORKS_API_PORT
+//   node scripts/update-manifest-tools.js --check  exit 1 if manifest.json is out of date
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { NavisworksMCPServer } from '../index.js';
+import { BUILTIN_PROMPTS_DIR, loadPrompts } from '../prompts.js';
+import { BUILTIN_TOOLS, CLIENT_TOOLS } from '../tool-catalog.js';
+
+const manifestPath = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..', 'manifest.json');
+const live = process.argv.includes('--live');
+const check = process.argv.includes('--check');
+
+
+async function main() {
+    let tools = [...BUILTIN_TOOLS, ...CLIENT_TOOLS];
+    if (live) {
+        const server = new NavisworksMCPServer();
+        await server.loadToolCatalog();
+        if (server.toolSource !== 'server') {
+            throw new Error(`describe_tools not available at ${server.navisworksApiUrl}`);
+        }
+        tools = await server.getTools();
+    }
+
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    const current = JSON.stringify([manifest.tools ?? [], manifest.prompts ?? []]);
+    manifest.tools = tools.map(t => ({ name: t.name, description: t.description }));
+    manifest.prompts = [...loadPrompts([BUILTIN_PROMPTS_DIR], (error) => { throw error; }).values()].map(p => ({
+        name: p.name,
+        description: p.description,
+        arguments: p.arguments.map(a => a.name),
+        // The manifest writes arguments as ${arguments.name}; fallback texts are dropped.
+        text: p.template.replace(/\{\{\s*([\w-]+)\s*(?:\|[^}]*)?\}\}/g, (_, name) => `\${arguments.${name}}`),
+    }));
+
+    if (check) {
+        if (current !== JSON.stringify([manifest.tools, manifest.prompts])) {
+            console.error('manifest.json tools or prompts are out of date; run npm run manifest:tools');
+            process.exit(1);
+        }
+        return;
+    }
+
+    writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`manifest.json: ${manifest.tools.length} tools and ${manifest.prompts.length} prompts written`);
+}
+
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,146 @@
+// Named selection sets: canonical_id lists saved by the client, kept per
+// document (by its title) in a JSON file so they survive restarts:
+//
+//   { "version": 1, "documents": { "<title>": { "<name>": { canonical_id, description, created, updated } } } }
+//
+// The file lives in NAVISWORKS_SELECTION_SETS_DIR, else in the export directory.
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { readFileSync } from 'node:fs';
+import { mkdir, rename, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { exportDir } from './item-export.js';
+
+export const SET_OPERATIONS = ['union', 'intersect', 'subtract'];
+
+const SETS_FILE = 'navisworks-selection-sets.json';
+const FILE_VERSION = 1;
+const GUID = /^\{?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\}?$/i;
+
+
+/**
+ * The form the add-in reports a canonical_id in: GUIDs lowercase without
+ * braces ("D" format), other IDs lowercase, as the add-in matches them
+ * ignoring case.
+ */
+export function normalizeCanonicalId(id) {
+    const text = String(id ?? '').trim();
+    return (GUID.exec(text)?.[1] ?? text).toLowerCase();
+}
+
+
+/**
+ * Combines canonical_id lists: union and intersect over all lists, subtract
+ * removes the IDs of the other lists from the first. Keeps first-seen order.
+ */
+export function combineSets(operation, lists) {
+    const [first = [], ...rest] = lists.map(ids => [...new Set(ids)]);
+    switch (operation) {
+        case 'union':
+            return [...new Set(lists.flat())];
+        case 'intersect': {
+            const others = rest.map(ids => new Set(ids));
+            return first.filter(id => others.every(set => set.has(id)));
+        }
+        case 'subtract': {
+            const removed = new Set(rest.flat());
+            return first.filter(id => !removed.has(id));
+        }
+        default:
+            throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: operation must be one of ${SET_OPERATIONS.join(', ')}`);
+    }
+}
+
+
+export function selectionSetsDir() {
+    return process.env.NAVISWORKS_SELECTION_SETS_DIR || exportDir();
+}
+
+
+export class SelectionSetStore {
+    // Without `dir` the directory is looked up when the file is first read.
+    constructor({ dir, fileName = SETS_FILE } = {}) {
+        this.dir = dir;
+        this.fileName = fileName;
+        this.file = null;
+        this.documents = null;
+        this.writing = Promise.resolve();
+    }
+
+
+    // Read on first use; a missing or unreadable file starts empty.
+    sets(document) {
+        if (!this.documents) {
+            this.file = join(this.dir ?? selectionSetsDir(), this.fileName);
+            // Document titles are keys; without a prototype "constructor" or "__proto__" are titles like any other.
+            this.documents = Object.create(null);
+            try {
+                const stored = JSON.parse(readFileSync(this.file, 'utf8'));
+                if (stored?.version === FILE_VERSION && stored.documents && typeof stored.documents === 'object') {
+                    Object.assign(this.documents, stored.documents);
+                }
+            } catch { /* start empty */ }
+        }
+        return Object.hasOwn(this.documents, document) ? this.documents[document] : {};
+    }
+
+
+    list(document) {
+        return Object.entries(this.sets(document))
+            .map(([name, set]) => ({ name, count: set.canonical_id.length, description: set.description ?? '', created: set.created, updated: set.updated }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+
+    /** The set called `name`; an unknown name is an InvalidParams error listing the saved sets. */
+    get(document, name) {
+        const set = Object.hasOwn(this.sets(document), name) ? this.sets(document)[name] : undefined;
+        if (!set) {
+            const names = Object.keys(this.sets(document));
+            throw new McpError(ErrorCode.InvalidParams,
+                `Invalid arguments: no selection set "${name}" for document ${document}` +
+                (names.length ? `; saved sets: ${names.join(', ')}` : '; no sets are saved for it'));
+        }
+        return set;
+    }
+
+
+    async save(document, name, ids, { description } = {}) {
+        const sets = this.sets(document);
+        const previous = Object.hasOwn(sets, name) ? sets[name] : undefined;
+        const now = new Date().toISOString();
+        this.documents[document] = {
+            ...sets,
+            [name]: {
+                canonical_id: [...new Set(ids.map(normalizeCanonicalId))],
+                description: description ?? previous?.description ?? '',
+                created: previous?.created ?? now,
+                updated: now,
+            },
+        };
+        await this.persist();
+        return { set: this.documents[document][name], replaced: !!previous };
+    }
+
+
+    async delete(document, name) {
+        const sets = this.sets(document);
+        if (!Object.hasOwn(sets, name)) return false;
+        delete sets[name];
+        if (Object.keys(sets).length === 0) delete this.documents[document];
+        await this.persist();
+        return true;
+    }
+
+
+    // Writes one after another, each through a temporary file.
+    persist() {
+        const data = JSON.stringify({ version: FILE_VERSION, documents: this.documents }, null, 2);
+        this.writing = this.writing.catch(() => { }).then(async () => {
+            await mkdir(dirname(this.file), { recursive: true });
+            await writeFile(`${this.file}.tmp`, data, 'utf8');
+            await rename(`${this.file}.tmp`, this.file);
+        });
+        return this.writing;
+    }
+}
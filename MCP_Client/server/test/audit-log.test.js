@@ -0,0 +1,95 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { AuditLog, compactArgs } from '../audit-log.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+
+describe('AuditLog', () => {
+    let dir;
+
+    before(() => { dir = mkdtempSync(join(tmpdir(), 'nvx-audit-log-')); });
+    after(() => { rmSync(dir, { recursive: true, force: true }); });
+
+    it('rotates the file and reads entries across files, newest first', async () => {
+        const log = new AuditLog({ enabled: true, dir, maxBytes: 300, maxFiles: 2 });
+        for (let i = 0; i < 12; i++) log.record({ tool: i % 2 ? 'apply_selection' : 'get_model_overview', call: i, error: i === 11 ? { code: -32603 } : null });
+        await log.writing;
+
+        assert.deepEqual(readdirSync(dir).sort(), ['navisworks-audit.1.jsonl', 'navisworks-audit.2.jsonl', 'navisworks-audit.jsonl']);
+        for (const file of log.files().slice(0, 3)) assert.ok(readFileSync(file).length <= 300, file);
+
+        const recent = await log.recent({ limit: 3 });
+        assert.deepEqual(recent.map(e => e.call), [11, 10, 9]);
+        assert.deepEqual((await log.recent({ tool: 'apply_selection', limit: 2 })).map(e => e.call), [11, 9]);
+        assert.deepEqual((await log.recent({ errorsOnly: true })).map(e => e.call), [11]);
+        // The oldest entries were dropped with the oldest file.
+        assert.ok((await log.recent({ limit: 100 })).length < 12);
+    });
+
+    it('shortens long lists and strings', () => {
+        const args = compactArgs({ canonical_id: Array.from({ length: 25 }, (_, i) => `id-${i}`), where: 'x'.repeat(600), cursor: undefined });
+        assert.equal(args.canonical_id.length, 21);
+        assert.equal(args.canonical_id[20], '… 5 more');
+        assert.equal(args.where.length, 501);
+        assert.ok(!('cursor' in args));
+    });
+});
+
+
+describe('audit log of tool calls', () => {
+    let h;
+    let dir;
+    const log = async (args = {}) => parseJsonContent(await h.client.callTool({ name: 'get_audit_log', arguments: args }));
+
+    before(async () => {
+        h = await startHarness({ auditLog: true });
+        dir = mkdtempSync(join(tmpdir(), 'nvx-audit-log-'));
+        process.env.NAVISWORKS_AUDIT_LOG_DIR = dir;
+    });
+    after(async () => {
+        await h.server.auditLog.writing;
+        delete process.env.NAVISWORKS_AUDIT_LOG_DIR;
+        rmSync(dir, { recursive: true, force: true });
+        await h.close();
+    });
+
+    it('records tool, normalized arguments, instance, timings and result size', async () => {
+        await h.client.callTool({ name: 'get_element_count_by_category', arguments: { category: 'IfcDoor' } });
+
+        const { enabled, file, entries } = await log({ limit: 1 });
+        assert.equal(enabled, true);
+        assert.equal(file, join(dir, 'navisworks-audit.jsonl'));
+
+        const [entry] = entries;
+        assert.equal(entry.tool, 'get_element_count_by_category');
+        assert.deepEqual(entry.args, { category: 'IfcDoor', scope: 'all', instance: 'default' });
+        assert.equal(entry.instance, 'default');
+        assert.equal(entry.rpc_calls, 1);
+        assert.equal(typeof entry.query_ms, 'number');
+        assert.ok(entry.duration_ms >= 0);
+        assert.ok(entry.result_bytes > 0);
+        assert.equal(entry.error, null);
+    });
+
+    it('records failed calls with their error code', async () => {
+        await assert.rejects(h.client.callTool({ name: 'list_properties_for_item', arguments: { item_id: 'x' } }));
+
+        const { entries } = await log({ errorsOnly: true });
+        assert.equal(entries[0].tool, 'list_properties_for_item');
+        assert.deepEqual(entries[0].args, { item_id: 'x' });
+        assert.equal(entries[0].error.code, ErrorCode.InvalidParams);
+        assert.equal(entries[0].result_bytes, null);
+    });
+
+    it('filters by tool and time', async () => {
+        const { entries } = await log({ tool: 'get_audit_log' });
+        assert.ok(entries.length >= 2);
+        assert.ok(entries.every(e => e.tool === 'get_audit_log' && e.instance === null));
+        assert.equal((await log({ since: '2999-01-01' })).count, 0);
+        await assert.rejects(log({ since: 'yesterday' }), err => err.code === ErrorCode.InvalidParams);
+    });
+});
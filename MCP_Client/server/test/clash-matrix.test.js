@@ -0,0 +1,143 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { basename, join } from 'node:path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { clashMatrix, createBcf, ifcGuid, planClashMatrix } from '../clash-matrix.js';
+import { loadErrorFixture } from '../mock/mock-navisworks.js';
+import { parseJsonContent, readZip, startHarness } from './helpers.js';
+
+const GROUPS = { STR: 'Hospital_STR.rvt', MEP: 'Hospital_MEP.nwc', ARC: 'Hospital_ARC.ifc' };
+
+
+describe('planClashMatrix', () => {
+    it('tests every combination of two groups', () => {
+        const runs = planClashMatrix({ groups: GROUPS, tolerance_m: 0.02 });
+        assert.deepEqual(runs.map(r => r.name), ['STR vs MEP', 'STR vs ARC', 'MEP vs ARC']);
+        assert.deepEqual(runs[0], {
+            name: 'STR vs MEP', groupA: 'STR', groupB: 'MEP', scopeA: 'Hospital_STR.rvt', scopeB: 'Hospital_MEP.nwc', tolerance_m: 0.02,
+        });
+        assert.equal(planClashMatrix({ groups: GROUPS, includeSelf: true }).length, 6);
+    });
+
+    it('resolves group names in explicit pairs and keeps their tolerance', () => {
+        const runs = planClashMatrix({ groups: GROUPS, pairs: [{ scopeA: 'MEP', scopeB: 'Hospital_X.ifc', tolerance_m: 0.05, name: 'Ducts' }] });
+        assert.deepEqual(runs, [{ name: 'Ducts', groupA: 'MEP', scopeA: 'Hospital_MEP.nwc', scopeB: 'Hospital_X.ifc', tolerance_m: 0.05 }]);
+    });
+
+    it('needs pairs or two groups', () => {
+        assert.throws(() => planClashMatrix({ groups: { STR: 'a' } }), err => err.code === ErrorCode.InvalidParams);
+    });
+
+    it('counts clashes per group pair', () => {
+        assert.deepEqual(clashMatrix([
+            { groupA: 'STR', groupB: 'MEP', results: 3 },
+            { groupA: 'STR', groupB: 'MEP', results: 2 },
+            { scopeA: 'x', scopeB: 'y', results: 9 },
+        ]), { STR: { MEP: 5 } });
+    });
+
+    it('compresses GUIDs to IFC GlobalIds', () => {
+        assert.equal(ifcGuid('00000000-0000-0000-0000-000000000000'), '0000000000000000000000');
+        assert.equal(ifcGuid('{FFFFFFFF-FFFF-FFFF-FFFF-FFFFFFFFFFFF}'), '3$$$$$$$$$$$$$$$$$$$$$');
+        assert.equal(ifcGuid('p:1a2b3c'), null);
+    });
+
+    it('writes BCF archives with more than 65535 entries as ZIP64', () => {
+        const pairs = Array.from({ length: 33000 }, (_, i) => ({ a: `p:a${i}`, b: `p:b${i}`, name: `Clash${i + 1}` }));
+        const { data, topics } = createBcf([{ name: 'STR vs MEP', test_name: 'STR vs MEP', scopeA: 'STR', scopeB: 'MEP', tolerance_m: 0.01, pairs }]);
+        assert.equal(topics, 33000);
+
+        const end = data.length - 22;
+        assert.equal(data.readUInt16LE(end + 10), 0xffff);
+        assert.equal(data.readUInt32LE(end - 20), 0x07064b50);
+        const zip = readZip(data);
+        assert.equal(Object.keys(zip).length, 2 + 2 * 33000);
+        assert.match(zip[Object.keys(zip).at(-1)].toString('utf8'), /<AuthoringToolId>p:b32999<\/AuthoringToolId>/);
+    });
+});
+
+
+describe('run_clash_matrix', () => {
+    let h;
+    let dir;
+    const runMatrix = async args => parseJsonContent(await h.client.callTool({ name: 'run_clash_matrix', arguments: args }));
+
+    before(async () => {
+        h = await startHarness();
+        dir = mkdtempSync(join(tmpdir(), 'nvx-clash-'));
+        process.env.NAVISWORKS_EXPORT_DIR = dir;
+    });
+    after(async () => {
+        delete process.env.NAVISWORKS_EXPORT_DIR;
+        rmSync(dir, { recursive: true, force: true });
+        await h.close();
+    });
+    beforeEach(() => { h.mock.reset(); });
+
+    it('runs the tests one by one and aggregates the counts', async () => {
+        const result = await runMatrix({ groups: GROUPS, fileName: 'coordination', pairPreview: 2 });
+
+        const calls = h.mock.calls.filter(c => c.method === 'run_simple_clash');
+        assert.deepEqual(calls.map(c => [c.params.scopeA, c.params.scopeB, c.params.test_name]), [
+            ['Hospital_STR.rvt', 'Hospital_MEP.nwc', 'MCP Clash Matrix: STR vs MEP'],
+            ['Hospital_STR.rvt', 'Hospital_ARC.ifc', 'MCP Clash Matrix: STR vs ARC'],
+            ['Hospital_MEP.nwc', 'Hospital_ARC.ifc', 'MCP Clash Matrix: MEP vs ARC'],
+        ]);
+
+        assert.equal(result.total_results, 21);
+        assert.deepEqual(result.matrix, { STR: { MEP: 7, ARC: 7 }, MEP: { ARC: 7 } });
+        assert.equal(result.tests[0].pairs.length, 2);
+        assert.equal(result.tests[0].pairsTruncated, true);
+        assert.deepEqual(result.tests[0].pairs[0], {
+            a: 'd0000001-0000-4000-8000-000000000101', b: '5e000002-0000-4000-8000-000000000201', name: 'Clash1', distance: -0.012,
+        });
+        assert.equal(basename(result.files.bcf), 'coordination.bcfzip');
+        assert.equal(basename(result.files.html), 'coordination.html');
+    });
+
+    it('writes one BCF topic per clash pair', async () => {
+        const result = await runMatrix({ pairs: [{ scopeA: 'Hospital_ARC.ifc', scopeB: 'Hospital_STR.rvt' }] });
+        assert.equal(result.topics, 7);
+
+        const zip = readZip(readFileSync(result.files.bcf));
+        assert.match(zip['bcf.version'].toString('utf8'), /<Version VersionId="2\.1"/);
+        const markups = Object.keys(zip).filter(name => name.endsWith('/markup.bcf'));
+        assert.equal(markups.length, 7);
+
+        const topic = markups.map(name => zip[name].toString('utf8')).find(xml => xml.includes('<Title>Clash1: '));
+        assert.match(topic, /<Topic Guid="[0-9a-f-]{36}" TopicType="Clash" TopicStatus="Open">/);
+        const viewpoint = zip[markups.find(name => zip[name].toString('utf8') === topic).replace('markup.bcf', 'viewpoint.bcfv')].toString('utf8');
+        assert.match(viewpoint, new RegExp(`<Component IfcGuid="${ifcGuid('d0000001-0000-4000-8000-000000000101').replace(/\$/g, '\\$')}">`));
+        assert.match(viewpoint, /<AuthoringToolId>5e000002-0000-4000-8000-000000000201<\/AuthoringToolId>/);
+    });
+
+    it('writes an HTML report with the matrix', async () => {
+        const result = await runMatrix({ groups: { STR: GROUPS.STR, MEP: GROUPS.MEP } });
+        const html = readFileSync(result.files.html, 'utf8');
+        assert.match(html, /<h2>Matrix<\/h2>/);
+        assert.match(html, /<tr><td>STR<\/td><td><\/td><td>7<\/td><\/tr>/);
+        assert.match(html, /<summary>STR vs MEP \(7\)<\/summary>/);
+    });
+
+    it('keeps going when a test fails', async () => {
+        h.mock.respondWith('run_simple_clash', params => (params.scopeB === 'Hospital_MEP.nwc'
+            ? loadErrorFixture('NVX_TIMEOUT')
+            : { ok: true, data: { success: true, results: 1, pairs: [{ a: 'x', b: 'y', name: 'Clash1', distance: -0.1 }] } }));
+
+        const result = await runMatrix({ groups: GROUPS });
+        assert.equal(result.failed, 1);
+        assert.equal(result.tests[0].success, false);
+        assert.match(result.tests[0].message, /NVX_TIMEOUT/);
+        assert.equal(result.total_results, 2);
+        assert.equal(result.topics, 2);
+    });
+
+    it('warns when the add-in returns no clash pairs', async () => {
+        h.mock.respondWith('run_simple_clash', { ok: true, data: { success: true, results: 4 } });
+        const result = await runMatrix({ pairs: [{ scopeA: 'all', scopeB: 'all' }] });
+        assert.equal(result.topics, 0);
+        assert.match(result.warnings[0], /does not return clash pairs/);
+    });
+});
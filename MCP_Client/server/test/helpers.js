@@ -0,0 +1,76 @@
+// Shared setup for the end-to-end tests: a mock add-in plus a NavisworksMCPServer
+// connected to an MCP client over the SDK's in-memory transport.
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { inflateRawSync } from 'node:zlib';
+import { NavisworksMCPServer } from '../index.js';
+import { startMockNavisworks } from '../mock/mock-navisworks.js';
+
+
+// The response cache is off unless `cache` is set, so every tool call reaches the mock;
+// the audit log is off unless `auditLog` is set.
+export async function startHarness({ mockOptions, cache = false, auditLog = false } = {}) {
+    const mock = await startMockNavisworks(mockOptions);
+
+    const server = new NavisworksMCPServer();
+    server.navisworksApiUrl = mock.url;
+    server.rpcClient.retryDelayMs = 1;
+    if (!cache) server.cache.maxEntries = 0;
+    server.auditLog.enabled = auditLog;
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.server.connect(serverTransport);
+
+    const client = new Client({ name: 'navisworks-mcp-test', version: '1.0.0' });
+    await client.connect(clientTransport);
+
+    return {
+        mock,
+        server,
+        client,
+        async close() {
+            await client.close();
+            await server.server.close();
+            await mock.close();
+        },
+    };
+}
+
+
+// Tool results wrap their JSON payload in a ```json fence.
+export function parseJsonContent(result) {
+    const text = result?.content?.[0]?.text ?? '';
+    const match = text.match(/```json\n([\s\S]*?)\n```/);
+    return JSON.parse(match ? match[1] : text);
+}
+
+
+// Entries of a ZIP archive as { name: Buffer }, read from the central directory.
+export function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    let count = buffer.readUInt16LE(end + 10);
+    let pos = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff) {
+        const end64 = Number(buffer.readBigUInt64LE(end - 20 + 8));
+        count = Number(buffer.readBigUInt64LE(end64 + 32));
+        pos = Number(buffer.readBigUInt64LE(end64 + 48));
+    }
+    const entries = {};
+
+    for (let i = 0; i < count; i++) {
+        const method = buffer.readUInt16LE(pos + 10);
+        const size = buffer.readUInt32LE(pos + 20);
+        const nameLength = buffer.readUInt16LE(pos + 28);
+        const extraLength = buffer.readUInt16LE(pos + 30);
+        const commentLength = buffer.readUInt16LE(pos + 32);
+        const offset = buffer.readUInt32LE(pos + 42);
+        const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+        const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        const data = buffer.subarray(dataStart, dataStart + size);
+        entries[name] = method === 8 ? inflateRawSync(data) : data;
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
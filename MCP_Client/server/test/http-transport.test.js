@@ -0,0 +1,147 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { request } from 'node:http';
+import { startHttpServer, transportConfig } from '../http-transport.js';
+import { startHarness } from './helpers.js';
+
+const TOKEN = 'test-token';
+const INITIALIZE = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'curl', version: '1' } },
+};
+
+
+describe('transportConfig', () => {
+    it('defaults to stdio and switches to HTTP by flag or environment', () => {
+        assert.equal(transportConfig([], {}).transport, 'stdio');
+        assert.deepEqual(transportConfig(['--http', '--port', '3200'], { NAVISWORKS_MCP_ALLOWED_ORIGINS: 'http://localhost:5173/, https://runner.local' }), {
+            transport: 'http', host: '127.0.0.1', port: 3200, token: null, allowedOrigins: ['http://localhost:5173', 'https://runner.local'], allowedHosts: [],
+        });
+        assert.deepEqual(transportConfig([], { NAVISWORKS_MCP_ALLOWED_HOSTS: 'nav-pc.local, 10.0.0.5' }).allowedHosts, ['nav-pc.local', '10.0.0.5']);
+        assert.equal(transportConfig([], { NAVISWORKS_MCP_TRANSPORT: 'http', NAVISWORKS_MCP_HTTP_PORT: '3300' }).port, 3300);
+    });
+
+    it('needs a token to listen beyond loopback', () => {
+        assert.throws(() => transportConfig(['--http', '--host', '0.0.0.0'], {}), /needs NAVISWORKS_MCP_TOKEN/);
+        assert.equal(transportConfig(['--http', '--host', '0.0.0.0'], { NAVISWORKS_MCP_TOKEN: 's3cret' }).token, 's3cret');
+        assert.throws(() => transportConfig(['--port', 'x'], {}), /Invalid HTTP port/);
+        assert.throws(() => transportConfig([], { NAVISWORKS_MCP_TRANSPORT: 'ws' }), /stdio or http/);
+    });
+});
+
+
+describe('HTTP transport', () => {
+    let h;
+    let http;
+    const clients = [];
+
+    const connect = async (Transport, path) => {
+        const client = new Client({ name: 'navisworks-mcp-http-test', version: '1.0.0' });
+        await client.connect(new Transport(new URL(path, http.url), { requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } } }));
+        clients.push(client);
+        return client;
+    };
+    const post = (headers, body = INITIALIZE) => fetch(`${http.url}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+        body: JSON.stringify(body),
+    });
+
+    before(async () => {
+        h = await startHarness();
+        http = await startHttpServer(h.server, { host: '127.0.0.1', port: 0, token: TOKEN, allowedOrigins: ['http://localhost:5173'] });
+    });
+    after(async () => {
+        await Promise.all(clients.map(c => c.close()));
+        await http.close();
+        await h.close();
+    });
+    beforeEach(() => { h.mock.reset(); });
+
+    it('rejects requests without the bearer token', async () => {
+        for (const headers of [{}, { Authorization: 'Bearer wrong' }]) {
+            const res = await post(headers);
+            assert.equal(res.status, 401);
+            assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+        }
+    });
+
+    it('accepts browser requests only from allowed origins', async () => {
+        const auth = { Authorization: `Bearer ${TOKEN}` };
+        assert.equal((await post({ ...auth, Origin: 'http://evil.example' })).status, 403);
+
+        const res = await post({ ...auth, Origin: 'http://localhost:5173' });
+        assert.equal(res.status, 200);
+        const sessionId = res.headers.get('mcp-session-id');
+        assert.ok(http.sessions.has(sessionId));
+        await res.body?.cancel();
+        await fetch(`${http.url}/mcp`, { method: 'DELETE', headers: { ...auth, 'mcp-session-id': sessionId } });
+        assert.equal(http.sessions.has(sessionId), false);
+    });
+
+    it('accepts only loopback, listening or configured names in the Host header', async () => {
+        // fetch sets Host itself; node:http sends the one given.
+        const status = (url, host) => new Promise((resolve, reject) => {
+            const req = request(`${url}/mcp`, { method: 'POST', headers: { Host: host, 'Content-Type': 'application/json' } }, (res) => {
+                res.resume();
+                resolve(res.statusCode);
+            });
+            req.on('error', reject);
+            req.end(JSON.stringify(INITIALIZE));
+        });
+        assert.equal(await status(http.url, 'rebound.example:3100'), 403);
+        assert.equal(await status(http.url, 'nav-pc.local'), 403);
+        // Past the Host check the missing token is the next refusal.
+        for (const host of ['localhost:3100', '127.0.0.1', '[::1]:3100']) assert.equal(await status(http.url, host), 401, host);
+
+        const named = await startHttpServer(h.server, { host: '127.0.0.1', port: 0, token: TOKEN, allowedHosts: ['nav-pc.local'] });
+        try {
+            assert.equal(await status(named.url, 'NAV-PC.local:3100'), 401);
+            assert.equal(await status(named.url, 'rebound.example'), 403);
+        } finally {
+            await named.close();
+        }
+    });
+
+    it('closes the server of an initialize request the transport rejects', async () => {
+        const [servers, sessions] = [h.server.servers.size, http.sessions.size];
+        const res = await post({ Authorization: `Bearer ${TOKEN}`, Accept: 'application/json' });
+        assert.equal(res.status, 406);
+        assert.equal(h.server.servers.size, servers);
+        assert.equal(http.sessions.size, sessions);
+    });
+
+    it('rejects unknown sessions and requests without initialize', async () => {
+        const auth = { Authorization: `Bearer ${TOKEN}` };
+        assert.equal((await post({ ...auth, 'mcp-session-id': 'nope' }, { jsonrpc: '2.0', id: 2, method: 'tools/list' })).status, 404);
+        assert.equal((await post(auth, { jsonrpc: '2.0', id: 2, method: 'tools/list' })).status, 400);
+    });
+
+    it('serves concurrent sessions with the same tool results as stdio', async () => {
+        const [a, b] = await Promise.all([connect(StreamableHTTPClientTransport, '/mcp'), connect(StreamableHTTPClientTransport, '/mcp')]);
+        assert.ok([...http.sessions.values()].filter(s => s.kind === 'streamable').length >= 2);
+
+        const args = { name: 'get_element_count_by_category', arguments: { category: 'IfcDoor' } };
+        const [viaA, viaB, direct] = await Promise.all([a.callTool(args), b.callTool(args), h.client.callTool(args)]);
+        assert.deepEqual(viaA, direct);
+        assert.deepEqual(viaB, direct);
+
+        const { tools } = await a.listTools();
+        assert.deepEqual(tools, (await h.client.listTools()).tools);
+    });
+
+    it('falls back to HTTP+SSE', async () => {
+        const client = await connect(SSEClientTransport, '/sse');
+        assert.ok([...http.sessions.values()].some(s => s.kind === 'sse'));
+        const { prompts } = await client.listPrompts();
+        assert.ok(prompts.some(p => p.name === 'model_health_check'));
+
+        const result = await client.callTool({ name: 'get_units_and_tolerances', arguments: {} });
+        assert.deepEqual(result, await h.client.callTool({ name: 'get_units_and_tolerances', arguments: {} }));
+    });
+});
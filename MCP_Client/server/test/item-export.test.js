@@ -0,0 +1,142 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { basename, dirname, join } from 'node:path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { safeFileName, toCsv, toXlsx, writeNewFile } from '../item-export.js';
+import { crc32 } from '../zip.js';
+import { parseJsonContent, readZip, startHarness } from './helpers.js';
+
+
+describe('export formats', () => {
+    it('writes Excel-friendly CSV', () => {
+        const csv = toCsv(['name', 'value'], [{ name: 'Door, "A"', value: 'EI30' }, { name: '=HYPERLINK("x")', value: -5 }]);
+        assert.ok(csv.startsWith('\uFEFF'));
+        assert.equal(csv.slice(1), 'name,value\r\n"Door, ""A""",EI30\r\n"\'=HYPERLINK(""x"")",-5\r\n');
+    });
+
+    it('keeps only a plain file name', () => {
+        assert.equal(safeFileName('..\\..\\evil/doors:list?.csv', 'x'), 'doors_list_.csv');
+        assert.equal(safeFileName('  ', 'fallback'), 'fallback');
+    });
+
+    it('builds a workbook with typed cells', () => {
+        const zip = readZip(toXlsx(['id', 'count', 'external'], [{ id: 'a&b', count: 42, external: false }]));
+        assert.deepEqual(Object.keys(zip).sort(), [
+            '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml',
+        ]);
+        const sheet = zip['xl/worksheets/sheet1.xml'].toString('utf8');
+        assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">a&amp;b<\/t><\/is><\/c>/);
+        assert.match(sheet, /<c r="B2"><v>42<\/v><\/c>/);
+        assert.match(sheet, /<c r="C2" t="b"><v>0<\/v><\/c>/);
+        assert.match(sheet, /<autoFilter ref="A1:C2"\/>/);
+    });
+
+    it('removes the file again when the write fails', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'nvx-write-'));
+        try {
+            await assert.rejects(writeNewFile(dir, 'broken', 'csv', { not: 'a buffer' }));
+            assert.equal(existsSync(join(dir, 'broken.csv')), false);
+            assert.equal((await writeNewFile(dir, 'broken', 'csv', Buffer.from('ok'))).file, join(dir, 'broken.csv'));
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('computes the standard CRC-32', () => {
+        assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    });
+});
+
+
+describe('export_items', () => {
+    let h;
+    let dir;
+    const exportItems = async args => parseJsonContent(await h.client.callTool({ name: 'export_items', arguments: args }));
+    const doors = { source: 'list_items_to_property', category: 'Pset_DoorCommon', property: 'FireRating' };
+
+    before(async () => {
+        h = await startHarness();
+        dir = mkdtempSync(join(tmpdir(), 'nvx-export-'));
+        process.env.NAVISWORKS_EXPORT_DIR = dir;
+    });
+    after(async () => {
+        delete process.env.NAVISWORKS_EXPORT_DIR;
+        rmSync(dir, { recursive: true, force: true });
+        await h.close();
+    });
+    beforeEach(() => { h.mock.reset(); });
+
+    it('exports list_items_to_property rows to CSV', async () => {
+        const result = await exportItems({ ...doors, fileName: 'doors' });
+        assert.equal(dirname(result.file), dir);
+        assert.equal(basename(result.file), 'doors.csv');
+        assert.equal(result.rows, 6);
+        assert.deepEqual(result.preview[0], {
+            canonical_id: 'd0000001-0000-4000-8000-000000000101',
+            model_name: 'Hospital_ARC.ifc',
+            model_canonical_id: '4b1c2f0e-8d0a-4c55-9a61-0f3e2d1c0a01',
+            category: 'Pset_DoorCommon',
+            property: 'FireRating',
+            value: 'EI30',
+            path: 'Hospital_ARC.ifc/Level 1/Door D-101',
+        });
+
+        const lines = readFileSync(result.file, 'utf8').trimEnd().split('\r\n');
+        assert.equal(lines.length, 7);
+        assert.equal(lines[0], '\uFEFFcanonical_id,model_name,model_canonical_id,category,property,value,path');
+    });
+
+    it('does not overwrite an existing export', async () => {
+        const first = await exportItems({ ...doors, fileName: 'again.csv' });
+        const second = await exportItems({ ...doors, fileName: 'again.csv' });
+        assert.equal(basename(first.file), 'again.csv');
+        assert.equal(basename(second.file), 'again-1.csv');
+    });
+
+    it('takes the format from the file name and writes XLSX', async () => {
+        const result = await exportItems({ ...doors, fileName: 'doors.xlsx' });
+        assert.equal(result.format, 'xlsx');
+        const sheet = readZip(readFileSync(result.file))['xl/worksheets/sheet1.xml'].toString('utf8');
+        assert.equal((sheet.match(/<row /g) ?? []).length, 7);
+        assert.match(sheet, /EI90/);
+    });
+
+    it('exports one count row per category to JSON', async () => {
+        const result = await exportItems({ source: 'get_element_count_by_category', category: 'IfcDoor; IfcWall', format: 'json' });
+        const written = JSON.parse(readFileSync(result.file, 'utf8'));
+        assert.deepEqual(written.columns, ['category', 'scope', 'count']);
+        assert.deepEqual(written.rows, [
+            { category: 'IfcDoor', scope: 'all', count: 42 },
+            { category: 'IfcWall', scope: 'all', count: 0 },
+        ]);
+        assert.equal(written.source, 'get_element_count_by_category');
+    });
+
+    it('exports the selection with additional property columns', async () => {
+        const result = await exportItems({
+            source: 'selection',
+            properties: [{ category: 'Pset_DoorCommon', property: 'FireRating' }, { category: 'Element', property: 'Missing' }],
+        });
+        assert.deepEqual(result.columns, ['canonical_id', 'model_name', 'path', 'Pset_DoorCommon.FireRating', 'Element.Missing']);
+        assert.equal(result.rows, 3);
+        assert.equal(result.preview[0]['Pset_DoorCommon.FireRating'], 'EI30');
+        assert.equal(result.preview[0]['Element.Missing'], '');
+        assert.equal(h.mock.calls.filter(c => c.method === 'list_properties_for_item').length, 3);
+    });
+
+    it('reads additional properties of at most maxPropertyLookups items', async () => {
+        const args = { source: 'selection', properties: [{ category: 'Pset_DoorCommon', property: 'FireRating' }], maxPropertyLookups: 2 };
+        await assert.rejects(h.client.callTool({ name: 'export_items', arguments: args }),
+            err => err.code === ErrorCode.InvalidParams && /3 items exceed maxPropertyLookups \(2\)/.test(err.message));
+        assert.equal(h.mock.calls.filter(c => c.method === 'list_properties_for_item').length, 0);
+
+        assert.equal((await exportItems({ ...args, maxPropertyLookups: 3 })).rows, 3);
+    });
+
+    it('rejects an unknown format', async () => {
+        await assert.rejects(h.client.callTool({ name: 'export_items', arguments: { ...doors, format: 'pdf' } }),
+            err => err.code === ErrorCode.InvalidParams);
+    });
+});
@@ -0,0 +1,160 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { loadFixtures } from '../mock/mock-navisworks.js';
+import { diffReport, diffSnapshots } from '../model-snapshots.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+const ARC = '4b1c2f0e-8d0a-4c55-9a61-0f3e2d1c0a01';
+
+const snapshot = (overrides = {}) => ({
+    kind: 'navisworks-model-snapshot',
+    version: 1,
+    name: 'drop-1',
+    created: '2024-05-01T08:00:00.000Z',
+    document: 'Hospital.nwd',
+    total_elements: 300,
+    models: [
+        { canonical_id: 'a', name: 'ARC.ifc', type: '.ifc', elements: 200, properties: { 'Element.Name': 200, 'Pset_DoorCommon.FireRating': 30 } },
+        { canonical_id: 'm', name: 'MEP.ifc', type: '.ifc', elements: 100, properties: { 'Element.Name': 100 } },
+    ],
+    categories: { IfcDoor: 40, IfcWall: 100 },
+    units: { length_unit: 'm', length_tolerance: 0.001 },
+    ...overrides,
+});
+
+
+describe('diffSnapshots', () => {
+    it('reports models, categories, properties and units that changed', () => {
+        const later = snapshot({
+            name: 'drop-2',
+            total_elements: 330,
+            models: [
+                { canonical_id: 'a2', name: 'ARC.ifc', type: '.ifc', elements: 210, properties: { 'Element.Name': 210, 'Pset_DoorCommon.IsExternal': 12 } },
+                { canonical_id: 's', name: 'STR.rvt', type: '.rvt', elements: 120, properties: { 'Structural.Material': 64 } },
+            ],
+            categories: { IfcDoor: 44, 'Structural Columns': 64 },
+            units: { length_unit: 'mm', length_tolerance: 0.001 },
+        });
+        const diff = diffSnapshots(snapshot(), later, { fromFile: '/s/drop-1.json', toFile: '/s/drop-2.json' });
+
+        assert.deepEqual(diff.models, {
+            added: [{ name: 'STR.rvt', elements: 120 }],
+            removed: [{ name: 'MEP.ifc', elements: 100 }],
+            changed: [{ name: 'ARC.ifc', before: 200, after: 210, delta: 10 }],
+        });
+        assert.deepEqual(diff.categories, {
+            added: [{ category: 'Structural Columns', count: 64 }],
+            removed: [{ category: 'IfcWall', count: 100 }],
+            changed: [{ category: 'IfcDoor', before: 40, after: 44, delta: 4 }],
+        });
+        assert.deepEqual(diff.properties, {
+            added: [{ model: 'ARC.ifc', property: 'Pset_DoorCommon.IsExternal', count: 12 }],
+            removed: [{ model: 'ARC.ifc', property: 'Pset_DoorCommon.FireRating', count: 30 }],
+            changed: [{ model: 'ARC.ifc', property: 'Element.Name', before: 200, after: 210, delta: 10 }],
+        });
+        assert.deepEqual(diff.units, [{ unit: 'length_unit', before: 'm', after: 'mm' }]);
+        assert.equal(diff.summary.unchanged, false);
+        assert.deepEqual(diff.summary.elements, { before: 300, after: 330, delta: 30 });
+
+        const report = diffReport(diff);
+        assert.match(report, /^# Model changes: drop-1 \(2024-05-01T08:00:00.000Z\) → drop-2/);
+        assert.match(report, /## Models removed\n\n- MEP\.ifc \(100 elements\)/);
+        assert.match(report, /- IfcDoor: 40 → 44 \(\+4\)/);
+        assert.match(report, /- ARC\.ifc: Pset_DoorCommon\.FireRating \(was on 30 items\)/);
+    });
+
+    it('matches models by canonical_id before the name', () => {
+        const later = snapshot({
+            models: [
+                { canonical_id: 'm', name: 'ARC.ifc', type: '.ifc', elements: 100, properties: { 'Element.Name': 100 } },
+                { canonical_id: 'a', name: 'ARC_v2.ifc', type: '.ifc', elements: 200, properties: { 'Element.Name': 200, 'Pset_DoorCommon.FireRating': 30 } },
+            ],
+        });
+        const diff = diffSnapshots(snapshot(), later);
+        assert.deepEqual(diff.models, { added: [], removed: [], changed: [] });
+        assert.deepEqual(diff.properties, { added: [], removed: [], changed: [] });
+    });
+
+    it('says so when nothing changed', () => {
+        const diff = diffSnapshots(snapshot(), snapshot());
+        assert.equal(diff.summary.unchanged, true);
+        assert.match(diffReport(diff), /No changes\./);
+    });
+});
+
+
+describe('snapshot_model and diff_snapshots', () => {
+    let h;
+    let dir;
+    const call = async (name, args = {}) => parseJsonContent(await h.client.callTool({ name, arguments: args }));
+
+    before(async () => {
+        h = await startHarness();
+        dir = mkdtempSync(join(tmpdir(), 'nvx-snapshots-'));
+        process.env.NAVISWORKS_SNAPSHOTS_DIR = dir;
+        writeFileSync(join(dir, 'other.json'), '{ "rules": [] }');
+    });
+    after(async () => {
+        delete process.env.NAVISWORKS_SNAPSHOTS_DIR;
+        rmSync(dir, { recursive: true, force: true });
+        await h.close();
+    });
+    beforeEach(() => { h.mock.reset(); });
+
+    it('stores overview, histogram, property counts and units', async () => {
+        const result = await call('snapshot_model', { name: 'drop-1' });
+        assert.equal(result.file, join(dir, 'drop-1.json'));
+        assert.deepEqual([result.document, result.total_elements, result.models, result.categories, result.properties],
+            ['Hospital_Federated.nwd', 1184, 2, 4, 8]);
+
+        const stored = JSON.parse(readFileSync(result.file, 'utf8'));
+        assert.equal(stored.kind, 'navisworks-model-snapshot');
+        assert.deepEqual(stored.categories, { IfcDoor: 42, IfcWall: 118, IfcSpace: 36, 'Structural Columns': 64 });
+        assert.deepEqual(stored.models[0], {
+            canonical_id: ARC,
+            name: 'Hospital_ARC.ifc',
+            type: '.ifc',
+            elements: 812,
+            properties: { 'Element.Name': 812, 'Element.Category': 812, 'Pset_DoorCommon.FireRating': 38, 'Pset_DoorCommon.IsExternal': 42, 'Pset_SpaceCommon.Area': 36 },
+        });
+        assert.equal(stored.units.length_unit, 'm');
+        assert.deepEqual(h.mock.calls.find(c => c.method === 'get_model_overview').params, { include_categories: true });
+
+        // A second snapshot with the same name gets its own file.
+        assert.equal((await call('snapshot_model', { name: 'drop-1' })).file, join(dir, 'drop-1-1.json'));
+    });
+
+    it('compares two snapshot files', async () => {
+        const diff = await call('diff_snapshots', { from: 'drop-1.json', to: 'drop-1-1.json' });
+        assert.equal(diff.summary.unchanged, true);
+        assert.equal(diff.to.file, join(dir, 'drop-1-1.json'));
+        assert.equal(h.mock.calls.length, 0);
+    });
+
+    it('compares a snapshot with the live model', async () => {
+        const { data } = loadFixtures().get_model_overview;
+        h.mock.respondWith('get_model_overview', {
+            ok: true,
+            data: { ...data, TotalElements: 1190, Models: data.Models.slice(0, 1), categories_histogram: { ...data.categories_histogram, IfcDoor: 48 } },
+        });
+        const distribution = loadFixtures().get_property_distribution_by_category.data;
+        const { [ARC]: arc } = JSON.parse(distribution.details);
+        h.mock.respondWith('get_property_distribution_by_category', { ok: true, data: { ...distribution, details: JSON.stringify({ [ARC]: arc }) } });
+
+        const diff = await call('diff_snapshots', { from: 'drop-1.json' });
+        assert.equal(diff.to.file, null);
+        assert.deepEqual(diff.models.removed, [{ name: 'Hospital_STR.rvt', elements: 372 }]);
+        assert.deepEqual(diff.categories.changed, [{ category: 'IfcDoor', before: 42, after: 48, delta: 6 }]);
+        assert.match(diff.report, /→ live model/);
+        assert.match(diff.report, /Elements: 1184 → 1190 \(\+6\)/);
+    });
+
+    it('rejects files that are not snapshots', async () => {
+        await assert.rejects(call('diff_snapshots', { from: 'other.json' }), err => err.code === ErrorCode.InvalidParams && /not a model snapshot/.test(err.message));
+        await assert.rejects(call('diff_snapshots', { from: 'missing.json' }), err => err.code === ErrorCode.InvalidParams && /ENOENT/.test(err.message));
+    });
+});
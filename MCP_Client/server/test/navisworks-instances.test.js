@@ -0,0 +1,167 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { instanceConfig, parseInstances } from '../navisworks-instances.js';
+import { startMockNavisworks } from '../mock/mock-navisworks.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+
+describe('instance configuration', () => {
+    it('parses named endpoints', () => {
+        assert.deepEqual(parseInstances('current=localhost:1234; issue=1235\nvm=https://10.0.0.12:1240/, 127.0.0.1:1300'), [
+            { name: 'current', url: 'http://localhost:1234' },
+            { name: 'issue', url: 'http://localhost:1235' },
+            { name: 'vm', url: 'https://10.0.0.12:1240' },
+            { name: '127.0.0.1:1300', url: 'http://127.0.0.1:1300' },
+        ]);
+    });
+
+    it('rejects duplicate names and invalid endpoints', () => {
+        assert.throws(() => parseInstances('a=localhost:1, a=localhost:2'), /configured twice/);
+        assert.throws(() => parseInstances('a=ftp://host:21'), /only http and https/);
+        assert.throws(() => parseInstances('a=host:port'), /Invalid Navisworks endpoint/);
+    });
+
+    it('falls back to one instance on NAVISWORKS_API_PORT', () => {
+        assert.deepEqual(instanceConfig({ NAVISWORKS_API_PORT: '4321' }), {
+            instances: [{ name: 'default', url: 'http://localhost:4321' }],
+            defaultName: 'default',
+        });
+    });
+
+    it('takes the default instance from NAVISWORKS_DEFAULT_INSTANCE, else the first one', () => {
+        const env = { NAVISWORKS_INSTANCES: 'a=localhost:1, b=localhost:2' };
+        assert.equal(instanceConfig(env).defaultName, 'a');
+        assert.equal(instanceConfig({ ...env, NAVISWORKS_DEFAULT_INSTANCE: 'b' }).defaultName, 'b');
+        assert.throws(() => instanceConfig({ ...env, NAVISWORKS_DEFAULT_INSTANCE: 'c' }), /is not one of a, b/);
+    });
+});
+
+
+describe('multiple instances', () => {
+    let h;
+    let archive;
+    const call = async (name, args) => parseJsonContent(await h.client.callTool({ name, arguments: args }));
+
+    before(async () => {
+        archive = await startMockNavisworks();
+        process.env.NAVISWORKS_INSTANCES = 'current=localhost:1, archive=localhost:2, offline=127.0.0.1:9';
+        try {
+            h = await startHarness();
+        } finally {
+            delete process.env.NAVISWORKS_INSTANCES;
+        }
+        const second = h.server.instance('archive');
+        second.rpcClient.baseUrl = archive.url;
+        second.cache.maxEntries = 0;
+        h.server.instance('offline').rpcClient.retries = 0;
+    });
+    after(async () => {
+        await h.close();
+        await archive.close();
+    });
+    beforeEach(() => {
+        h.mock.reset();
+        archive.reset();
+        const overview = structuredClone(archive.fixtures.get_model_overview);
+        overview.data.DocumentTitle = 'Hospital_Issue_2024-05.nwd';
+        archive.respondWith('get_model_overview', overview);
+    });
+
+    it('offers an instance argument on every tool but list_instances and get_audit_log', async () => {
+        const { tools } = await h.client.listTools();
+        const instanceFree = ['list_instances', 'get_audit_log'];
+        for (const tool of tools.filter(t => !instanceFree.includes(t.name))) {
+            assert.deepEqual(tool.inputSchema.properties.instance.enum, ['current', 'archive', 'offline'], tool.name);
+        }
+        for (const name of instanceFree) {
+            assert.equal(tools.find(t => t.name === name).inputSchema.properties.instance, undefined, name);
+        }
+    });
+
+    it('sends the call to the named instance and to the default without one', async () => {
+        await call('get_element_count_by_category', { category: 'IfcDoor', instance: 'archive' });
+        assert.deepEqual(archive.calls.map(c => c.method), ['get_element_count_by_category']);
+        assert.equal(archive.calls[0].params.instance, undefined);
+        assert.equal(h.mock.calls.length, 0);
+
+        await call('get_element_count_by_category', { category: 'IfcDoor' });
+        assert.deepEqual(h.mock.calls.map(c => c.method), ['get_element_count_by_category']);
+        assert.equal(archive.calls.length, 1);
+    });
+
+    it('routes client tools and passthrough tools as well', async () => {
+        await call('query_items', { where: 'Pset_DoorCommon.FireRating = EI30', instance: 'archive' });
+        await call('get_units_and_tolerances', { instance: 'archive' });
+        assert.deepEqual(archive.calls.map(c => c.method), ['list_items_to_property', 'get_units_and_tolerances']);
+        assert.equal(h.mock.calls.length, 0);
+    });
+
+    it('does not accept a cursor from another instance', async () => {
+        const first = await call('list_items_to_property', { category: 'Pset_DoorCommon', property: 'FireRating', pageSize: 2 });
+        await assert.rejects(
+            h.client.callTool({ name: 'list_items_to_property', arguments: {
+                category: 'Pset_DoorCommon', property: 'FireRating', instance: 'archive', cursor: first.page.nextCursor,
+            } }),
+            err => err.code === ErrorCode.InvalidParams);
+    });
+
+    it('rejects unknown instances', async () => {
+        await assert.rejects(h.client.callTool({ name: 'get_units_and_tolerances', arguments: { instance: 'nope' } }),
+            err => err.code === ErrorCode.InvalidParams && /instance must be one of current, archive, offline/.test(err.message));
+    });
+
+    it('lists each instance with its health and document', async () => {
+        const result = await call('list_instances', {});
+        assert.equal(result.default, 'current');
+        const byName = Object.fromEntries(result.instances.map(i => [i.name, i]));
+
+        assert.equal(byName.current.default, true);
+        assert.equal(byName.current.document, 'Hospital_Federated.nwd');
+        assert.equal(byName.current.models, 2);
+        assert.equal(byName.archive.document, 'Hospital_Issue_2024-05.nwd');
+        assert.equal(byName.offline.health.state, 'unreachable');
+        assert.equal(byName.offline.document, null);
+    });
+
+    it('reads resources of a named instance under navisworks://instance/<name>/', async () => {
+        const uris = (await h.client.listResources()).resources.map(r => r.uri);
+        for (const uri of ['navisworks://models', 'navisworks://instance/archive/models', 'navisworks://instance/offline/selection']) {
+            assert.ok(uris.includes(uri), uri);
+        }
+        assert.ok(!uris.includes('navisworks://instance/current/models'));
+        const templates = (await h.client.listResourceTemplates()).resourceTemplates.map(t => t.uriTemplate);
+        assert.ok(templates.includes('navisworks://instance/{instance}/model/{canonical_id}'));
+
+        h.mock.reset();
+        const read = async uri => JSON.parse((await h.client.readResource({ uri })).contents[0].text);
+        assert.equal((await read('navisworks://instance/archive/models')).document, 'Hospital_Issue_2024-05.nwd');
+        assert.deepEqual(archive.calls.map(c => c.method), ['get_model_overview']);
+        assert.equal(h.mock.calls.length, 0);
+        assert.equal((await read('navisworks://models')).document, 'Hospital_Federated.nwd');
+
+        await assert.rejects(h.client.readResource({ uri: 'navisworks://instance/nope/models' }),
+            err => err.code === ErrorCode.InvalidParams && /unknown instance nope/.test(err.message));
+        await assert.rejects(h.client.subscribeResource({ uri: 'navisworks://instance/nope/selection' }), err => err.code === ErrorCode.InvalidParams);
+    });
+
+    it('polls the subscriptions of each instance on that instance', async () => {
+        const resources = h.server.resources;
+        resources.pollIntervalMs = 60 * 60 * 1000;
+        const subscribed = ['navisworks://selection', 'navisworks://instance/archive/selection', 'navisworks://instance/offline/models'];
+        try {
+            for (const uri of subscribed) await h.client.subscribeResource({ uri });
+            // The first subscription started a baseline poll; the next one takes the baseline of all three.
+            await resources.poll();
+            assert.deepEqual(await resources.poll(), []);
+
+            archive.respondWith('get_current_selection_snapshot', { ok: true, data: { count: 1, canonical_id: ['d0000001-0000-4000-8000-000000000101'], path: [''] } });
+            // The unreachable instance holds up neither of the others.
+            assert.deepEqual(await resources.poll(), ['navisworks://instance/archive/selection']);
+            assert.deepEqual(await resources.poll(), []);
+        } finally {
+            for (const uri of subscribed) await h.client.unsubscribeResource({ uri });
+            resources.stopPolling();
+        }
+    });
+});
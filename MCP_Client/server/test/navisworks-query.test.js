@@ -0,0 +1,140 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { evaluateQuery, parseQuery, queryProperties } from '../navisworks-query.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+
+describe('parseQuery', () => {
+    it('binds and tighter than or', () => {
+        const tree = parseQuery('A.x = 1 or A.y = 2 and not A.z exists');
+        assert.equal(tree.type, 'or');
+        assert.equal(tree.items[1].type, 'and');
+        assert.deepEqual(tree.items[1].items[1], { type: 'not', item: { type: 'term', category: 'A', property: 'z', op: 'exists' } });
+    });
+
+    it('accepts symbols, quoted names and regex literals', () => {
+        const tree = parseQuery('("Element ID".Value == \'42\' || !Item.Name ~ /^door/i) && Item.Layer startswith L');
+        assert.deepEqual(queryProperties(tree).map(p => p.key), ['Element ID.Value', 'Item.Name', 'Item.Layer']);
+        const regex = tree.items[0].items[1].item.value;
+        assert.ok(regex instanceof RegExp);
+        assert.equal(regex.flags, 'i');
+    });
+
+    it('reports the position of syntax errors', () => {
+        const cases = [
+            ['', /position 1: the query is empty/],
+            ['A.x >', /position 6: expected a value after >/],
+            ['A.x = 1 and', /position 12: expected Category.Property/],
+            ['A = 1', /position 3: expected "\." after category "A"/],
+            ['A.x matches /[/', /invalid regex/],
+            ['(A.x exists', /expected "\)"/],
+            ['A.x = \'open', /unterminated string/],
+        ];
+        for (const [text, message] of cases) {
+            assert.throws(() => parseQuery(text), err => err.code === ErrorCode.InvalidParams && message.test(err.message), text);
+        }
+    });
+});
+
+
+describe('evaluateQuery', () => {
+    const values = new Map([['Wall.FireRating', '90 min'], ['Wall.IsExternal', 'Yes'], ['Wall.Material', 'Concrete C30/37']]);
+    const test = (text, options) => evaluateQuery(parseQuery(text), values, options);
+
+    it('compares number literals with the leading number of the value', () => {
+        assert.equal(test('Wall.FireRating >= 60'), true);
+        assert.equal(test('Wall.FireRating < 90'), false);
+        assert.equal(test('Wall.Material > 5'), false);
+    });
+
+    it('reads Yes/No and true/false as booleans', () => {
+        assert.equal(test('Wall.IsExternal = true'), true);
+        assert.equal(test('Wall.IsExternal != false'), true);
+    });
+
+    it('matches text case-insensitively unless ignoreCase is false', () => {
+        assert.equal(test("Wall.Material contains 'concrete'"), true);
+        assert.equal(test("Wall.Material contains 'concrete'", { ignoreCase: false }), false);
+        assert.equal(test('Wall.Material matches /c\\d+\\/37$/'), true);
+    });
+
+    it('treats missing properties as not matching', () => {
+        assert.equal(test('Wall.Width > 0'), false);
+        assert.equal(test('not Wall.Width exists'), true);
+        assert.equal(test('Wall.Width != 1'), false);
+    });
+});
+
+
+describe('query_items', () => {
+    let h;
+    const WALLS = {
+        FireRating: { w1: '90', w2: '30', w3: '60' },
+        IsExternal: { w1: 'Yes', w2: 'Yes', w3: 'No' },
+        Material: { w1: 'Concrete', w2: 'Concrete', w4: 'Brick' },
+    };
+    const wall = (id, value) => ({
+        canonical_id: id,
+        path_from_this_object: [{ canonical_id: id, paths: `Tower_ARC.ifc/Level 1/${id}` }],
+        model_name: 'Tower_ARC.ifc',
+        model_canonical_id: 'model-1',
+        PropertyValue: value,
+    });
+    const query = async args => parseJsonContent(await h.client.callTool({ name: 'query_items', arguments: args }));
+
+    before(async () => { h = await startHarness(); });
+    after(async () => { await h.close(); });
+    beforeEach(() => {
+        h.mock.reset();
+        h.mock.respondWith('list_items_to_property', (params) => {
+            const items = Object.entries(WALLS[params.Property] ?? {}).map(([id, value]) => wall(id, value));
+            return { ok: true, data: { category: params.Category, property: params.Property, count: items.length, Items: items } };
+        });
+    });
+
+    it('reads each property once and joins the results by canonical_id', async () => {
+        const result = await query({
+            where: "Pset_WallCommon.FireRating >= 60 and Pset_WallCommon.IsExternal = true and Element.Material contains 'concrete'",
+            scope: 'Tower_ARC.ifc',
+        });
+        assert.equal(result.count, 1);
+        assert.deepEqual(result.items[0], {
+            canonical_id: 'w1',
+            model_name: 'Tower_ARC.ifc',
+            model_canonical_id: 'model-1',
+            path: 'Tower_ARC.ifc/Level 1/w1',
+            values: { 'Pset_WallCommon.FireRating': '90', 'Pset_WallCommon.IsExternal': 'Yes', 'Element.Material': 'Concrete' },
+        });
+        assert.deepEqual(result.lookups.map(l => l.items), [3, 3, 3]);
+
+        const calls = h.mock.calls.filter(c => c.method === 'list_items_to_property');
+        assert.deepEqual(calls.map(c => c.params.Property), ['FireRating', 'IsExternal', 'Material']);
+        assert.ok(calls.every(c => c.params.Scope === 'Tower_ARC.ifc' && c.params.ValueFilter === undefined));
+    });
+
+    it('unions with or and leaves out values of properties an item lacks', async () => {
+        const result = await query({ where: 'Element.Material = brick or Pset_WallCommon.FireRating < 40' });
+        assert.deepEqual(result.items.map(i => i.canonical_id).sort(), ['w2', 'w4']);
+        assert.equal(result.items.find(i => i.canonical_id === 'w4').values['Pset_WallCommon.FireRating'], null);
+    });
+
+    it('selects the matches on request', async () => {
+        const result = await query({ where: 'Element.Material = concrete', applySelection: true });
+        const select = h.mock.calls.find(c => c.method === 'apply_selection');
+        assert.deepEqual(select.params, { canonical_id: ['w1', 'w2'], keepExistingSelection: false });
+        assert.equal(result.selection.applied, true);
+    });
+
+    it('leaves the selection alone when nothing matches', async () => {
+        const result = await query({ where: 'Element.Material = glass', applySelection: true });
+        assert.deepEqual(result.selection, { applied: false, count: 0, keepExistingSelection: false });
+        assert.equal(h.mock.calls.some(c => c.method === 'apply_selection'), false);
+    });
+
+    it('rejects invalid expressions before calling the add-in', async () => {
+        await assert.rejects(query({ where: 'Pset_WallCommon.FireRating >>= 60' }),
+            err => err.code === ErrorCode.InvalidParams && /position 29: expected a value after >/.test(err.message));
+        assert.equal(h.mock.calls.length, 0);
+    });
+});
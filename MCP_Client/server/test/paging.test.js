@@ -0,0 +1,136 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { countBy, paginate } from '../paging.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+
+describe('paginate', () => {
+    const items = Array.from({ length: 25 }, (_, i) => ({ id: `item-${i}`, value: i % 3 === 0 ? 'A' : 'B' }));
+    const render = page => ({ items: page });
+    const summarize = all => ({ by_value: countBy(all, i => i.value) });
+
+    it('walks through all entries with nextCursor', () => {
+        const seen = [];
+        let cursor;
+        do {
+            const payload = paginate({ tool: 't', args: { q: 1, pageSize: 10, cursor }, items, render, summarize });
+            assert.equal(payload.page.total, 25);
+            seen.push(...payload.items.map(i => i.id));
+            cursor = payload.page.nextCursor;
+        } while (cursor);
+        assert.deepEqual(seen, items.map(i => i.id));
+    });
+
+    it('summarizes the whole list only when entries are left out', () => {
+        const first = paginate({ tool: 't', args: { pageSize: 10 }, items, render, summarize });
+        assert.deepEqual(first.summary, { by_value: { B: 16, A: 9 } });
+        assert.equal(paginate({ tool: 't', args: {}, items, render, summarize }).summary, undefined);
+    });
+
+    it('rejects a cursor issued for different arguments', () => {
+        const { page } = paginate({ tool: 't', args: { q: 1, pageSize: 10 }, items, render });
+        assert.throws(() => paginate({ tool: 't', args: { q: 2, cursor: page.nextCursor }, items, render }),
+            err => err.code === ErrorCode.InvalidParams && /different arguments/.test(err.message));
+        assert.throws(() => paginate({ tool: 't', args: { cursor: 'garbage' }, items, render }),
+            err => err.code === ErrorCode.InvalidParams);
+    });
+
+    it('shortens a page to the budget instead of cutting the JSON', () => {
+        const payload = paginate({ tool: 't', args: {}, items, render, summarize, budgetChars: 1200 });
+        assert.ok(payload.items.length > 0 && payload.items.length < 25);
+        assert.ok(JSON.stringify(payload, null, 2).length <= 1200);
+        assert.equal(payload.page.budgetLimited, true);
+        assert.ok(payload.page.nextCursor);
+        assert.ok(payload.summary);
+    });
+
+    it('countBy adds up the rest under "(others)"', () => {
+        assert.deepEqual(countBy(['a', 'a', 'b', 'c', 'd'], x => x, 2), { a: 2, b: 1, '(others)': 2 });
+    });
+});
+
+
+describe('paged tools', () => {
+    let h;
+    const listDoors = args => h.client.callTool({
+        name: 'list_items_to_property',
+        arguments: { category: 'Pset_DoorCommon', property: 'FireRating', ...args },
+    });
+
+    before(async () => { h = await startHarness({ cache: true }); });
+    after(async () => { await h.close(); });
+    beforeEach(() => {
+        h.mock.reset();
+        h.server.cache.clear();
+    });
+
+    it('lists cursor and pageSize on the paged tools only', async () => {
+        const { tools } = await h.client.listTools();
+        const byName = Object.fromEntries(tools.map(t => [t.name, t]));
+        assert.ok(byName.get_current_selection_snapshot.inputSchema.properties.cursor);
+        assert.ok(byName.list_items_to_property.inputSchema.properties.pageSize);
+        assert.equal(byName.apply_selection.inputSchema.properties.cursor, undefined);
+    });
+
+    it('pages list_items_to_property from a single add-in call', async () => {
+        const first = parseJsonContent(await listDoors({ pageSize: 4 }));
+        assert.equal(first.Items.length, 4);
+        assert.deepEqual(first.page, { offset: 0, returned: 4, total: 6, nextCursor: first.page.nextCursor });
+        assert.deepEqual(first.summary.by_value, { EI30: 3, EI60: 2, EI90: 1 });
+
+        const second = parseJsonContent(await listDoors({ pageSize: 4, cursor: first.page.nextCursor }));
+        assert.deepEqual(second.Items.map(i => i.canonical_id.slice(-3)), ['105', '106']);
+        assert.equal(second.page.nextCursor, undefined);
+        assert.equal(second.summary, undefined);
+
+        assert.equal(h.mock.calls.filter(c => c.method === 'list_items_to_property').length, 1);
+        assert.equal(h.mock.calls.find(c => c.method === 'list_items_to_property').params.cursor, undefined);
+    });
+
+    it('flags a list cut off by maxResults', async () => {
+        const payload = parseJsonContent(await listDoors({ maxResults: 6 }));
+        assert.equal(payload.maxResultsReached, true);
+        assert.equal(parseJsonContent(await listDoors({})).maxResultsReached, undefined);
+    });
+
+    it('pages the selection snapshot', async () => {
+        const payload = parseJsonContent(await h.client.callTool({ name: 'get_current_selection_snapshot', arguments: { pageSize: 2 } }));
+        assert.equal(payload.canonical_id.length, 2);
+        assert.equal(payload.path.length, 2);
+        assert.equal(payload.page.total, 3);
+        assert.deepEqual(payload.summary, { by_model: { 'Hospital_ARC.ifc': 3 } });
+    });
+
+    it('pages the property distribution by category and keeps the model grouping', async () => {
+        const all = parseJsonContent(await h.client.callTool({ name: 'get_property_distribution_by_category', arguments: {} }));
+        const categories = all.models.flatMap(m => m.categories.map(c => `${m.modelId}/${c.category}`));
+
+        const first = parseJsonContent(await h.client.callTool({ name: 'get_property_distribution_by_category', arguments: { pageSize: 1 } }));
+        assert.equal(first.models.length, 1);
+        assert.equal(first.models[0].categories.length, 1);
+        assert.equal(first.page.total, categories.length);
+        assert.equal(first.summary.models.length, 2);
+    });
+
+    it('pages item properties by category', async () => {
+        const payload = parseJsonContent(await h.client.callTool({
+            name: 'list_properties_for_item',
+            arguments: { canonical_id: 'd0000001-0000-4000-8000-000000000101', pageSize: 1 },
+        }));
+        assert.deepEqual(Object.keys(payload.categories), ['Element']);
+        assert.deepEqual(payload.summary, { properties_by_category: { Element: 2, Pset_DoorCommon: 2 } });
+    });
+
+    it('applies the output budget from the environment', async () => {
+        process.env.NAVISWORKS_OUTPUT_BUDGET_TOKENS = '400';
+        try {
+            const payload = parseJsonContent(await listDoors({}));
+            assert.equal(payload.page.budgetLimited, true);
+            assert.ok(payload.Items.length < 6);
+            assert.ok(payload.summary);
+        } finally {
+            delete process.env.NAVISWORKS_OUTPUT_BUDGET_TOKENS;
+        }
+    });
+});
@@ -0,0 +1,102 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { BUILTIN_PROMPTS_DIR, loadPrompts, parsePrompt, renderPrompt } from '../prompts.js';
+import { startHarness } from './helpers.js';
+
+const AUDIT = `---
+title: Audit
+description: Checks a category.
+arguments:
+  - category (required): Property category
+  - scope: Models to check
+---
+Audit {{category}} in {{ scope | all models }}.
+`;
+
+
+describe('prompt files', () => {
+    it('reads the front matter and names the prompt after the file', () => {
+        const prompt = parsePrompt(AUDIT, 'audit.md');
+        assert.equal(prompt.name, 'audit');
+        assert.equal(prompt.title, 'Audit');
+        assert.deepEqual(prompt.arguments, [
+            { name: 'category', description: 'Property category', required: true },
+            { name: 'scope', description: 'Models to check', required: false },
+        ]);
+        assert.equal(prompt.template, 'Audit {{category}} in {{ scope | all models }}.');
+    });
+
+    it('fills in arguments and fallbacks', () => {
+        const prompt = parsePrompt(AUDIT, 'audit.md');
+        assert.equal(renderPrompt(prompt, { category: 'Pset_DoorCommon' }), 'Audit Pset_DoorCommon in all models.');
+        assert.equal(renderPrompt(prompt, { category: 'Pset_DoorCommon', scope: 'ARC.ifc' }), 'Audit Pset_DoorCommon in ARC.ifc.');
+        assert.throws(() => renderPrompt(prompt, { scope: 'ARC.ifc' }), err => err.code === ErrorCode.InvalidParams && /requires category/.test(err.message));
+        assert.throws(() => renderPrompt(prompt, { category: 'x', level: '1' }), /unknown argument level/);
+    });
+
+    it('rejects placeholders without a declared argument', () => {
+        assert.throws(() => parsePrompt('---\nname: x\n---\nUse {{model}}.', 'x.md'), /\{\{model\}\} is not a declared argument/);
+        assert.throws(() => parsePrompt('Use the overview.', 'x.md'), /missing the --- front matter/);
+    });
+
+    it('ships valid built-in prompts', () => {
+        const errors = [];
+        const prompts = loadPrompts([BUILTIN_PROMPTS_DIR], e => errors.push(e.message));
+        assert.deepEqual(errors, []);
+        assert.deepEqual([...prompts.keys()].sort(),
+            ['clash_review', 'explain_selection', 'model_health_check', 'property_completeness_audit']);
+    });
+});
+
+
+describe('prompts/list and prompts/get', () => {
+    let h;
+    let dir;
+
+    before(async () => {
+        dir = mkdtempSync(join(tmpdir(), 'nvx-prompts-'));
+        writeFileSync(join(dir, 'audit.md'), AUDIT);
+        writeFileSync(join(dir, 'clash-review.md'), '---\nname: clash_review\ndescription: Our own clash review.\n---\nUse our matrix.\n');
+        writeFileSync(join(dir, 'broken.md'), 'no front matter');
+        process.env.NAVISWORKS_PROMPTS_DIR = dir;
+        try {
+            h = await startHarness();
+        } finally {
+            delete process.env.NAVISWORKS_PROMPTS_DIR;
+        }
+    });
+    after(async () => {
+        await h.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists built-in and custom prompts; custom ones replace built-ins of the same name', async () => {
+        const { prompts } = await h.client.listPrompts();
+        const byName = Object.fromEntries(prompts.map(p => [p.name, p]));
+        assert.ok(byName.model_health_check);
+        assert.equal(byName.audit.arguments[0].required, true);
+        assert.equal(byName.clash_review.description, 'Our own clash review.');
+        assert.equal(byName.broken, undefined);
+    });
+
+    it('renders a prompt with its arguments', async () => {
+        const result = await h.client.getPrompt({
+            name: 'property_completeness_audit',
+            arguments: { category: 'Pset_DoorCommon', properties: 'FireRating, IsExternal' },
+        });
+        assert.equal(result.messages[0].role, 'user');
+        const text = result.messages[0].content.text;
+        assert.match(text, /property category "Pset_DoorCommon" in all models/);
+        assert.match(text, /Required properties: FireRating, IsExternal\./);
+    });
+
+    it('rejects unknown prompts and missing arguments', async () => {
+        await assert.rejects(h.client.getPrompt({ name: 'nope' }), err => err.code === ErrorCode.InvalidParams);
+        await assert.rejects(h.client.getPrompt({ name: 'audit', arguments: { scope: 'ARC.ifc' } }),
+            err => err.code === ErrorCode.InvalidParams && /requires category/.test(err.message));
+    });
+});
@@ -0,0 +1,160 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { compileRules } from '../property-audit.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+const ARC = '4b1c2f0e-8d0a-4c55-9a61-0f3e2d1c0a01';
+
+const RULES_YAML = `
+name: Hospital EIR
+rules:
+  - id: door-fire-rating
+    description: Every IfcDoor must have a FireRating
+    category: IfcDoor
+    require: [Pset_DoorCommon.FireRating]
+    constraints:
+      - Pset_DoorCommon.FireRating matches /^EI\\d+$/
+  - id: space-area
+    elements: Item.Type = IfcSpace
+    require: [Element.Name]
+    constraints: ["Pset_SpaceCommon.Area > 0"]
+  - id: columns
+    category: Structural Columns
+    require: Structural.Material
+`;
+
+
+describe('compileRules', () => {
+    it('turns category into an Item.Type filter and collects the properties to look up', () => {
+        const { rules } = compileRules({ rules: [{ category: 'IfcDoor', require: ['Pset_DoorCommon.FireRating'], constraints: 'Element.Name exists' }] });
+        assert.equal(rules[0].id, 'rule-1');
+        assert.equal(rules[0].elements, "Item.Type = 'IfcDoor'");
+        assert.deepEqual(rules[0].properties.map(p => p.key), ['Item.Type', 'Pset_DoorCommon.FireRating', 'Element.Name']);
+        assert.equal(rules[0].properties[0].valueFilter, 'IfcDoor');
+        assert.equal(compileRules({ rules: [{ category: '>Doors', require: 'A.b' }] }).rules[0].properties[0].valueFilter, undefined);
+    });
+
+    it('names the rule and field of each problem', () => {
+        const cases = [
+            [{ rules: [] }, /rules must be a non-empty list/],
+            [[{ require: ['A.b'] }], /rules\[0\] needs either category or elements/],
+            [[{ category: 'IfcDoor' }], /rules\[0\] needs require or constraints/],
+            [[{ category: 'IfcDoor', require: ['FireRating'] }], /rules\[0\]\.require\[0\]: .*expected "\."/],
+            [[{ category: 'IfcDoor', require: ['A.b or C.d'] }], /rules\[0\]\.require\[0\]: .*position/],
+            [[{ category: 'IfcDoor', constraints: ['A.b >'] }], /rules\[0\]\.constraints\[0\]: Invalid query at position 6/],
+            [[{ category: 'IfcDoor', require: 'A.b', level: 1 }], /rules\[0\]: unknown field level/],
+            [[{ id: 'x', category: 'a', require: 'A.b' }, { id: 'x', category: 'b', require: 'A.b' }], /rule id x is used twice/],
+        ];
+        for (const [doc, message] of cases) {
+            assert.throws(() => compileRules(doc), err => err.code === ErrorCode.InvalidParams && message.test(err.message), message.source);
+        }
+    });
+});
+
+
+describe('audit_properties', () => {
+    let h;
+    let dir;
+    const ITEMS = {
+        'Item.Type': { d1: 'IfcDoor', d2: 'IfcDoor', d3: 'IfcDoor', s1: 'IfcSpace', s2: 'IfcSpace' },
+        'Pset_DoorCommon.FireRating': { d1: 'EI30', d2: 'T30', d4: 'EI60' },
+        'Element.Name': { d1: 'D-101', s1: 'Office', s2: ' ' },
+        'Pset_SpaceCommon.Area': { s1: '12.5 m²', s2: '0' },
+    };
+    const item = (id, value) => ({
+        canonical_id: id,
+        path_from_this_object: [{ canonical_id: id, paths: `Hospital_ARC.ifc/Level 1/${id}` }],
+        model_name: 'Hospital_ARC.ifc',
+        model_canonical_id: ARC,
+        PropertyValue: value,
+    });
+    const audit = async args => parseJsonContent(await h.client.callTool({ name: 'audit_properties', arguments: args }));
+
+    before(async () => {
+        h = await startHarness();
+        dir = mkdtempSync(join(tmpdir(), 'nvx-audit-'));
+        writeFileSync(join(dir, 'eir.yaml'), RULES_YAML);
+        writeFileSync(join(dir, 'broken.json'), '{ "rules": [');
+        process.env.NAVISWORKS_RULES_DIR = dir;
+    });
+    after(async () => {
+        delete process.env.NAVISWORKS_RULES_DIR;
+        rmSync(dir, { recursive: true, force: true });
+        await h.close();
+    });
+    beforeEach(() => {
+        h.mock.reset();
+        h.mock.respondWith('list_items_to_property', (params) => {
+            const items = Object.entries(ITEMS[`${params.Category}.${params.Property}`] ?? {})
+                .filter(([, value]) => !params.ValueFilter || value.toLowerCase().includes(params.ValueFilter.toLowerCase()))
+                .map(([id, value]) => item(id, value));
+            return { ok: true, data: { category: params.Category, property: params.Property, count: items.length, Items: items } };
+        });
+    });
+
+    it('reports each rule per model with the failing elements', async () => {
+        const result = await audit({ rulesFile: 'eir.yaml' });
+        assert.equal(result.rulesFile, join(dir, 'eir.yaml'));
+        assert.equal(result.name, 'Hospital EIR');
+
+        const [doors, spaces, columns] = result.rules;
+        assert.equal(doors.status, 'fail');
+        assert.deepEqual([doors.checked, doors.passed, doors.failed], [3, 1, 2]);
+        const model = doors.models[0];
+        assert.equal(model.model_name, 'Hospital_ARC.ifc');
+        assert.deepEqual(model.coverage, { 'Pset_DoorCommon.FireRating': 38 });
+        assert.deepEqual(model.failures.map(f => [f.canonical_id, f.failed]), [
+            ['d2', ['Pset_DoorCommon.FireRating matches /^EI\\d+$/']],
+            ['d3', ['missing Pset_DoorCommon.FireRating', 'Pset_DoorCommon.FireRating matches /^EI\\d+$/']],
+        ]);
+        assert.equal(model.failures[0].path, 'Hospital_ARC.ifc/Level 1/d2');
+        assert.equal(model.failures[0].values['Pset_DoorCommon.FireRating'], 'T30');
+
+        assert.deepEqual(spaces.models[0].failures.map(f => [f.canonical_id, f.failed]), [
+            ['s2', ['missing Element.Name', 'Pset_SpaceCommon.Area > 0']],
+        ]);
+        assert.equal(columns.status, 'not_applicable');
+
+        assert.deepEqual(result.summary, {
+            rules: 3, passed: 0, failed: 2, not_applicable: 1, checked: 5, failedChecks: 3, failedElements: 3, compliance: 40,
+        });
+    });
+
+    it('looks up each property once per scope', async () => {
+        await audit({ rulesFile: 'eir.yaml' });
+        const calls = h.mock.calls.filter(c => c.method === 'list_items_to_property').map(c => `${c.params.Category}.${c.params.Property}`);
+        assert.deepEqual(calls, ['Item.Type', 'Pset_DoorCommon.FireRating', 'Element.Name', 'Pset_SpaceCommon.Area', 'Structural.Material']);
+        assert.equal(h.mock.calls.filter(c => c.method === 'get_property_distribution_by_category').length, 1);
+    });
+
+    it('takes inline rules with their own scope and selects the failing elements', async () => {
+        const result = await audit({
+            rules: [{ category: 'IfcDoor', scope: 'Hospital_ARC.ifc', require: 'Element.Name' }],
+            maxFailures: 1,
+            applySelection: true,
+        });
+        assert.equal(result.rulesFile, null);
+        assert.equal(result.rules[0].failed, 2);
+        assert.equal(result.rules[0].models[0].failures.length, 1);
+        assert.equal(result.rules[0].models[0].failuresTruncated, true);
+        assert.ok(h.mock.calls.filter(c => c.method === 'list_items_to_property').every(c => c.params.Scope === 'Hospital_ARC.ifc'));
+        const types = h.mock.calls.find(c => c.method === 'list_items_to_property' && c.params.Property === 'Type');
+        assert.equal(types.params.ValueFilter, 'IfcDoor');
+        assert.deepEqual(result.lookups[0], { scope: 'Hospital_ARC.ifc', category: 'Item', property: 'Type', valueFilter: 'IfcDoor', items: 3 });
+
+        const select = h.mock.calls.find(c => c.method === 'apply_selection');
+        assert.deepEqual(select.params, { canonical_id: ['d2', 'd3'], keepExistingSelection: false });
+        assert.deepEqual(result.selection, { applied: true, count: 2, keepExistingSelection: false });
+    });
+
+    it('rejects unreadable rules before calling the add-in', async () => {
+        await assert.rejects(audit({ rulesFile: 'missing.yaml' }), err => err.code === ErrorCode.InvalidParams && /ENOENT/.test(err.message));
+        await assert.rejects(audit({ rulesFile: 'broken.json' }), err => err.code === ErrorCode.InvalidParams && /Invalid rules file/.test(err.message));
+        await assert.rejects(audit({}), err => err.code === ErrorCode.InvalidParams && /either rulesFile or rules/.test(err.message));
+        assert.equal(h.mock.calls.length, 0);
+    });
+});
@@ -0,0 +1,135 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { parseResourceUri } from '../resources.js';
+import { startHarness } from './helpers.js';
+
+
+const ARC_ID = '4b1c2f0e-8d0a-4c55-9a61-0f3e2d1c0a01';
+const DOOR_ID = 'd0000001-0000-4000-8000-000000000101';
+
+
+function readJson(result) {
+    return JSON.parse(result.contents[0].text);
+}
+
+
+describe('parseResourceUri', () => {
+    it('recognizes the supported URIs', () => {
+        assert.deepEqual(parseResourceUri('navisworks://models'), { kind: 'models' });
+        assert.deepEqual(parseResourceUri('navisworks://selection'), { kind: 'selection' });
+        assert.deepEqual(parseResourceUri('navisworks://model/p%3A1f0c'), { kind: 'model', canonicalId: 'p:1f0c' });
+        assert.deepEqual(parseResourceUri(`navisworks://item/${DOOR_ID}/properties`), { kind: 'item', canonicalId: DOOR_ID });
+        assert.equal(parseResourceUri('navisworks://item/x'), null);
+        assert.deepEqual(parseResourceUri('navisworks://instance/archive/model/p%3A1f0c'), { kind: 'model', canonicalId: 'p:1f0c', instance: 'archive' });
+        assert.deepEqual(parseResourceUri('navisworks://instance/vm%201/selection'), { kind: 'selection', instance: 'vm 1' });
+        assert.equal(parseResourceUri('navisworks://instance/a/instance/b/models'), null);
+    });
+});
+
+
+describe('resources', () => {
+    let h;
+    const updates = [];
+
+    before(async () => {
+        h = await startHarness();
+        // Polls are triggered by the tests; the timer must not interfere.
+        h.server.resources.pollIntervalMs = 60 * 60 * 1000;
+        h.client.setNotificationHandler(ResourceUpdatedNotificationSchema, n => { updates.push(n.params.uri); });
+    });
+    after(async () => {
+        h.server.resources.stopPolling();
+        await h.close();
+    });
+    beforeEach(() => {
+        h.mock.reset();
+        updates.length = 0;
+    });
+
+    it('lists the static resources and one resource per loaded model', async () => {
+        const { resources } = await h.client.listResources();
+        const uris = resources.map(r => r.uri);
+        assert.ok(uris.includes('navisworks://models'));
+        assert.ok(uris.includes('navisworks://selection'));
+        assert.ok(uris.includes(`navisworks://model/${ARC_ID}`));
+    });
+
+    it('lists the model and item templates', async () => {
+        const { resourceTemplates } = await h.client.listResourceTemplates();
+        assert.deepEqual(resourceTemplates.map(t => t.uriTemplate), [
+            'navisworks://model/{canonical_id}',
+            'navisworks://item/{canonical_id}/properties',
+        ]);
+    });
+
+    it('reads the model list in the shape of get_model_overview', async () => {
+        const payload = readJson(await h.client.readResource({ uri: 'navisworks://models' }));
+        assert.equal(payload.modelsCount, 2);
+        assert.equal(payload.Models[0].canonical_id, ARC_ID);
+    });
+
+    it('reads a single model', async () => {
+        const payload = readJson(await h.client.readResource({ uri: `navisworks://model/${ARC_ID}` }));
+        assert.equal(payload.name, 'Hospital_ARC.ifc');
+        assert.equal(payload.document, 'Hospital_Federated.nwd');
+    });
+
+    it('rejects an unknown model', async () => {
+        await assert.rejects(
+            h.client.readResource({ uri: 'navisworks://model/unknown' }),
+            err => err.code === ErrorCode.InvalidParams && /unknown/.test(err.message));
+    });
+
+    it('reads item properties via list_properties_for_item', async () => {
+        const payload = readJson(await h.client.readResource({ uri: `navisworks://item/${DOOR_ID}/properties` }));
+        assert.equal(payload.element_name, 'Door D-101');
+        assert.deepEqual(h.mock.calls.at(-1).params, { item_id: DOOR_ID });
+    });
+
+    it('reads the current selection', async () => {
+        const payload = readJson(await h.client.readResource({ uri: 'navisworks://selection' }));
+        assert.equal(payload.count, 3);
+    });
+
+    it('notifies selection subscribers when the selection changes', async () => {
+        await h.client.subscribeResource({ uri: 'navisworks://selection' });
+
+        assert.deepEqual(await h.server.resources.poll(), []);
+        h.mock.respondWith('get_current_selection_snapshot', { ok: true, data: { count: 1, canonical_id: [DOOR_ID], path: [''] } });
+        assert.deepEqual(await h.server.resources.poll(), ['navisworks://selection']);
+        assert.deepEqual(await h.server.resources.poll(), []);
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(updates, ['navisworks://selection']);
+        await h.client.unsubscribeResource({ uri: 'navisworks://selection' });
+    });
+
+    it('notifies document subscribers when meta.model_revision changes', async () => {
+        h.mock.modelRevision = 'r1';
+        await h.client.subscribeResource({ uri: 'navisworks://models' });
+        assert.deepEqual(await h.server.resources.poll(), []);
+
+        h.mock.modelRevision = 'r2';
+        assert.deepEqual(await h.server.resources.poll(), ['navisworks://models']);
+
+        h.mock.modelRevision = 'n/a';
+        await h.client.unsubscribeResource({ uri: 'navisworks://models' });
+    });
+
+    it('falls back to the overview content while the add-in reports no revision', async () => {
+        await h.client.subscribeResource({ uri: `navisworks://model/${ARC_ID}` });
+        assert.deepEqual(await h.server.resources.poll(), []);
+
+        const overview = structuredClone(h.mock.fixtures.get_model_overview);
+        overview.data.Models.pop();
+        h.mock.respondWith('get_model_overview', overview);
+        assert.deepEqual(await h.server.resources.poll(), [`navisworks://model/${ARC_ID}`]);
+
+        await h.client.unsubscribeResource({ uri: `navisworks://model/${ARC_ID}` });
+    });
+
+    it('rejects subscriptions to unknown URIs', async () => {
+        await assert.rejects(h.client.subscribeResource({ uri: 'navisworks://nope' }), err => err.code === ErrorCode.InvalidParams);
+    });
+});
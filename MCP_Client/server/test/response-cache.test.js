@@ -0,0 +1,163 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { cacheKey, ResponseCache } from '../response-cache.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+
+describe('ResponseCache', () => {
+    it('builds the same key regardless of key order and undefined values', () => {
+        assert.equal(
+            cacheKey('list_items_to_property', { Category: 'Pset_DoorCommon', Property: 'FireRating', MaxResults: undefined }),
+            cacheKey('list_items_to_property', { Property: 'FireRating', Category: 'Pset_DoorCommon' }));
+        assert.notEqual(cacheKey('a', { x: 1 }), cacheKey('b', { x: 1 }));
+    });
+
+    it('evicts the least recently used entry', () => {
+        const cache = new ResponseCache({ maxEntries: 2, dir: null });
+        cache.set('a', 'm', { ok: true, data: 'a' });
+        cache.set('b', 'm', { ok: true, data: 'b' });
+        cache.get('a');
+        cache.set('c', 'm', { ok: true, data: 'c' });
+        assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+    });
+
+    it('drops all entries when the revision changes', () => {
+        const cache = new ResponseCache({ dir: null });
+        cache.setRevision('rev:1');
+        cache.set('a', 'm', { ok: true });
+        cache.setRevision('rev:1');
+        assert.equal(cache.entries.size, 1);
+        cache.setRevision('rev:2');
+        assert.equal(cache.entries.size, 0);
+        assert.equal(cache.status().invalidations, 1);
+    });
+
+    it('trusts a checked revision for NAVISWORKS_CACHE_REVISION_CHECK_MS', () => {
+        const cache = new ResponseCache({ dir: null });
+        assert.equal(cache.revisionIsFresh(), false);
+        cache.setRevision('rev:1');
+        assert.equal(cache.revisionIsFresh(cache.revisionCheckedAt + 29999), true);
+        assert.equal(cache.revisionIsFresh(cache.revisionCheckedAt + 30000), false);
+
+        process.env.NAVISWORKS_CACHE_REVISION_CHECK_MS = '0';
+        try {
+            const checked = new ResponseCache({ dir: null });
+            checked.setRevision('rev:1');
+            assert.equal(checked.revisionIsFresh(checked.revisionCheckedAt), false);
+        } finally {
+            delete process.env.NAVISWORKS_CACHE_REVISION_CHECK_MS;
+        }
+    });
+
+    it('keeps entries on disk across instances', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'nvx-cache-'));
+        try {
+            const first = new ResponseCache({ dir });
+            first.setRevision('rev:7');
+            first.set('a', 'list_items_to_property', { ok: true, data: { count: 6 } });
+            await first.flush();
+
+            const second = new ResponseCache({ dir });
+            assert.equal(second.revision, 'rev:7');
+            assert.deepEqual(second.get('a'), { ok: true, data: { count: 6 } });
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+
+describe('cached tool calls', () => {
+    let h;
+    const distribution = { name: 'get_property_distribution_by_category', arguments: {} };
+    const callsOf = method => h.mock.calls.filter(c => c.method === method).length;
+
+    before(async () => {
+        h = await startHarness({ cache: true });
+        // Check the revision before every cached answer.
+        h.server.cache.revisionCheckMs = 0;
+    });
+    after(async () => { await h.close(); });
+    beforeEach(() => {
+        h.mock.reset();
+        h.server.cache.clear();
+    });
+
+    it('answers repeated read-only calls from the cache', async () => {
+        const first = await h.client.callTool(distribution);
+        const second = await h.client.callTool(distribution);
+        assert.deepEqual(parseJsonContent(second), parseJsonContent(first));
+        assert.equal(callsOf('get_property_distribution_by_category'), 1);
+    });
+
+    it('keys the cache on the normalized RPC params', async () => {
+        await h.client.callTool({ name: 'get_element_count_by_category', arguments: { category: 'IfcDoor', scope: 'all' } });
+        await h.client.callTool({ name: 'get_element_count_by_category', arguments: { category: ' IfcDoor ' } });
+        await h.client.callTool({ name: 'get_element_count_by_category', arguments: { category: 'IfcWall' } });
+        assert.equal(callsOf('get_element_count_by_category'), 2);
+    });
+
+    it('fetches fresh data with noCache and does not forward the flag', async () => {
+        await h.client.callTool(distribution);
+        await h.client.callTool({ ...distribution, arguments: { noCache: true } });
+        const calls = h.mock.calls.filter(c => c.method === 'get_property_distribution_by_category');
+        assert.equal(calls.length, 2);
+        assert.deepEqual(calls[1].params, {});
+    });
+
+    it('invalidates when meta.model_revision changes', async () => {
+        h.mock.modelRevision = 'r1';
+        try {
+            await h.client.callTool(distribution);
+            await h.client.callTool(distribution);
+            h.mock.modelRevision = 'r2';
+            await h.client.callTool(distribution);
+            assert.equal(callsOf('get_property_distribution_by_category'), 2);
+        } finally {
+            h.mock.modelRevision = 'n/a';
+        }
+    });
+
+    it('invalidates when the loaded models change while no revision is reported', async () => {
+        await h.client.callTool(distribution);
+        const overview = structuredClone(h.mock.fixtures.get_model_overview);
+        overview.data.Models.pop();
+        h.mock.respondWith('get_model_overview', overview);
+        await h.client.callTool(distribution);
+        assert.equal(callsOf('get_property_distribution_by_category'), 2);
+    });
+
+    it('does not cache mutating methods or the selection', async () => {
+        for (let i = 0; i < 2; i++) {
+            await h.client.callTool({ name: 'clear_selection', arguments: {} });
+            await h.client.callTool({ name: 'get_current_selection_snapshot', arguments: {} });
+        }
+        assert.equal(callsOf('clear_selection'), 2);
+        assert.equal(callsOf('get_current_selection_snapshot'), 2);
+    });
+
+    it('offers noCache only on cacheable tools', async () => {
+        const { tools } = await h.client.listTools();
+        const byName = Object.fromEntries(tools.map(t => [t.name, t]));
+        assert.equal(byName.list_items_to_property.inputSchema.properties.noCache.type, 'boolean');
+        assert.equal(byName.apply_selection.inputSchema.properties.noCache, undefined);
+        assert.equal(byName.get_model_overview.inputSchema.properties.noCache, undefined);
+    });
+
+    it('reports and clears the cache through tools', async () => {
+        await h.client.callTool(distribution);
+        await h.client.callTool(distribution);
+
+        const status = parseJsonContent(await h.client.callTool({ name: 'cache_status', arguments: {} }));
+        assert.equal(status.enabled, true);
+        assert.deepEqual(status.by_method, { get_property_distribution_by_category: 1 });
+        assert.ok(status.hits >= 1);
+
+        const cleared = parseJsonContent(await h.client.callTool({ name: 'cache_clear', arguments: { method: 'get_property_distribution_by_category' } }));
+        assert.deepEqual(cleared, { instance: 'default', cleared: 1, method: 'get_property_distribution_by_category', remaining: 0 });
+        assert.equal(h.mock.calls.some(c => c.method.startsWith('cache_')), false);
+    });
+});
@@ -0,0 +1,172 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { NavisworksRpcClient } from '../navisworks-rpc.js';
+import { startMockNavisworks } from '../mock/mock-navisworks.js';
+import { startHarness } from './helpers.js';
+
+
+function delayed(ms, envelope) {
+    return () => new Promise(resolve => setTimeout(() => resolve(envelope), ms));
+}
+
+
+describe('NavisworksRpcClient', () => {
+    let mock;
+    let client;
+
+    before(async () => { mock = await startMockNavisworks(); });
+    after(async () => { await mock.close(); });
+    beforeEach(() => {
+        mock.reset();
+        client = new NavisworksRpcClient({ baseUrl: mock.url, retryDelayMs: 1, retries: 2, isRetryable: () => true });
+    });
+
+    it('sends a unique request id per call, also in parallel', async () => {
+        await Promise.all([1, 2, 3, 4, 5].map(() => client.call('get_units_and_tolerances')));
+        const ids = mock.calls.map(c => c.id);
+        assert.equal(new Set(ids).size, 5);
+    });
+
+    it('rejects a response that echoes a different request id', async () => {
+        mock.respondWith('get_units_and_tolerances', { ok: true, data: {}, meta: { request_id: 'someone-else' } });
+        await assert.rejects(client.call('get_units_and_tolerances'), err => err.data.rpcCode === 'NVX_ID_MISMATCH');
+    });
+
+    it('times out with RequestTimeout', async () => {
+        mock.respondWith('get_model_overview', delayed(200, { ok: true, data: {} }));
+        client.retries = 0;
+        await assert.rejects(client.call('get_model_overview', {}, { timeoutMs: 30 }),
+            err => err.code === ErrorCode.RequestTimeout && err.data.rpcCode === 'NVX_CLIENT_TIMEOUT');
+    });
+
+    it('gives whole-model queries a longer default timeout', () => {
+        client.timeoutMs = 1000;
+        assert.equal(client.timeoutFor('get_units_and_tolerances'), 1000);
+        assert.ok(client.timeoutFor('list_items_to_property') > 1000);
+    });
+
+    it('aborts when the caller cancels', async () => {
+        mock.respondWith('get_model_overview', delayed(200, { ok: true, data: {} }));
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(client.call('get_model_overview', {}, { signal: controller.signal }),
+            err => err.data.rpcCode === 'NVX_CANCELED');
+        assert.equal(mock.calls.length, 1);
+    });
+
+    it('retries read methods on transient failures', async () => {
+        let n = 0;
+        mock.respondWith('get_units_and_tolerances', () => (++n < 3 ? { httpStatus: 503 } : { ok: true, data: { length_unit: 'm' } }));
+        const envelope = await client.call('get_units_and_tolerances');
+        assert.equal(envelope.data.length_unit, 'm');
+        assert.equal(mock.calls.length, 3);
+    });
+
+    it('answers missing and unknown methods like the add-in', async () => {
+        await assert.rejects(client.call('get_clash_tests'),
+            err => err.data.rpcCode === 'NVX_NOT_FOUND' && /Unknown method 'get_clash_tests'/.test(err.message));
+
+        const res = await fetch(new URL('/rpc', mock.url), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"id":"1"}' });
+        assert.deepEqual((await res.json()).error, { code: 'NVX_BAD_REQUEST', msg: 'Missing method.' });
+    });
+
+    it('does not retry error envelopes from the add-in', async () => {
+        mock.failWith('get_units_and_tolerances', 'NVX_TIMEOUT');
+        await assert.rejects(client.call('get_units_and_tolerances'), err => err.data.rpcCode === 'NVX_TIMEOUT');
+        assert.equal(mock.calls.length, 1);
+    });
+
+    for (const method of ['apply_selection', 'run_simple_clash', 'clear_selection']) {
+        it(`never retries ${method}`, async () => {
+            mock.respondWith(method, { httpStatus: 503 });
+            await assert.rejects(client.call(method, {}), err => err.data.rpcCode === 'NVX_HTTP');
+            assert.equal(mock.calls.length, 1);
+        });
+    }
+
+    it('does not retry methods the caller marks as not retryable', async () => {
+        client.isRetryable = () => false;
+        mock.respondWith('get_units_and_tolerances', { httpStatus: 503 });
+        await assert.rejects(client.call('get_units_and_tolerances'));
+        assert.equal(mock.calls.length, 1);
+    });
+});
+
+
+describe('health check', () => {
+    it('reports ok when the add-in answers ping', async () => {
+        const mock = await startMockNavisworks();
+        try {
+            const health = await new NavisworksRpcClient({ baseUrl: mock.url }).checkHealth();
+            assert.equal(health.state, 'ok');
+            assert.equal(mock.calls[0].method, 'ping');
+        } finally {
+            await mock.close();
+        }
+    });
+
+    it('reports ok for add-ins without a ping route', async () => {
+        const mock = await startMockNavisworks();
+        mock.failWith('ping', 'NVX_NOT_FOUND');
+        try {
+            assert.equal((await new NavisworksRpcClient({ baseUrl: mock.url }).checkHealth()).state, 'ok');
+        } finally {
+            await mock.close();
+        }
+    });
+
+    it('reports unreachable when nothing listens on the port', async () => {
+        const mock = await startMockNavisworks();
+        await mock.close();
+        const health = await new NavisworksRpcClient({ baseUrl: mock.url }).checkHealth();
+        assert.equal(health.state, 'unreachable');
+        assert.match(health.message, /api_port/);
+    });
+
+    it('reports wrong_service when another program answers', async () => {
+        const other = createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<html>dev server</html>');
+        });
+        await new Promise(resolve => other.listen(0, '127.0.0.1', resolve));
+        try {
+            const health = await new NavisworksRpcClient({ baseUrl: `http://127.0.0.1:${other.address().port}` }).checkHealth();
+            assert.equal(health.state, 'wrong_service');
+        } finally {
+            await new Promise(resolve => other.close(resolve));
+        }
+    });
+});
+
+
+describe('MCP request cancellation', () => {
+    let h;
+
+    before(async () => { h = await startHarness(); });
+    after(async () => { await h.close(); });
+
+    it('aborts the RPC call when the MCP request is canceled', async () => {
+        h.mock.respondWith('get_model_overview', delayed(300, { ok: true, data: {} }));
+
+        const rpc = h.server.rpcClient;
+        const settled = {};
+        rpc.call = (...args) => {
+            const p = NavisworksRpcClient.prototype.call.apply(rpc, args);
+            settled[args[0]] = p.then(() => 'resolved', err => err.data?.rpcCode);
+            return p;
+        };
+
+        const controller = new AbortController();
+        const pending = h.client.callTool({ name: 'get_model_overview', arguments: {} }, undefined, { signal: controller.signal });
+        setTimeout(() => controller.abort('user canceled'), 30);
+
+        try {
+            await assert.rejects(pending);
+            assert.equal(await settled.get_model_overview, 'NVX_CANCELED');
+        } finally {
+            delete rpc.call;
+        }
+    });
+});
@@ -0,0 +1,147 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { combineSets, SelectionSetStore } from '../selection-sets.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+const DOOR = n => `d0000001-0000-4000-8000-00000000010${n}`;
+const DOCUMENT = 'Hospital_Federated.nwd';
+
+
+describe('combineSets', () => {
+    it('unites, intersects and subtracts in first-seen order', () => {
+        const lists = [['a', 'b', 'c', 'a'], ['c', 'd', 'a'], ['a', 'e']];
+        assert.deepEqual(combineSets('union', lists), ['a', 'b', 'c', 'd', 'e']);
+        assert.deepEqual(combineSets('intersect', lists), ['a']);
+        assert.deepEqual(combineSets('subtract', lists), ['b']);
+        assert.deepEqual(combineSets('subtract', [['a', 'b']]), ['a', 'b']);
+        assert.throws(() => combineSets('xor', lists), err => err.code === ErrorCode.InvalidParams);
+    });
+});
+
+
+describe('SelectionSetStore', () => {
+    let dir;
+
+    before(() => { dir = mkdtempSync(join(tmpdir(), 'nvx-sets-')); });
+    after(() => { rmSync(dir, { recursive: true, force: true }); });
+
+    it('keeps sets per document across instances', async () => {
+        const store = new SelectionSetStore({ dir });
+        assert.equal((await store.save('A.nwd', 'doors', ['x', 'y', 'x'])).replaced, false);
+        assert.equal((await store.save('A.nwd', 'doors', ['x'], { description: 'main doors' })).replaced, true);
+        await store.save('B.nwd', 'walls', ['w']);
+
+        const reloaded = new SelectionSetStore({ dir });
+        assert.deepEqual(reloaded.list('A.nwd').map(s => [s.name, s.count, s.description]), [['doors', 1, 'main doors']]);
+        assert.deepEqual(reloaded.get('B.nwd', 'walls').canonical_id, ['w']);
+        assert.deepEqual(reloaded.list('C.nwd'), []);
+        assert.equal(JSON.parse(readFileSync(join(dir, 'navisworks-selection-sets.json'), 'utf8')).version, 1);
+    });
+
+    it('names the saved sets when a set is unknown', async () => {
+        const store = new SelectionSetStore({ dir });
+        assert.throws(() => store.get('A.nwd', 'windows'), err => err.code === ErrorCode.InvalidParams && /saved sets: doors/.test(err.message));
+        assert.throws(() => store.get('A.nwd', 'constructor'), /no selection set "constructor"/);
+        assert.equal(await store.delete('A.nwd', 'windows'), false);
+        assert.equal(await store.delete('A.nwd', 'doors'), true);
+        assert.deepEqual(new SelectionSetStore({ dir }).list('A.nwd'), []);
+    });
+
+    it('takes documents titled like Object members as documents of their own', async () => {
+        const store = new SelectionSetStore({ dir });
+        for (const document of ['constructor', 'toString', '__proto__']) {
+            assert.deepEqual(store.list(document), [], document);
+            assert.throws(() => store.get(document, 'doors'), /no sets are saved for it/, document);
+        }
+        await store.save('__proto__', 'doors', ['x']);
+        await store.save('constructor', 'walls', ['w']);
+
+        const reloaded = new SelectionSetStore({ dir });
+        assert.deepEqual(reloaded.get('__proto__', 'doors').canonical_id, ['x']);
+        assert.deepEqual(reloaded.list('constructor').map(s => s.name), ['walls']);
+        assert.deepEqual(reloaded.list('toString'), []);
+    });
+});
+
+
+describe('selection set tools', () => {
+    let h;
+    let dir;
+    const call = async (name, args = {}) => parseJsonContent(await h.client.callTool({ name, arguments: args }));
+
+    before(async () => {
+        h = await startHarness();
+        dir = mkdtempSync(join(tmpdir(), 'nvx-sets-'));
+        process.env.NAVISWORKS_SELECTION_SETS_DIR = dir;
+    });
+    after(async () => {
+        delete process.env.NAVISWORKS_SELECTION_SETS_DIR;
+        rmSync(dir, { recursive: true, force: true });
+        await h.close();
+    });
+    beforeEach(() => { h.mock.reset(); });
+
+    it('saves the current selection or a given list under the document title', async () => {
+        assert.deepEqual(await call('save_selection_set', { name: 'doors', description: 'Level 1 doors' }), {
+            document: DOCUMENT, name: 'doors', count: 3, replaced: false, source: 'selection',
+        });
+        assert.deepEqual(await call('save_selection_set', { name: 'checked', canonical_id: [DOOR(1), DOOR(3)] }), {
+            document: DOCUMENT, name: 'checked', count: 2, replaced: false, source: 'canonical_id',
+        });
+
+        const { sets } = await call('list_selection_sets');
+        assert.deepEqual(sets.map(s => [s.name, s.count, s.description]), [['checked', 2, ''], ['doors', 3, 'Level 1 doors']]);
+        const stored = JSON.parse(readFileSync(join(dir, 'navisworks-selection-sets.json'), 'utf8'));
+        assert.deepEqual(Object.keys(stored.documents[DOCUMENT]), ['doors', 'checked']);
+    });
+
+    it('refuses to save an empty selection', async () => {
+        h.mock.respondWith('get_current_selection_snapshot', { ok: true, data: { count: 0, canonical_id: [], path: [] } });
+        await assert.rejects(call('save_selection_set', { name: 'empty' }), err => err.code === ErrorCode.InvalidParams && /selection is empty/.test(err.message));
+    });
+
+    it('combines sets and saves the result', async () => {
+        const result = await call('combine_selection_sets', { operation: 'subtract', sets: ['doors', 'checked'], saveAs: 'open' });
+        assert.deepEqual(result, {
+            document: DOCUMENT, operation: 'subtract', sets: { doors: 3, checked: 2 }, count: 1, canonical_id: [DOOR(2)], savedAs: 'open',
+            page: { offset: 0, returned: 1, total: 1 },
+        });
+        assert.equal((await call('list_selection_sets')).sets.find(s => s.name === 'open').description, 'subtract of doors, checked');
+
+        await assert.rejects(call('combine_selection_sets', { operation: 'union', sets: ['doors', 'windows'] }),
+            err => err.code === ErrorCode.InvalidParams && /no selection set "windows"/.test(err.message));
+    });
+
+    it('re-applies a set and reports stale IDs', async () => {
+        const result = await call('apply_selection_set', { name: 'doors' });
+        assert.deepEqual(result, { document: DOCUMENT, name: 'doors', requested: 3, selected: 2, stale: [DOOR(3)] });
+        assert.deepEqual(h.mock.calls.find(c => c.method === 'apply_selection').params, {
+            canonical_id: [DOOR(1), DOOR(2), DOOR(3)], keepExistingSelection: false,
+        });
+
+        assert.equal((await call('apply_selection_set', { name: 'doors', pruneStale: true })).pruned, true);
+        assert.deepEqual(await call('apply_selection_set', { name: 'doors', keepExistingSelection: true }), {
+            document: DOCUMENT, name: 'doors', requested: 2, selected: 2, stale: [],
+        });
+    });
+
+    it('stores GUIDs in the form the add-in reports them, so they are not taken for stale', async () => {
+        await call('save_selection_set', { name: 'typed', canonical_id: [DOOR(1).toUpperCase(), `{${DOOR(2)}}`, ` ${DOOR(1)} `] });
+        const stored = JSON.parse(readFileSync(join(dir, 'navisworks-selection-sets.json'), 'utf8'));
+        assert.deepEqual(stored.documents[DOCUMENT].typed.canonical_id, [DOOR(1), DOOR(2)]);
+
+        assert.deepEqual(await call('apply_selection_set', { name: 'typed', pruneStale: true }), {
+            document: DOCUMENT, name: 'typed', requested: 2, selected: 2, stale: [], pruned: false,
+        });
+        assert.equal((await call('list_selection_sets')).sets.find(s => s.name === 'typed').count, 2);
+    });
+
+    it('deletes sets', async () => {
+        assert.deepEqual(await call('delete_selection_set', { name: 'open' }), { document: DOCUMENT, name: 'open', deleted: true });
+        assert.equal((await call('delete_selection_set', { name: 'open' })).deleted, false);
+    });
+});
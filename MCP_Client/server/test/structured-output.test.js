@@ -0,0 +1,160 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { checkValue, validateArguments } from '../schema.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+const DOOR_ID = 'd0000001-0000-4000-8000-000000000101';
+
+// One valid call per tool.
+const SAMPLE_ARGUMENTS = {
+    get_model_overview: {},
+    get_element_count_by_category: { category: 'IfcDoor' },
+    get_property_distribution_by_category: {},
+    list_properties_for_item: { canonical_id: DOOR_ID },
+    list_items_to_property: { category: 'Pset_DoorCommon', property: 'FireRating' },
+    clear_selection: {},
+    get_current_selection_snapshot: {},
+    apply_selection: { canonical_id: [DOOR_ID] },
+    query_items: { where: 'Pset_DoorCommon.FireRating exists' },
+    audit_properties: { rules: [{ category: 'IfcDoor', require: ['Pset_DoorCommon.FireRating'] }] },
+    run_clash_matrix: { pairs: [{ scopeA: 'Hospital_ARC.ifc', scopeB: 'Hospital_STR.rvt' }] },
+    run_simple_clash: {},
+    get_units_and_tolerances: {},
+    export_items: { source: 'selection', format: 'json' },
+    snapshot_model: { name: 'sample' },
+    diff_snapshots: { from: 'sample.json' },
+    save_selection_set: { name: 'doors' },
+    list_selection_sets: {},
+    delete_selection_set: { name: 'walls' },
+    combine_selection_sets: { operation: 'union', sets: ['doors'] },
+    apply_selection_set: { name: 'doors' },
+    list_instances: {},
+    cache_status: {},
+    cache_clear: {},
+    get_audit_log: {},
+};
+
+
+describe('validateArguments', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            mode: { type: 'string', enum: ['a', 'b'], default: 'a' },
+            limit: { type: 'integer', minimum: 1 },
+        },
+        required: ['name'],
+    };
+
+    it('applies defaults', () => {
+        assert.deepEqual(validateArguments(schema, { name: 'x' }), { name: 'x', mode: 'a' });
+    });
+
+    it('names every offending field', () => {
+        assert.throws(() => validateArguments(schema, { name: '  ', mode: 'c', limit: 0, extra: true }), (error) => {
+            assert.equal(error.code, ErrorCode.InvalidParams);
+            assert.match(error.message, /name must not be empty/);
+            assert.match(error.message, /mode must be one of a, b/);
+            assert.match(error.message, /limit must be >= 1/);
+            assert.match(error.message, /unknown argument extra/);
+            return true;
+        });
+    });
+
+    it('checks nested objects and nullable types', () => {
+        const item = { type: 'object', properties: { id: { type: ['string', 'null'] } }, required: ['id'], additionalProperties: false };
+        assert.deepEqual(checkValue(item, { id: null }, 'item'), ['item.id is required']);
+        assert.deepEqual(checkValue(item, { id: 'a', x: 1 }, 'item'), ['unknown argument item.x']);
+        assert.deepEqual(checkValue({ type: 'array', items: item }, [{ id: 5 }], 'list'), ['list[0].id must be of type string or null']);
+    });
+});
+
+
+describe('structured tool output', () => {
+    let h;
+    let dir;
+    let tools;
+
+    before(async () => {
+        h = await startHarness();
+        dir = mkdtempSync(join(tmpdir(), 'nvx-output-'));
+        process.env.NAVISWORKS_EXPORT_DIR = dir;
+        ({ tools } = await h.client.listTools());
+    });
+    after(async () => {
+        delete process.env.NAVISWORKS_EXPORT_DIR;
+        rmSync(dir, { recursive: true, force: true });
+        await h.close();
+    });
+
+    async function callError(name, args) {
+        try {
+            await h.client.callTool({ name, arguments: args });
+        } catch (error) {
+            return error;
+        }
+        assert.fail(`${name} did not fail`);
+    }
+
+    it('declares closed input schemas and an output schema for every tool', () => {
+        for (const tool of tools) {
+            assert.equal(tool.inputSchema.additionalProperties, false, tool.name);
+            assert.equal(tool.outputSchema?.type, 'object', tool.name);
+        }
+    });
+
+    it('returns structuredContent matching the output schema', async () => {
+        for (const tool of tools) {
+            const args = SAMPLE_ARGUMENTS[tool.name];
+            assert.ok(args, `no sample arguments for ${tool.name}`);
+
+            const result = await h.client.callTool({ name: tool.name, arguments: args });
+            assert.deepEqual(checkValue(tool.outputSchema, result.structuredContent, tool.name), [], tool.name);
+            assert.deepEqual(parseJsonContent(result), result.structuredContent, tool.name);
+        }
+    });
+
+    it('wraps add-in results that are not objects as { result }', async () => {
+        h.mock.respondWith('get_units_and_tolerances', { ok: true, data: null });
+        try {
+            const result = await h.client.callTool({ name: 'get_units_and_tolerances', arguments: {} });
+            assert.deepEqual(result.structuredContent, { result: null });
+            assert.deepEqual(parseJsonContent(result), { result: null });
+        } finally {
+            h.mock.reset();
+        }
+    });
+
+    it('adds paging metadata to the output schema of paged tools', () => {
+        const overview = tools.find(t => t.name === 'get_model_overview');
+        assert.ok(overview.outputSchema.required.includes('page'));
+        assert.ok(overview.outputSchema.properties.summary);
+    });
+
+    it('returns the resolved items of apply_selection with a count', async () => {
+        const result = await h.client.callTool({ name: 'apply_selection', arguments: { canonical_id: [DOOR_ID] } });
+        assert.equal(result.structuredContent.count, result.structuredContent.items.length);
+    });
+
+    it('rejects unknown arguments', async () => {
+        const error = await callError('list_properties_for_item', { item_id: DOOR_ID });
+        assert.equal(error.code, ErrorCode.InvalidParams);
+        assert.match(error.message, /unknown argument item_id/);
+        assert.match(error.message, /canonical_id is required/);
+    });
+
+    it('rejects blank strings and values outside the schema', async () => {
+        const blank = await callError('get_element_count_by_category', { category: '   ' });
+        assert.match(blank.message, /category must not be empty/);
+
+        const format = await callError('export_items', { source: 'selection', format: 'pdf' });
+        assert.match(format.message, /format must be one of csv, xlsx, json/);
+
+        const tolerance = await callError('run_simple_clash', { tolerance_m: -1 });
+        assert.match(tolerance.message, /tolerance_m must be >= 0/);
+    });
+});
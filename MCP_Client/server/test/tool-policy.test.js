@@ -0,0 +1,101 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { CLIENT_TOOLS } from '../tool-catalog.js';
+import { applyToolPolicy, toolPolicy } from '../tool-policy.js';
+import { startHarness } from './helpers.js';
+
+const DOOR_ID = 'd0000001-0000-4000-8000-000000000101';
+
+
+describe('toolPolicy', () => {
+    it('reads read-only mode and the allowlist from the environment', () => {
+        assert.deepEqual(toolPolicy({}), { readOnly: false, allowedTools: null });
+        assert.equal(toolPolicy({ NAVISWORKS_READ_ONLY: 'true' }).readOnly, true);
+        assert.equal(toolPolicy({ NAVISWORKS_READ_ONLY: 'false' }).readOnly, false);
+        assert.deepEqual([...toolPolicy({ NAVISWORKS_ALLOWED_TOOLS: 'query_items, get_model_overview;\nlist_instances' }).allowedTools],
+            ['query_items', 'get_model_overview', 'list_instances']);
+    });
+
+    it('drops the mutating arguments of tools that are otherwise read-only', () => {
+        const queryItems = CLIENT_TOOLS.find(t => t.name === 'query_items');
+        const readOnly = applyToolPolicy(queryItems, { readOnly: true });
+        assert.ok(!readOnly.mutating);
+        assert.equal(readOnly.inputSchema.properties.applySelection, undefined);
+        assert.ok(readOnly.inputSchema.properties.where);
+        assert.deepEqual(readOnly.inputSchema.required, queryItems.inputSchema.required);
+
+        assert.equal(applyToolPolicy(CLIENT_TOOLS.find(t => t.name === 'apply_selection_set'), { readOnly: true }), null);
+        assert.equal(applyToolPolicy(queryItems, { allowedTools: new Set(['get_model_overview']) }), null);
+    });
+
+    it('treats only changes of the document or the selection as mutating', () => {
+        const mutating = CLIENT_TOOLS.filter(t => t.mutating).map(t => t.name).sort();
+        assert.deepEqual(mutating, ['apply_selection_set', 'run_clash_matrix']);
+        for (const name of ['save_selection_set', 'delete_selection_set', 'combine_selection_sets', 'snapshot_model', 'export_items']) {
+            const tool = CLIENT_TOOLS.find(t => t.name === name);
+            assert.equal(applyToolPolicy(tool, { readOnly: true }), tool, name);
+        }
+    });
+});
+
+
+describe('read-only mode and allowlist', () => {
+    let h;
+    const names = async () => (await h.client.listTools()).tools.map(t => t.name);
+    const rejected = async (name, args, pattern) => {
+        await assert.rejects(h.client.callTool({ name, arguments: args }), err => err.code === ErrorCode.InvalidRequest && pattern.test(err.message));
+    };
+
+    before(async () => { h = await startHarness(); });
+    after(async () => {
+        h.server.policy = toolPolicy({});
+        await h.close();
+    });
+
+    it('hides and rejects mutating tools in read-only mode', async () => {
+        h.server.policy = toolPolicy({ NAVISWORKS_READ_ONLY: 'true' });
+        const tools = await names();
+        for (const name of ['apply_selection', 'clear_selection', 'run_simple_clash', 'run_clash_matrix', 'apply_selection_set']) {
+            assert.ok(!tools.includes(name), name);
+        }
+        for (const name of ['get_model_overview', 'save_selection_set', 'combine_selection_sets', 'snapshot_model', 'export_items']) {
+            assert.ok(tools.includes(name), name);
+        }
+
+        const queryItems = (await h.client.listTools()).tools.find(t => t.name === 'query_items');
+        assert.equal(queryItems.annotations.readOnlyHint, true);
+        assert.equal(queryItems.inputSchema.properties.applySelection, undefined);
+
+        await rejected('run_simple_clash', {}, /Tool run_simple_clash is disabled: .*read-only mode/);
+        await assert.rejects(h.client.callTool({ name: 'query_items', arguments: { where: 'Element.Name exists', applySelection: true } }),
+            err => err.code === ErrorCode.InvalidParams && /unknown argument applySelection/.test(err.message));
+        assert.equal(h.mock.calls.filter(c => c.method === 'run_simple_clash' || c.method === 'apply_selection').length, 0);
+    });
+
+    it('advertises tools as read-only only while they offer no arguments that change the selection', async () => {
+        h.server.policy = toolPolicy({});
+        const hints = async () => Object.fromEntries((await h.client.listTools()).tools.map(t => [t.name, t.annotations]));
+        let annotations = await hints();
+        for (const name of ['query_items', 'audit_properties', 'apply_selection_set', 'save_selection_set', 'combine_selection_sets']) {
+            assert.equal(annotations[name].readOnlyHint, false, name);
+        }
+        assert.deepEqual(annotations.delete_selection_set, { readOnlyHint: false, destructiveHint: true });
+        assert.equal(annotations.list_selection_sets.readOnlyHint, true);
+
+        h.server.policy = toolPolicy({ NAVISWORKS_READ_ONLY: 'true' });
+        annotations = await hints();
+        assert.equal(annotations.query_items.readOnlyHint, true);
+        assert.equal(annotations.audit_properties.readOnlyHint, true);
+        assert.equal(annotations.save_selection_set.readOnlyHint, false);
+    });
+
+    it('offers only the allowed tools', async () => {
+        h.server.policy = toolPolicy({ NAVISWORKS_ALLOWED_TOOLS: 'get_model_overview, apply_selection' });
+        assert.deepEqual((await names()).sort(), ['apply_selection', 'get_model_overview']);
+        await rejected('get_units_and_tolerances', {}, /not in the allowed tools/);
+
+        const result = await h.client.callTool({ name: 'apply_selection', arguments: { canonical_id: [DOOR_ID] } });
+        assert.equal(result.structuredContent.count, 2);
+    });
+});
@@ -0,0 +1,247 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NavisworksMCPServer } from '../index.js';
+import { BUILTIN_TOOLS, CLIENT_TOOLS, mergeToolCatalog } from '../tool-catalog.js';
+import { parseJsonContent, startHarness } from './helpers.js';
+
+
+describe('argument normalization', () => {
+    const server = new NavisworksMCPServer();
+
+    it('normalizeTokens splits on comma, semicolon and newlines', () => {
+        assert.deepEqual(server.normalizeTokens('A.ifc, B.rvt;C\r\nD\n'), ['A.ifc', 'B.rvt', 'C', 'D']);
+    });
+
+    it('normalizeTokens trims array entries and drops empty ones', () => {
+        assert.deepEqual(server.normalizeTokens([' a ', '', null, 'b']), ['a', 'b']);
+    });
+
+    it('normalizeTokens ignores other input types', () => {
+        assert.deepEqual(server.normalizeTokens(42), []);
+        assert.deepEqual(server.normalizeTokens(undefined), []);
+    });
+
+    it('toDelimitedString joins tokens with commas', () => {
+        assert.equal(server.toDelimitedString('x; y\nz'), 'x,y,z');
+    });
+});
+
+
+describe('mergeToolCatalog', () => {
+    it('treats tools as mutating unless the add-in says otherwise', () => {
+        const merged = mergeToolCatalog([
+            { name: 'apply_selection', mutating: false },
+            { name: 'get_model_overview' },
+            { name: 'get_clash_tests', inputSchema: { type: 'object', properties: {} } },
+            { name: 'get_units_and_tolerances', mutating: false },
+        ]);
+        const mutating = Object.fromEntries(merged.map(t => [t.name, t.mutating]));
+        assert.deepEqual(mutating, { apply_selection: true, get_model_overview: true, get_clash_tests: true, get_units_and_tolerances: false });
+    });
+});
+
+
+describe('NavisworksMCPServer tools', () => {
+    let h;
+
+    before(async () => { h = await startHarness(); });
+    after(async () => { await h.close(); });
+    beforeEach(() => { h.mock.reset(); });
+
+    it('lists the tools described by the add-in', async () => {
+        const { tools } = await h.client.listTools();
+        const names = tools.map(t => t.name).sort();
+        assert.deepEqual(names, [...BUILTIN_TOOLS, ...CLIENT_TOOLS].map(t => t.name).sort());
+        assert.equal(tools.find(t => t.name === 'apply_selection').annotations.readOnlyHint, false);
+        assert.equal(tools.find(t => t.name === 'get_model_overview').annotations.readOnlyHint, true);
+    });
+
+    it('falls back to the built-in tools when describe_tools is not routed', async () => {
+        h.mock.failWith('describe_tools', 'NVX_NOT_FOUND');
+        await h.server.loadToolCatalog();
+        assert.equal(h.server.toolSource, 'builtin');
+        const { tools } = await h.client.listTools();
+        assert.equal(tools.length, BUILTIN_TOOLS.length + CLIENT_TOOLS.length);
+    });
+
+    it('shares one describe_tools request between concurrent catalog loads', async () => {
+        await Promise.all([h.server.loadToolCatalog(), h.server.loadToolCatalog()]);
+        assert.equal(h.mock.calls.filter(c => c.method === 'describe_tools').length, 1);
+    });
+
+    it('passes tools without a client handler through to the RPC method', async () => {
+        h.mock.respondWith('describe_tools', {
+            ok: true,
+            data: { tools: [{ name: 'get_clash_tests', description: 'Lists clash tests.', inputSchema: { type: 'object', properties: {} } }] },
+        });
+        h.mock.respondWith('get_clash_tests', { ok: true, data: { tests: ['A vs B'] } });
+        await h.server.loadToolCatalog();
+
+        const tool = (await h.client.listTools()).tools.find(t => t.name === 'get_clash_tests');
+        assert.equal(tool.annotations.readOnlyHint, false);
+
+        const result = await h.client.callTool({ name: 'get_clash_tests', arguments: {} });
+        assert.deepEqual(parseJsonContent(result), { tests: ['A vs B'] });
+
+        h.mock.reset();
+        await h.server.loadToolCatalog();
+    });
+
+    it('get_element_count_by_category normalizes a delimited scope', async () => {
+        await h.client.callTool({
+            name: 'get_element_count_by_category',
+            arguments: { category: ' IfcDoor ', scope: 'Hospital_ARC.ifc;\nHospital_STR.rvt' },
+        });
+        const call = h.mock.calls.find(c => c.method === 'get_element_count_by_category');
+        assert.deepEqual(call.params, { category: 'IfcDoor', scope: 'Hospital_ARC.ifc,Hospital_STR.rvt' });
+    });
+
+    it('get_element_count_by_category keeps scope "all" and defaults a blank scope to "all"', async () => {
+        const result = await h.client.callTool({ name: 'get_element_count_by_category', arguments: { category: 'IfcDoor', scope: 'all' } });
+        await h.client.callTool({ name: 'get_element_count_by_category', arguments: { category: 'IfcDoor', scope: '   ' } });
+
+        assert.deepEqual(h.mock.calls.map(c => c.params.scope), ['all', 'all']);
+        assert.equal(parseJsonContent(result).count, 42);
+    });
+
+    it('list_items_to_property maps arguments onto the RPC parameter names', async () => {
+        await h.client.callTool({
+            name: 'list_items_to_property',
+            arguments: { category: 'Pset_DoorCommon', property: 'FireRating', modelFilter: ['Hospital_ARC.ifc', ' 9a7d '], valueFilter: 'EI', maxResults: 5 },
+        });
+        const call = h.mock.calls.find(c => c.method === 'list_items_to_property');
+        assert.deepEqual(call.params, {
+            Category: 'Pset_DoorCommon',
+            Property: 'FireRating',
+            Scope: 'all',
+            ModelFilter: 'Hospital_ARC.ifc,9a7d',
+            ValueFilter: 'EI',
+            IgnoreCase: true,
+            MaxResults: 5,
+        });
+    });
+
+    it('run_simple_clash normalizes both scopes and applies defaults', async () => {
+        await h.client.callTool({ name: 'run_simple_clash', arguments: { scopeA: 'Hospital_ARC.ifc; Hospital_STR.rvt' } });
+        const call = h.mock.calls.find(c => c.method === 'run_simple_clash');
+        assert.deepEqual(call.params, {
+            scopeA: 'Hospital_ARC.ifc,Hospital_STR.rvt',
+            scopeB: 'all',
+            tolerance_m: 0.01,
+            test_name: 'MCP API Test',
+        });
+    });
+
+    it('get_model_overview reshapes the overview DTO', async () => {
+        const result = await h.client.callTool({ name: 'get_model_overview', arguments: {} });
+        const payload = parseJsonContent(result);
+
+        assert.equal(payload.modelsCount, 2);
+        assert.equal(payload.total, 1184);
+        assert.equal(payload.document, 'Hospital_Federated.nwd');
+        assert.deepEqual(payload.Models[1], {
+            canonical_id: '9a7d3e21-5b6c-4f80-8e2d-1c4b5a6f7e02',
+            parent_canonical_id: 'p:1f0c3a9d',
+            name: 'Hospital_STR.rvt',
+            type: '.rvt',
+            direct_children: 2,
+            parent_including_self: 372,
+        });
+        assert.equal(h.server.shapeModelOverview({ DocumentTitle: '' }).document, 'Untitled');
+    });
+
+    it('get_property_distribution_by_category expands the details JSON', async () => {
+        const result = await h.client.callTool({ name: 'get_property_distribution_by_category', arguments: {} });
+        const payload = parseJsonContent(result);
+
+        assert.equal(payload.category, '(all)');
+        assert.equal(payload.count, 2588);
+        assert.equal(payload.success, true);
+        assert.equal(payload.models.length, 2);
+
+        const door = payload.models[0].categories.find(c => c.category === 'Pset_DoorCommon');
+        assert.deepEqual(door.properties, [
+            { property: 'FireRating', count: 38 },
+            { property: 'IsExternal', count: 42 },
+        ]);
+    });
+
+    it('get_property_distribution_by_category tolerates unparsable details', async () => {
+        h.mock.respondWith('get_property_distribution_by_category', { ok: true, data: { success: true, details: '{not json', count: 3 } });
+        const payload = parseJsonContent(await h.client.callTool({ name: 'get_property_distribution_by_category', arguments: {} }));
+        assert.deepEqual(payload.models, []);
+        assert.equal(payload.count, 3);
+    });
+});
+
+
+describe('RPC failures', () => {
+    let h;
+
+    before(async () => { h = await startHarness(); });
+    after(async () => { await h.close(); });
+    beforeEach(() => { h.mock.reset(); });
+
+    async function callError(name, args) {
+        try {
+            await h.client.callTool({ name, arguments: args });
+        } catch (error) {
+            return error;
+        }
+        assert.fail(`${name} did not fail`);
+    }
+
+    it('maps an error envelope to McpError(InternalError) with the RPC code', async () => {
+        h.mock.failWith('get_units_and_tolerances', 'NVX_TIMEOUT');
+        const error = await callError('get_units_and_tolerances', {});
+        assert.ok(error instanceof McpError);
+        assert.equal(error.code, ErrorCode.InternalError);
+        assert.match(error.message, /NVX_TIMEOUT/);
+    });
+
+    it('maps an HTTP error to McpError(InternalError)', async () => {
+        h.mock.respondWith('get_current_selection_snapshot', { httpStatus: 500, body: 'boom' });
+        const error = await callError('get_current_selection_snapshot', {});
+        assert.equal(error.code, ErrorCode.InternalError);
+        assert.match(error.message, /HTTP 500/);
+    });
+
+    it('rejects a response without the ok field', async () => {
+        h.mock.respondWith('clear_selection', { data: {} });
+        const error = await callError('clear_selection', {});
+        assert.equal(error.code, ErrorCode.InternalError);
+        assert.equal(error.data.rpcCode, 'NVX_WRONG_SERVICE');
+    });
+
+    it('reports unknown tools as MethodNotFound', async () => {
+        const error = await callError('does_not_exist', {});
+        assert.equal(error.code, ErrorCode.MethodNotFound);
+    });
+
+    it('reports missing required arguments as InvalidParams without calling the add-in', async () => {
+        const error = await callError('get_element_count_by_category', {});
+        assert.equal(error.code, ErrorCode.InvalidParams);
+        assert.match(error.message, /category/);
+        assert.equal(h.mock.calls.length, 0);
+    });
+
+    it('reports argument type mismatches as InvalidParams', async () => {
+        const error = await callError('apply_selection', { canonical_id: [1, 2] });
+        assert.equal(error.code, ErrorCode.InvalidParams);
+        assert.match(error.message, /canonical_id\[0\]/);
+    });
+
+    it('reports an unreachable add-in as InternalError', async () => {
+        const url = h.server.navisworksApiUrl;
+        await h.mock.close();
+        try {
+            const error = await callError('get_model_overview', {});
+            assert.equal(error.code, ErrorCode.InternalError);
+            assert.equal(error.data.rpcCode, 'NVX_UNREACHABLE');
+            assert.match(error.message, /not reachable/);
+        } finally {
+            h.server.navisworksApiUrl = url;
+        }
+    });
+});
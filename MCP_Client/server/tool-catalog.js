@@ -0,0 +1,1056 @@
+// Built-in tool definitions and merging with the catalog returned by the
+// add-in's `describe_tools` RPC. The built-ins are the fallback for add-in
+// versions that do not route `describe_tools` yet.
+
+const SCOPE_HINT = '"all" or list of model canonical_id / model name (separated by , ; or newlines)';
+
+const NON_EMPTY = { type: 'string', minLength: 1 };
+
+// Status fields every add-in DTO carries (AI_MassageDto).
+const MESSAGE_PROPERTIES = {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    details: { type: 'string' }
+};
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+const PATH_STEP = {
+    type: 'object',
+    properties: { canonical_id: { type: 'string' }, paths: { type: 'string', description: 'Path from the model root, separated by /' } }
+};
+
+const ITEM_REF = {
+    type: 'object',
+    properties: { ...MESSAGE_PROPERTIES, canonical_id: { type: 'string' }, element_name: { type: 'string' }, typ: { type: 'string' } }
+};
+
+const PROPERTY_VALUES = {
+    type: 'object',
+    description: 'Property category -> properties',
+    additionalProperties: {
+        type: 'array',
+        items: { type: 'object', properties: { property: { type: 'string' }, type: { type: 'string' }, value: { type: 'string' } } }
+    }
+};
+
+const CLASH_PAIR = {
+    type: 'object',
+    properties: {
+        a: { type: 'string', description: 'canonical_id of the first item' },
+        b: { type: 'string', description: 'canonical_id of the second item' },
+        name: { type: 'string' },
+        distance: { type: 'number' }
+    },
+    required: ['a', 'b']
+};
+
+const SNAPSHOT_SOURCE = {
+    type: 'object',
+    properties: {
+        file: { ...NULLABLE_STRING, description: 'null for the live model' },
+        name: { type: 'string' },
+        document: { type: 'string' },
+        created: NULLABLE_STRING
+    },
+    required: ['document']
+};
+
+const COUNT_CHANGE = {
+    type: 'object',
+    properties: { before: { type: 'integer' }, after: { type: 'integer' }, delta: { type: 'integer' } },
+    required: ['before', 'after', 'delta']
+};
+
+// Tools the add-in describes without an output schema return any object.
+export const GENERIC_OUTPUT_SCHEMA = {
+    type: 'object',
+    description: 'Result of the add-in method; results that are not objects are wrapped as { result }'
+};
+
+export const BUILTIN_TOOLS = [
+    {
+        name: 'get_model_overview',
+        description: 'Provides an overview of the loaded models.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                modelsCount: { type: 'integer' },
+                total: { type: 'integer', description: 'Elements in all models' },
+                document: { type: 'string' },
+                Models: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            canonical_id: NULLABLE_STRING,
+                            parent_canonical_id: NULLABLE_STRING,
+                            name: NULLABLE_STRING,
+                            type: NULLABLE_STRING,
+                            direct_children: { type: 'integer' },
+                            parent_including_self: { type: 'integer' }
+                        },
+                        required: ['canonical_id', 'name', 'direct_children', 'parent_including_self']
+                    }
+                }
+            },
+            required: ['modelsCount', 'total', 'document', 'Models']
+        }
+    },
+
+    {
+        name: 'get_element_count_by_category',
+        description: 'Counts elements of a category. scope="all" (default) or list of model canonical_id / model name (comma, semicolon, newline).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                category: { ...NON_EMPTY, description: 'e.g. IfcSpace, Doors, Windows' },
+                scope: { type: 'string', description: SCOPE_HINT, default: 'all' }
+            },
+            required: ['category']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                ...MESSAGE_PROPERTIES,
+                category: { type: 'string' },
+                count: { type: 'integer' },
+                scope: { type: 'string' }
+            },
+            required: ['category', 'count']
+        }
+    },
+
+    {
+        name: 'get_property_distribution_by_category',
+        description: 'Overview of all models with property categories and counts.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                category: { type: 'string' },
+                count: { type: 'integer' },
+                scope: { type: 'string' },
+                success: { type: 'boolean' },
+                message: { type: 'string' },
+                models: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            modelId: { type: 'string' },
+                            categories: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        category: { type: 'string' },
+                                        properties: {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                properties: {
+                                                    property: { type: 'string' },
+                                                    count: { type: 'integer' }
+                                                },
+                                                required: ['property', 'count']
+                                            }
+                                        }
+                                    },
+                                    required: ['category', 'properties']
+                                }
+                            }
+                        },
+                        required: ['modelId', 'categories']
+                    }
+                }
+            },
+            required: ['category', 'count', 'scope', 'success', 'models']
+        }
+    },
+
+    {
+        name: 'list_properties_for_item',
+        description: 'Determines properties for an item.',
+        inputSchema: {
+            type: 'object',
+            properties: { canonical_id: { ...NON_EMPTY, description: 'canonical_id of the item' } },
+            required: ['canonical_id']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                ...MESSAGE_PROPERTIES,
+                element_name: { type: 'string' },
+                canonical_id: { type: 'string' },
+                typ: { type: 'string' },
+                interner_typ: { type: 'string' },
+                ifc_guid: { type: 'string' },
+                categories: PROPERTY_VALUES,
+                geometries: PROPERTY_VALUES,
+                child_from_this_object: { type: 'array', items: ITEM_REF },
+                path_from_this_object: { type: 'array', items: PATH_STEP }
+            },
+            required: ['canonical_id', 'categories']
+        }
+    },
+
+    {
+        name: 'list_items_to_property',
+        description: 'Lists items by category/property; optional model and value filters (substring, >=, <=, regex). modelFilter and scope accept IDs or model names; multiple tokens via , ; \\n.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                category: NON_EMPTY,
+                property: NON_EMPTY,
+                scope: { type: 'string', description: SCOPE_HINT, default: 'all' },
+                modelFilter: {
+                    oneOf: [
+                        { type: 'string', description: 'A token or comma-separated list' },
+                        { type: 'array', items: { type: 'string' }, description: 'List of tokens' }
+                    ]
+                },
+                valueFilter: { type: 'string' },
+                ignoreCase: { type: 'boolean', default: true },
+                maxResults: { type: 'integer', minimum: 1, description: 'The add-in stops collecting after this many matches' }
+            },
+            required: ['category', 'property']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                category: NULLABLE_STRING,
+                property: NULLABLE_STRING,
+                Scope: NULLABLE_STRING,
+                ModelFilter: NULLABLE_STRING,
+                ValueFilter: NULLABLE_STRING,
+                IgnoreCase: { type: 'boolean' },
+                count: { type: 'integer' },
+                Items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            canonical_id: { type: 'string' },
+                            path_from_this_object: { type: 'array', items: PATH_STEP },
+                            model_name: NULLABLE_STRING,
+                            model_canonical_id: NULLABLE_STRING,
+                            PropertyValue: NULLABLE_STRING
+                        },
+                        required: ['canonical_id']
+                    }
+                },
+                maxResultsReached: { type: 'boolean', description: 'The add-in stopped at maxResults; page.total is a lower bound' }
+            },
+            required: ['count', 'Items']
+        }
+    },
+
+    {
+        name: 'clear_selection',
+        description: 'Clears selection.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: { ...MESSAGE_PROPERTIES, affected: { type: 'integer' } }
+        },
+        mutating: true
+    },
+
+    {
+        name: 'get_current_selection_snapshot',
+        description: 'Current selection as list.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                ...MESSAGE_PROPERTIES,
+                count: { type: 'integer' },
+                canonical_id: { type: 'array', items: { type: 'string' } },
+                path: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['canonical_id', 'path']
+        }
+    },
+
+    {
+        name: 'apply_selection',
+        description: 'Sets selection. Input: canonical_id[].',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                canonical_id: { type: 'array', items: NON_EMPTY, minItems: 1 },
+                keepExistingSelection: { type: 'boolean', default: true }
+            },
+            required: ['canonical_id']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                count: { type: 'integer', description: 'Resolved items' },
+                items: { type: 'array', items: ITEM_REF }
+            },
+            required: ['count', 'items']
+        },
+        mutating: true
+    },
+
+    {
+        name: 'run_simple_clash',
+        description: 'Runs a simple hard clash between two scopes. Input: scopeA, scopeB, tolerance_m?, test_name?',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                scopeA: { type: 'string', description: SCOPE_HINT, default: 'all' },
+                scopeB: { type: 'string', description: SCOPE_HINT, default: 'all' },
+                tolerance_m: { type: 'number', minimum: 0, description: 'Tolerance in meters', default: 0.01 },
+                test_name: { type: 'string', description: 'Display name of the test', default: 'MCP API Test' }
+            }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                ...MESSAGE_PROPERTIES,
+                test_name: NULLABLE_STRING,
+                results: { type: 'integer' },
+                pairs: { type: 'array', items: CLASH_PAIR, description: 'Clashing items per result' }
+            },
+            required: ['results']
+        },
+        mutating: true
+    },
+
+    {
+        name: 'get_units_and_tolerances',
+        description: 'Length/area/volume units + tolerances.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                length_unit: NULLABLE_STRING,
+                area_unit: NULLABLE_STRING,
+                volume_unit: NULLABLE_STRING,
+                length_tolerance: { type: 'number' }
+            }
+        }
+    },
+];
+
+
+// Tools implemented by this client itself; they never reach the add-in.
+export const CLIENT_TOOLS = [
+    {
+        name: 'query_items',
+        description: 'Finds items with a filter over several properties, e.g. ' +
+            '"Pset_WallCommon.FireRating >= 60 and Pset_WallCommon.IsExternal = true and Element.Material contains \'concrete\'". ' +
+            'Terms are Category.Property with = != > >= < <= contains startswith endswith, matches /regex/ or exists, ' +
+            'combined with and, or, not and parentheses; quote names with spaces ("Element ID"."Value"). ' +
+            'Only items having at least one of the referenced properties are considered. Returns the matches with the referenced values; ' +
+            'applySelection selects them in Navisworks.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                where: { type: 'string', minLength: 1, description: 'Filter expression' },
+                scope: { type: 'string', description: SCOPE_HINT, default: 'all' },
+                modelFilter: {
+                    oneOf: [
+                        { type: 'string', description: 'A token or comma-separated list' },
+                        { type: 'array', items: { type: 'string' }, description: 'List of tokens' }
+                    ]
+                },
+                ignoreCase: { type: 'boolean', default: true, description: 'Compare text case-insensitively' },
+                applySelection: { type: 'boolean', default: false, description: 'Select all matches in Navisworks' },
+                keepExistingSelection: { type: 'boolean', default: false, description: 'With applySelection: add to the current selection' }
+            },
+            required: ['where']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                where: { type: 'string' },
+                lookups: {
+                    type: 'array',
+                    description: 'One list_items_to_property call per referenced property',
+                    items: {
+                        type: 'object',
+                        properties: { category: { type: 'string' }, property: { type: 'string' }, items: { type: 'integer' } },
+                        required: ['category', 'property', 'items']
+                    }
+                },
+                count: { type: 'integer' },
+                items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            canonical_id: { type: 'string' },
+                            model_name: { type: 'string' },
+                            model_canonical_id: { type: 'string' },
+                            path: { type: 'string' },
+                            values: { type: 'object', description: 'Category.Property -> value', additionalProperties: NULLABLE_STRING }
+                        },
+                        required: ['canonical_id', 'values']
+                    }
+                },
+                selection: {
+                    type: 'object',
+                    properties: { applied: { type: 'boolean' }, count: { type: 'integer' }, keepExistingSelection: { type: 'boolean' } },
+                    required: ['applied', 'count']
+                }
+            },
+            required: ['where', 'lookups', 'count', 'items']
+        },
+        // Only applySelection changes the selection; read-only mode drops these arguments.
+        mutatingArguments: ['applySelection', 'keepExistingSelection']
+    },
+
+    {
+        name: 'audit_properties',
+        description: 'Checks property data against requirements, e.g. "every IfcDoor must have FireRating, every IfcSpace must have Area > 0 and a Name". ' +
+            'The rules come from a JSON or YAML file (rulesFile, relative to the rules directory) or inline (rules): ' +
+            '{ "scope": "all", "rules": [{ "id": "doors", "category": "IfcDoor", "require": ["Pset_DoorCommon.FireRating"], ' +
+            '"constraints": ["Pset_DoorCommon.FireRating matches /^R?EI\\d+/"] }] }. category matches Item.Type; ' +
+            'elements takes a query_items filter instead; scope limits a rule to models. Returns a compliance report per rule and model ' +
+            'with the failing canonical_ids; applySelection selects all failing elements in Navisworks.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                rulesFile: { type: 'string', minLength: 1, description: 'Path of a .json, .yaml or .yml rules file' },
+                rules: {
+                    oneOf: [
+                        { type: 'object', description: 'Rules document as in a rules file' },
+                        { type: 'array', items: { type: 'object' }, description: 'Only the list of rules' }
+                    ],
+                    description: 'Rules given inline instead of rulesFile'
+                },
+                scope: { type: 'string', description: `Default scope of rules without their own: ${SCOPE_HINT}` },
+                ignoreCase: { type: 'boolean', default: true, description: 'Compare text case-insensitively' },
+                maxFailures: { type: 'integer', minimum: 1, default: 100, description: 'Failing elements listed per rule and model' },
+                applySelection: { type: 'boolean', default: false, description: 'Select all failing elements in Navisworks' },
+                keepExistingSelection: { type: 'boolean', default: false, description: 'With applySelection: add to the current selection' }
+            }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                rulesFile: NULLABLE_STRING,
+                name: { type: 'string' },
+                summary: {
+                    type: 'object',
+                    properties: {
+                        rules: { type: 'integer' },
+                        passed: { type: 'integer', description: 'Rules without failing elements' },
+                        failed: { type: 'integer', description: 'Rules with failing elements' },
+                        not_applicable: { type: 'integer', description: 'Rules that matched no elements' },
+                        checked: { type: 'integer', description: 'Element checks over all rules' },
+                        failedChecks: { type: 'integer' },
+                        failedElements: { type: 'integer', description: 'Distinct elements failing at least one rule' },
+                        compliance: { type: ['number', 'null'], description: 'Percent of passed element checks' }
+                    },
+                    required: ['rules', 'checked', 'failedChecks']
+                },
+                rules: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            description: { type: 'string' },
+                            elements: { type: 'string', description: 'Filter selecting the elements of the rule' },
+                            scope: { type: 'string' },
+                            status: { type: 'string', enum: ['pass', 'fail', 'not_applicable'] },
+                            checked: { type: 'integer' },
+                            passed: { type: 'integer' },
+                            failed: { type: 'integer' },
+                            models: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        model_name: { type: 'string' },
+                                        model_canonical_id: { type: 'string' },
+                                        checked: { type: 'integer' },
+                                        passed: { type: 'integer' },
+                                        failed: { type: 'integer' },
+                                        coverage: {
+                                            type: 'object',
+                                            description: 'Required property -> items of the model carrying it (get_property_distribution_by_category)',
+                                            additionalProperties: { type: ['integer', 'null'] }
+                                        },
+                                        failures: {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                properties: {
+                                                    canonical_id: { type: 'string' },
+                                                    path: { type: 'string' },
+                                                    failed: { type: 'array', items: { type: 'string' }, description: 'Missing properties and violated constraints' },
+                                                    values: { type: 'object', additionalProperties: NULLABLE_STRING }
+                                                },
+                                                required: ['canonical_id', 'failed']
+                                            }
+                                        },
+                                        failuresTruncated: { type: 'boolean' }
+                                    },
+                                    required: ['model_canonical_id', 'checked', 'failed', 'failures']
+                                }
+                            }
+                        },
+                        required: ['id', 'status', 'checked', 'failed', 'models']
+                    }
+                },
+                lookups: {
+                    type: 'array',
+                    description: 'One list_items_to_property call per property and scope',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            scope: { type: 'string' },
+                            category: { type: 'string' },
+                            property: { type: 'string' },
+                            valueFilter: { type: 'string', description: 'Only items whose value contains it (category rules)' },
+                            items: { type: 'integer' }
+                        },
+                        required: ['category', 'property', 'items']
+                    }
+                },
+                selection: {
+                    type: 'object',
+                    properties: { applied: { type: 'boolean' }, count: { type: 'integer' }, keepExistingSelection: { type: 'boolean' } },
+                    required: ['applied', 'count']
+                },
+                warnings: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['summary', 'rules', 'lookups']
+        },
+        mutatingArguments: ['applySelection', 'keepExistingSelection']
+    },
+
+    {
+        name: 'run_clash_matrix',
+        description: 'Runs several clash tests one after another with run_simple_clash and writes a BCF 2.1 file ' +
+            '(one topic per clash) and an HTML report to the export directory. ' +
+            'groups names scopes, e.g. { "STR": "Hospital_STR.rvt", "MEP": "Hospital_MEP.nwc" }; pairs lists the tests ' +
+            '(scopeA/scopeB are group names or scopes, each with its own tolerance). Without pairs every combination of two groups is tested.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                groups: {
+                    type: 'object',
+                    description: 'Name -> scope ("all" or model canonical_id / model name list)',
+                    additionalProperties: NON_EMPTY
+                },
+                pairs: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            scopeA: { type: 'string', minLength: 1, description: 'Group name or scope' },
+                            scopeB: { type: 'string', minLength: 1, description: 'Group name or scope' },
+                            tolerance_m: { type: 'number', minimum: 0 },
+                            name: { type: 'string', description: 'Label in the reports; default "<scopeA> vs <scopeB>"' }
+                        },
+                        required: ['scopeA', 'scopeB'],
+                        additionalProperties: false
+                    }
+                },
+                includeSelf: { type: 'boolean', default: false, description: 'Without pairs: also test each group against itself' },
+                tolerance_m: { type: 'number', minimum: 0, default: 0.01, description: 'Tolerance in meters for pairs without their own' },
+                test_name: { type: 'string', default: 'MCP Clash Matrix', description: 'Prefix of the clash test names in Navisworks' },
+                fileName: { type: 'string', description: 'Base name of the .bcfzip and .html files; existing files are not overwritten' },
+                pairPreview: { type: 'integer', minimum: 0, default: 10, description: 'Clash pairs per test included in the result' }
+            }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                tests: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            groupA: { type: 'string' },
+                            groupB: { type: 'string' },
+                            scopeA: { type: 'string' },
+                            scopeB: { type: 'string' },
+                            tolerance_m: { type: 'number' },
+                            test_name: { type: 'string' },
+                            success: { type: 'boolean' },
+                            message: { type: 'string' },
+                            results: { type: 'integer' },
+                            pairs: { type: 'array', items: CLASH_PAIR, description: 'First pairPreview pairs' },
+                            pairsTruncated: { type: 'boolean' }
+                        },
+                        required: ['name', 'scopeA', 'scopeB', 'tolerance_m', 'success', 'results', 'pairs']
+                    }
+                },
+                total_results: { type: 'integer' },
+                failed: { type: 'integer' },
+                matrix: { type: 'object', description: 'groupA -> groupB -> clash count' },
+                topics: { type: 'integer', description: 'Topics in the BCF file' },
+                files: {
+                    type: 'object',
+                    properties: { bcf: { type: 'string' }, html: { type: 'string' } },
+                    required: ['bcf', 'html']
+                },
+                warnings: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['tests', 'total_results', 'failed', 'topics', 'files']
+        },
+        mutating: true
+    },
+
+    {
+        name: 'export_items',
+        description: 'Writes items to a CSV, XLSX or JSON file in the export directory and returns the file path and a preview. ' +
+            'source: list_items_to_property (category, property and its filters), get_element_count_by_category ' +
+            '(one row per category in category) or selection (current selection).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                source: { type: 'string', enum: ['list_items_to_property', 'get_element_count_by_category', 'selection'] },
+                format: { type: 'string', enum: ['csv', 'xlsx', 'json'], description: 'Default: extension of fileName, else csv' },
+                fileName: { type: 'string', description: 'File name without directory; an existing file is not overwritten' },
+                category: { type: 'string', description: 'Category; for get_element_count_by_category a list (, ; or newlines)' },
+                property: { type: 'string' },
+                scope: { type: 'string', description: SCOPE_HINT, default: 'all' },
+                modelFilter: {
+                    oneOf: [
+                        { type: 'string', description: 'A token or comma-separated list' },
+                        { type: 'array', items: { type: 'string' }, description: 'List of tokens' }
+                    ]
+                },
+                valueFilter: { type: 'string' },
+                ignoreCase: { type: 'boolean', default: true },
+                maxResults: { type: 'integer', minimum: 1 },
+                properties: {
+                    type: 'array',
+                    description: 'Additional property columns, read per item (one request per item)',
+                    items: {
+                        type: 'object',
+                        properties: { category: NON_EMPTY, property: NON_EMPTY },
+                        required: ['category', 'property'],
+                        additionalProperties: false
+                    }
+                },
+                maxPropertyLookups: {
+                    type: 'integer',
+                    minimum: 1,
+                    default: 500,
+                    description: 'Exports with properties and more items are rejected; raise it to read the properties of more items'
+                }
+            },
+            required: ['source']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                file: { type: 'string' },
+                format: { type: 'string', enum: ['csv', 'xlsx', 'json'] },
+                bytes: { type: 'integer' },
+                source: { type: 'string' },
+                rows: { type: 'integer' },
+                columns: { type: 'array', items: { type: 'string' } },
+                preview: { type: 'array', items: { type: 'object' }, description: 'First rows' }
+            },
+            required: ['file', 'format', 'rows', 'columns', 'preview']
+        }
+    },
+
+    {
+        name: 'snapshot_model',
+        description: 'Saves a snapshot of the open document to a JSON file in the snapshots directory: models with element counts, ' +
+            'element counts per category (categories_histogram), property counts per model and units. Compare snapshots with diff_snapshots.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Snapshot and file name, e.g. drop-2024-05; default: document title and time' }
+            }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                file: { type: 'string' },
+                name: { type: 'string' },
+                document: { type: 'string' },
+                created: { type: 'string' },
+                total_elements: { type: 'integer' },
+                models: { type: 'integer' },
+                categories: { type: 'integer' },
+                properties: { type: 'integer', description: 'Model/property combinations' }
+            },
+            required: ['file', 'name', 'document', 'created', 'models', 'categories', 'properties']
+        }
+    },
+
+    {
+        name: 'diff_snapshots',
+        description: 'Compares two model snapshots, or a snapshot with the live model: models added or removed, element counts per model ' +
+            'and category, properties that appeared or disappeared, and units. Returns the changes and a Markdown report.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                from: { ...NON_EMPTY, description: 'Snapshot file (file of snapshot_model; relative to the snapshots directory)' },
+                to: { type: 'string', minLength: 1, description: 'Later snapshot file; the live model if omitted' }
+            },
+            required: ['from']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                from: SNAPSHOT_SOURCE,
+                to: SNAPSHOT_SOURCE,
+                summary: {
+                    type: 'object',
+                    properties: {
+                        unchanged: { type: 'boolean' },
+                        elements: COUNT_CHANGE
+                    },
+                    required: ['unchanged', 'elements']
+                },
+                models: {
+                    type: 'object',
+                    properties: {
+                        added: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, elements: { type: 'integer' } } } },
+                        removed: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, elements: { type: 'integer' } } } },
+                        changed: { type: 'array', items: { ...COUNT_CHANGE, properties: { name: { type: 'string' }, ...COUNT_CHANGE.properties } } }
+                    },
+                    required: ['added', 'removed', 'changed']
+                },
+                categories: {
+                    type: 'object',
+                    properties: {
+                        added: { type: 'array', items: { type: 'object', properties: { category: { type: 'string' }, count: { type: 'integer' } } } },
+                        removed: { type: 'array', items: { type: 'object', properties: { category: { type: 'string' }, count: { type: 'integer' } } } },
+                        changed: { type: 'array', items: { ...COUNT_CHANGE, properties: { category: { type: 'string' }, ...COUNT_CHANGE.properties } } }
+                    },
+                    required: ['added', 'removed', 'changed']
+                },
+                properties: {
+                    type: 'object',
+                    description: 'Per model present in both snapshots; property is Category.Property',
+                    properties: {
+                        added: { type: 'array', items: { type: 'object', properties: { model: { type: 'string' }, property: { type: 'string' }, count: { type: 'integer' } } } },
+                        removed: { type: 'array', items: { type: 'object', properties: { model: { type: 'string' }, property: { type: 'string' }, count: { type: 'integer' } } } },
+                        changed: {
+                            type: 'array',
+                            items: { ...COUNT_CHANGE, properties: { model: { type: 'string' }, property: { type: 'string' }, ...COUNT_CHANGE.properties } }
+                        }
+                    },
+                    required: ['added', 'removed', 'changed']
+                },
+                units: { type: 'array', items: { type: 'object', properties: { unit: { type: 'string' }, before: {}, after: {} } } },
+                report: { type: 'string', description: 'The changes as Markdown' }
+            },
+            required: ['from', 'to', 'summary', 'models', 'categories', 'properties', 'units', 'report']
+        }
+    },
+
+    {
+        name: 'save_selection_set',
+        description: 'Saves the current selection, or the given canonical_id list, as a named selection set of the open document. ' +
+            'Sets are kept by the client across restarts; a set with the same name is replaced.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: NON_EMPTY,
+                canonical_id: { type: 'array', items: NON_EMPTY, minItems: 1, description: 'Items to save; the current selection if omitted' },
+                description: { type: 'string' }
+            },
+            required: ['name']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                document: { type: 'string' },
+                name: { type: 'string' },
+                count: { type: 'integer' },
+                replaced: { type: 'boolean', description: 'A set with this name existed before' },
+                source: { type: 'string', enum: ['selection', 'canonical_id'] }
+            },
+            required: ['document', 'name', 'count', 'replaced', 'source']
+        },
+        annotations: { readOnlyHint: false }
+    },
+
+    {
+        name: 'list_selection_sets',
+        description: 'Lists the named selection sets saved for the open document.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                document: { type: 'string' },
+                sets: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            count: { type: 'integer' },
+                            description: { type: 'string' },
+                            created: { type: 'string' },
+                            updated: { type: 'string' }
+                        },
+                        required: ['name', 'count']
+                    }
+                }
+            },
+            required: ['document', 'sets']
+        }
+    },
+
+    {
+        name: 'delete_selection_set',
+        description: 'Deletes a named selection set of the open document.',
+        inputSchema: {
+            type: 'object',
+            properties: { name: NON_EMPTY },
+            required: ['name']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: { document: { type: 'string' }, name: { type: 'string' }, deleted: { type: 'boolean' } },
+            required: ['document', 'name', 'deleted']
+        },
+        annotations: { readOnlyHint: false, destructiveHint: true }
+    },
+
+    {
+        name: 'combine_selection_sets',
+        description: 'Combines named selection sets: union, intersect, or subtract (the first set minus all others). ' +
+            'Returns the resulting canonical_id list; saveAs stores it as a new set.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                operation: { type: 'string', enum: ['union', 'intersect', 'subtract'] },
+                sets: { type: 'array', items: NON_EMPTY, minItems: 1, description: 'Names of saved sets' },
+                saveAs: { type: 'string', minLength: 1, description: 'Save the result under this name' }
+            },
+            required: ['operation', 'sets']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                document: { type: 'string' },
+                operation: { type: 'string' },
+                sets: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Set name -> count' },
+                count: { type: 'integer' },
+                canonical_id: { type: 'array', items: { type: 'string' } },
+                savedAs: { type: 'string' }
+            },
+            required: ['document', 'operation', 'sets', 'count', 'canonical_id']
+        },
+        annotations: { readOnlyHint: false }
+    },
+
+    {
+        name: 'apply_selection_set',
+        description: 'Selects the items of a named selection set in Navisworks. IDs that no longer resolve are reported as stale; ' +
+            'pruneStale removes them from the set.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: NON_EMPTY,
+                keepExistingSelection: { type: 'boolean', default: false },
+                pruneStale: { type: 'boolean', default: false }
+            },
+            required: ['name']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                document: { type: 'string' },
+                name: { type: 'string' },
+                requested: { type: 'integer' },
+                selected: { type: 'integer' },
+                stale: { type: 'array', items: { type: 'string' }, description: 'canonical_ids the add-in did not resolve' },
+                pruned: { type: 'boolean' }
+            },
+            required: ['document', 'name', 'requested', 'selected', 'stale']
+        },
+        mutating: true
+    },
+
+    {
+        name: 'list_instances',
+        description: 'Lists the configured Navisworks instances with their health and open document. ' +
+            'Pass a name as the instance argument of any other tool to query that instance.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                default: { type: 'string', description: 'Instance used when a tool call names none' },
+                instances: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            url: { type: 'string' },
+                            default: { type: 'boolean' },
+                            health: {
+                                type: 'object',
+                                properties: {
+                                    state: { type: 'string', enum: ['ok', 'unreachable', 'wrong_service', 'unresponsive', 'error'] },
+                                    message: { type: 'string' }
+                                },
+                                required: ['state']
+                            },
+                            document: { ...NULLABLE_STRING, description: 'Title of the open document' },
+                            models: { type: ['integer', 'null'] },
+                            error: { type: 'string' }
+                        },
+                        required: ['name', 'url', 'default', 'health']
+                    }
+                }
+            },
+            required: ['default', 'instances']
+        }
+    },
+
+    {
+        name: 'cache_status',
+        description: 'Shows the response cache of an instance: document revision, entries per method, hits and misses.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                instance: { type: 'string' },
+                enabled: { type: 'boolean' },
+                revision: NULLABLE_STRING,
+                entries: { type: 'integer' },
+                max_entries: { type: 'integer' },
+                by_method: { type: 'object', additionalProperties: { type: 'integer' } },
+                hits: { type: 'integer' },
+                misses: { type: 'integer' },
+                invalidations: { type: 'integer' },
+                disk_file: NULLABLE_STRING
+            },
+            required: ['enabled', 'entries', 'by_method', 'hits', 'misses']
+        }
+    },
+
+    {
+        name: 'cache_clear',
+        description: 'Empties the response cache of an instance, or only the entries of one RPC method.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                method: { type: 'string', description: 'e.g. list_items_to_property; all entries if omitted' }
+            }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: { instance: { type: 'string' }, cleared: { type: 'integer' }, method: { type: 'string' }, remaining: { type: 'integer' } },
+            required: ['cleared', 'method', 'remaining']
+        }
+    },
+
+    {
+        name: 'get_audit_log',
+        description: 'Shows recent entries of the audit log of tool calls, newest first: time, tool, arguments, instance, duration, ' +
+            'add-in query time, result size and error.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50 },
+                tool: { type: 'string', description: 'Only calls of this tool' },
+                errorsOnly: { type: 'boolean', default: false },
+                since: { type: 'string', description: 'Only calls from this ISO date or time on' }
+            }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                file: { type: 'string' },
+                count: { type: 'integer' },
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            ts: { type: 'string' },
+                            tool: { type: 'string' },
+                            args: { type: 'object' },
+                            instance: NULLABLE_STRING,
+                            duration_ms: { type: 'integer' },
+                            rpc_calls: { type: 'integer' },
+                            query_ms: { type: ['integer', 'null'], description: 'Sum of meta.query_ms reported by the add-in' },
+                            result_bytes: { type: ['integer', 'null'] },
+                            error: {
+                                type: ['object', 'null'],
+                                properties: { code: { type: 'integer' }, rpc_code: NULLABLE_STRING, message: { type: 'string' } }
+                            }
+                        },
+                        required: ['ts', 'tool']
+                    }
+                }
+            },
+            required: ['enabled', 'file', 'count', 'entries']
+        }
+    },
+];
+
+
+function isObjectSchema(schema) {
+    return !!schema && typeof schema === 'object' && !Array.isArray(schema) && schema.type === 'object';
+}
+
+
+/**
+ * Builds the effective tool list from the tools described by the add-in.
+ * Only tools the add-in routes are kept. Descriptions come from the add-in;
+ * the schemas of built-in tools stay the client's, because its handlers
+ * decide which arguments reach the add-in. Other tools use the add-in's
+ * schemas.
+ */
+export function mergeToolCatalog(remoteTools, builtinTools = BUILTIN_TOOLS) {
+    if (!Array.isArray(remoteTools)) return builtinTools;
+
+    const builtins = new Map(builtinTools.map(t => [t.name, t]));
+    const merged = [];
+
+    for (const remote of remoteTools) {
+        const name = typeof remote?.name === 'string' ? remote.name.trim() : '';
+        if (!name || merged.some(t => t.name === name)) continue;
+
+        const builtin = builtins.get(name);
+        const description = (typeof remote.description === 'string' && remote.description.trim())
+            ? remote.description
+            : (builtin?.description ?? name);
+        const inputSchema = builtin?.inputSchema
+            ?? (isObjectSchema(remote.inputSchema) ? { properties: {}, ...remote.inputSchema } : { type: 'object', properties: {} });
+        const outputSchema = builtin?.outputSchema
+            ?? (isObjectSchema(remote.outputSchema) ? remote.outputSchema : GENERIC_OUTPUT_SCHEMA);
+        // Fails closed: the add-in cannot clear a built-in's flag, and a tool is only
+        // read-only when the add-in says so explicitly.
+        const mutating = Boolean(builtin?.mutating) || remote.mutating !== false;
+
+        merged.push({ ...builtin, name, description, inputSchema, outputSchema, mutating });
+    }
+
+    return merged;
+}
+
+
+/**
+ * Shape of a tool as advertised over MCP (`tools/list`). `mutating` marks tools
+ * that change the Navisworks document or selection on every call,
+ * `mutatingArguments` those that do so through some arguments; both make the
+ * tool not read-only (`readOnlyHint: false`) as long as the arguments are
+ * offered. `annotations` of the catalog entry add further hints, e.g. for tools
+ * that change the selection sets kept by the client.
+ */
+export function toMcpTool(tool) {
+    const { mutating, mutatingArguments, annotations, ...rest } = tool;
+    const readOnly = !mutating && !mutatingArguments?.length && annotations?.readOnlyHint !== false;
+    return {
+        ...rest,
+        annotations: { ...annotations, readOnlyHint: readOnly }
+    };
+}
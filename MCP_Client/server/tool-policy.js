@@ -0,0 +1,56 @@
+// Which tools a client may see and call. NAVISWORKS_READ_ONLY=true hides and
+// rejects tools that change the Navisworks document or selection (`mutating`);
+// tools that only do so through some arguments (`mutatingArguments`, e.g.
+// applySelection of query_items) stay available without them, and are then
+// advertised as read-only.
+// NAVISWORKS_ALLOWED_TOOLS (separated by , ; or newlines) limits the tools to
+// the listed ones.
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+const TRUE_VALUES = new Set(['1', 'true', 'yes', 'on']);
+
+
+export function envFlag(value, fallback = false) {
+    const text = String(value ?? '').trim().toLowerCase();
+    return text === '' ? fallback : TRUE_VALUES.has(text);
+}
+
+
+export function toolPolicy(env = process.env) {
+    const allowed = String(env.NAVISWORKS_ALLOWED_TOOLS ?? '').split(/[,;\s]+/).filter(Boolean);
+    return {
+        readOnly: envFlag(env.NAVISWORKS_READ_ONLY),
+        allowedTools: allowed.length > 0 ? new Set(allowed) : null,
+    };
+}
+
+
+/** The tool as the policy allows it, or null when it is not available at all. */
+export function applyToolPolicy(tool, { readOnly = false, allowedTools = null } = {}) {
+    if (allowedTools && !allowedTools.has(tool.name)) return null;
+    if (!readOnly) return tool;
+    if (tool.mutating) return null;
+    if (!tool.mutatingArguments?.length) return tool;
+
+    const removed = new Set(tool.mutatingArguments);
+    const { inputSchema } = tool;
+    return {
+        ...tool,
+        inputSchema: {
+            ...inputSchema,
+            properties: Object.fromEntries(Object.entries(inputSchema.properties ?? {}).filter(([key]) => !removed.has(key))),
+            ...(inputSchema.required ? { required: inputSchema.required.filter(key => !removed.has(key)) } : {}),
+        },
+        mutatingArguments: [],
+    };
+}
+
+
+/** The error for a call of a tool the policy does not allow. */
+export function toolNotAllowed(tool, { allowedTools = null } = {}) {
+    const reason = allowedTools && !allowedTools.has(tool.name)
+        ? 'it is not in the allowed tools (NAVISWORKS_ALLOWED_TOOLS)'
+        : 'it changes the document or the selection and the client runs in read-only mode (NAVISWORKS_READ_ONLY)';
+    return new McpError(ErrorCode.InvalidRequest, `Tool ${tool.name} is disabled: ${reason}`);
+}
@@ -0,0 +1,122 @@
+// Minimal ZIP writer (deflate, no encryption) for the container formats the
+// client produces, such as .xlsx and .bcf. Archives with 65535 or more entries,
+// or whose central directory lies beyond 4 GiB, get the ZIP64 end records.
+
+import { deflateRawSync } from 'node:zlib';
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+
+export function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+
+const MAX_16 = 0xffff;
+const MAX_32 = 0xffffffff;
+
+
+// ZIP64 extended information extra field holding a local header offset.
+function zip64Offset(offset) {
+    const extra = Buffer.alloc(12);
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(8, 2);
+    extra.writeBigUInt64LE(BigInt(offset), 4);
+    return extra;
+}
+
+
+function zip64End(count, centralSize, centralOffset) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);            // size of the rest of the record
+    record.writeUInt16LE(45, 12);               // version made by
+    record.writeUInt16LE(45, 14);               // version needed
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(centralSize), 40);
+    record.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(centralOffset + centralSize), 8);
+    locator.writeUInt32LE(1, 16);               // number of disks
+    return [record, locator];
+}
+
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+
+/**
+ * Builds a ZIP archive from `[{ name, data }]` (data: string or Buffer) and
+ * returns it as a Buffer. Names use forward slashes.
+ */
+export function createZip(entries, { date = new Date() } = {}) {
+    const { time, day } = dosDateTime(date);
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const compressed = deflateRawSync(data);
+        const crc = crc32(data);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);            // version needed
+        header.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        header.writeUInt16LE(8, 8);             // deflate
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(day, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(0, 28);
+        local.push(header, name, compressed);
+
+        const extra = offset >= MAX_32 ? zip64Offset(offset) : Buffer.alloc(0);
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);            // version made by
+        record.writeUInt16LE(extra.length ? 45 : 20, 6);
+        record.writeUInt16LE(0x0800, 8);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt16LE(time, 12);
+        record.writeUInt16LE(day, 14);
+        record.writeUInt32LE(crc, 16);
+        record.writeUInt32LE(compressed.length, 20);
+        record.writeUInt32LE(data.length, 24);
+        record.writeUInt16LE(name.length, 28);
+        record.writeUInt16LE(extra.length, 30);
+        record.writeUInt32LE(Math.min(offset, MAX_32), 42);
+        central.push(record, name, extra);
+
+        offset += header.length + name.length + compressed.length;
+    }
+
+    const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+    const zip64 = entries.length >= MAX_16 || centralSize >= MAX_32 || offset >= MAX_32;
+    // With ZIP64 the fields that overflow hold their maximum and readers take the values from the ZIP64 record.
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(entries.length, MAX_16), 8);
+    end.writeUInt16LE(Math.min(entries.length, MAX_16), 10);
+    end.writeUInt32LE(Math.min(centralSize, MAX_32), 12);
+    end.writeUInt32LE(Math.min(offset, MAX_32), 16);
+
+    return Buffer.concat([...local, ...central, ...(zip64 ? zip64End(entries.length, centralSize, offset) : []), end]);
+}
@@ -1,16 +1,21 @@
 ﻿using System;
+using System.Collections.Generic;
 
 namespace waabe_navi_mcp_server.Contracts
 {
     /// <summary>
     /// Data transfer object representing a pair of elements that are in clash.
     /// - Used in clash detection results to identify the two colliding items.
-    /// - Properties 'a' and 'b' typically hold canonical IDs or element references.
+    /// - Properties 'a' and 'b' hold the canonical IDs of the two items.
+    /// - name: display name of the clash result (e.g. "Clash1").
+    /// - distance: penetration depth reported by Navisworks (negative for hard clashes).
     /// </summary>
     public sealed class ClashPairDto
     {
         public string a { get; set; }
         public string b { get; set; }
+        public string name { get; set; }
+        public double distance { get; set; }
     }
 
     /// <summary>
@@ -32,10 +37,12 @@ namespace waabe_navi_mcp_server.Contracts
     /// - Inherits from AI_MassageDto (base response class for API messages).
     /// - test_name: the name of the clash test executed.
     /// - results: number of detected clashes.
+    /// - pairs: the clashing items per result.
     /// </summary>
     public sealed class ClashSummaryDto : AI_MassageDto
     {
         public string test_name { get; set; }
         public int results { get; set; }
+        public List<ClashPairDto> pairs { get; set; } = new List<ClashPairDto>();
     }
 }
@@ -13,6 +13,15 @@ namespace waabe_navi_mcp_server.Contracts
         public string scope { get; set; }      // "all" | model_id
     }
 
+    /// <summary>
+    /// Query for the model overview.
+    /// - include_categories: also walk all items for the categories histogram (expensive on large models).
+    /// </summary>
+    public sealed class ModelOverviewQuery
+    {
+        public bool include_categories { get; set; }
+    }
+
     /// <summary>
     /// Query to search for items by property value.
     /// - Supports different operations (Equals, Contains, Wildcard, Range).
@@ -246,4 +246,28 @@ namespace waabe_navi_mcp_server.Contracts
     {
         public int affected { get; set; }
     }
+
+    /// <summary>
+    /// Describes a single RPC route as an MCP tool.
+    /// - inputSchema is a JSON schema object (type "object").
+    /// - mutating marks routes that change the document or the selection; set it for every
+    ///   route that does, the client treats a missing flag as mutating.
+    /// </summary>
+    public sealed class ToolDescriptorDto
+    {
+        public string name { get; set; } = "";
+        public string description { get; set; } = "";
+        public Dictionary<string, object> inputSchema { get; set; } = new Dictionary<string, object>();
+        public bool mutating { get; set; }
+    }
+
+    /// <summary>
+    /// Result of the "describe_tools" RPC.
+    /// - Lists all tools the server currently routes, including their input schemas.
+    /// </summary>
+    public sealed class ToolCatalogDto
+    {
+        public string server_version { get; set; } = "";
+        public List<ToolDescriptorDto> tools { get; set; } = new List<ToolDescriptorDto>();
+    }
 }
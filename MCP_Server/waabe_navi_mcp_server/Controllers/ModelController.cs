@@ -24,7 +24,8 @@ namespace waabe_navi_mcp_server.Controllers
         /// <summary>
         /// RPC method: "get_model_overview"
         /// - Returns an overview of all currently loaded models.
-        /// - No input parameters are required.
+        /// - Input: ModelOverviewQuery (optional include_categories, default false).
+        /// - The categories histogram is only filled with include_categories, as it walks every item.
         /// - Uses IModelQueryService to fetch details.
         /// - Returns RpcResponse&lt;ModelOverviewDto&gt;.
         /// Example: "Give me an overview of all loaded models."
@@ -35,8 +36,9 @@ namespace waabe_navi_mcp_server.Controllers
             {
                 return Wrap(() =>
                 {
+                    var q = _jss.ConvertToType<ModelOverviewQuery>(req.@params) ?? new ModelOverviewQuery();
                     var cts = new CancellationTokenSource(Settings.DefaultTimeoutMs);
-                    var dto = _svc.GetOverviewAsync(cts.Token).GetAwaiter().GetResult();
+                    var dto = _svc.GetOverviewAsync(q.include_categories, cts.Token).GetAwaiter().GetResult();
                     return RpcResponse<ModelOverviewDto>.Success(dto);
                 });
             }
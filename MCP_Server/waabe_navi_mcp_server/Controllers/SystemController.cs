@@ -1,6 +1,7 @@
 ﻿// Controllers/SystemController.cs
 using waabe_navi_mcp_server.Contracts;
 using waabe_navi_mcp_server.Infrastructure;
+using waabe_navi_mcp_server.Mapping;
 using static waabe_navi_mcp_server.Infrastructure.ErrorHandlingMiddleware;
 
 namespace waabe_navi_mcp_server.Controllers
@@ -42,5 +43,14 @@ namespace waabe_navi_mcp_server.Controllers
                 new System.Collections.Generic.List<string> {
                     "model","search","selection","visibility","export","system"
                 });
+
+        /// <summary>
+        /// RPC method: "describe_tools"
+        /// - Describes every routed RPC method as an MCP tool (name, description, input schema).
+        /// - Used by the MCP client at startup to build its tool list and argument validation.
+        /// - Output: RpcResponse&lt;ToolCatalogDto&gt;.
+        /// </summary>
+        public object DescribeTools(RpcRequest req)
+            => Wrap(() => RpcResponse<ToolCatalogDto>.Success(ToolCatalog.Build()));
     }
 }
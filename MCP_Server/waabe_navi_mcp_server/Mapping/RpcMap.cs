@@ -88,7 +88,8 @@ namespace waabe_navi_mcp_server.Mapping
             routes["run_simple_clash"] = wrap(clash.RunSimpleClash);
 
             // ---------- System ----------
-           // routes["ping"] = wrap(sys.Ping);
+            routes["describe_tools"] = wrap(sys.DescribeTools);
+            routes["ping"] = wrap(sys.Ping);
           //  routes["get_server_info"] = wrap(sys.GetServerInfo);
           //  routes["get_capabilities"] = wrap(sys.GetCapabilities);
 
@@ -0,0 +1,159 @@
+﻿// waabe_navi_mcp_server/Mapping/ToolCatalog.cs
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using waabe_navi_mcp_server.Contracts;
+using waabe_navi_mcp_server.Infrastructure;
+
+namespace waabe_navi_mcp_server.Mapping
+{
+    /// <summary>
+    /// Describes the RPC routes as MCP tools (name, description, JSON input schema).
+    /// - Single source of truth for the tool list the MCP client exposes.
+    /// - Only routes registered in RpcMap.BuildRoutes() are described.
+    /// - Routes without a descriptor are still listed (empty object schema) and
+    ///   marked mutating, so the client neither caches, retries nor offers them in read-only mode.
+    ///
+    /// Callers:
+    /// - SystemController.DescribeTools (RPC "describe_tools")
+    /// </summary>
+    public static class ToolCatalog
+    {
+        /// <summary>
+        /// Builds the catalog for all currently registered routes.
+        /// - Internal routes ("describe_tools", "ping", ...) are not exposed as tools.
+        /// </summary>
+        /// <returns>A populated ToolCatalogDto.</returns>
+        public static ToolCatalogDto Build()
+        {
+            var known = Descriptors().ToDictionary(d => d.name, StringComparer.OrdinalIgnoreCase);
+
+            var tools = RpcMap.BuildRoutes().Keys
+                .Where(k => !InternalRoutes.Contains(k))
+                .OrderBy(k => k, StringComparer.OrdinalIgnoreCase)
+                .Select(k => known.TryGetValue(k, out var d) ? d : new ToolDescriptorDto { name = k, inputSchema = Obj(), mutating = true })
+                .ToList();
+
+            return new ToolCatalogDto
+            {
+                server_version = Settings.ServerVersion,
+                tools = tools
+            };
+        }
+
+        // Routes used by the client itself, never surfaced as MCP tools.
+        private static readonly HashSet<string> InternalRoutes =
+            new HashSet<string>(StringComparer.OrdinalIgnoreCase) { "describe_tools", "ping", "get_server_info", "get_capabilities" };
+
+        private static IEnumerable<ToolDescriptorDto> Descriptors()
+        {
+            const string scopeHint = "\"all\" or list of model canonical_id / model name (separated by , ; or newlines)";
+
+            yield return Tool("get_model_overview",
+                "Provides an overview of the loaded models.",
+                Obj());
+
+            yield return Tool("get_units_and_tolerances",
+                "Length/area/volume units + tolerances.",
+                Obj());
+
+            yield return Tool("get_property_distribution_by_category",
+                "Overview of all models with property categories and counts.",
+                Obj());
+
+            yield return Tool("get_element_count_by_category",
+                "Counts elements of a category. scope=\"all\" (default) or list of model canonical_id / model name (comma, semicolon, newline).",
+                Obj(new Dictionary<string, object>
+                {
+                    ["category"] = Str("e.g. IfcSpace, Doors, Windows"),
+                    ["scope"] = Str(scopeHint, "all")
+                }, "category"));
+
+            yield return Tool("list_properties_for_item",
+                "Determines properties for an item.",
+                Obj(new Dictionary<string, object>
+                {
+                    ["canonical_id"] = Str("canonical_id of the item")
+                }, "canonical_id"));
+
+            yield return Tool("list_items_to_property",
+                "Lists items by category/property; optional model and value filters (substring, >=, <=, regex). modelFilter and scope accept IDs or model names; multiple tokens via , ; \\n.",
+                Obj(new Dictionary<string, object>
+                {
+                    ["category"] = Str(null),
+                    ["property"] = Str(null),
+                    ["scope"] = Str(scopeHint, "all"),
+                    ["modelFilter"] = new Dictionary<string, object>
+                    {
+                        ["oneOf"] = new object[]
+                        {
+                            Str("A token or comma-separated list"),
+                            new Dictionary<string, object>
+                            {
+                                ["type"] = "array",
+                                ["items"] = new Dictionary<string, object> { ["type"] = "string" },
+                                ["description"] = "List of tokens"
+                            }
+                        }
+                    },
+                    ["valueFilter"] = Str(null),
+                    ["ignoreCase"] = new Dictionary<string, object> { ["type"] = "boolean", ["default"] = true },
+                    ["maxResults"] = new Dictionary<string, object> { ["type"] = "number" }
+                }, "category", "property"));
+
+            yield return Tool("clear_selection",
+                "Clears selection.",
+                Obj(), mutating: true);
+
+            yield return Tool("get_current_selection_snapshot",
+                "Current selection as list.",
+                Obj());
+
+            yield return Tool("apply_selection",
+                "Sets selection. Input: canonical_id[].",
+                Obj(new Dictionary<string, object>
+                {
+                    ["canonical_id"] = new Dictionary<string, object>
+                    {
+                        ["type"] = "array",
+                        ["items"] = new Dictionary<string, object> { ["type"] = "string" }
+                    },
+                    ["keepExistingSelection"] = new Dictionary<string, object> { ["type"] = "boolean", ["default"] = true }
+                }, "canonical_id"), mutating: true);
+
+            yield return Tool("run_simple_clash",
+                "Runs a simple hard clash between two scopes. Input: scopeA, scopeB, tolerance_m?, test_name?",
+                Obj(new Dictionary<string, object>
+                {
+                    ["scopeA"] = Str(scopeHint, "all"),
+                    ["scopeB"] = Str(scopeHint, "all"),
+                    ["tolerance_m"] = new Dictionary<string, object> { ["type"] = "number", ["description"] = "Tolerance in meters", ["default"] = 0.01 },
+                    ["test_name"] = Str("Display name of the test", "MCP API Test")
+                }), mutating: true);
+        }
+
+        // --- Private Helpers ---
+
+        private static ToolDescriptorDto Tool(string name, string description, Dictionary<string, object> inputSchema, bool mutating = false)
+            => new ToolDescriptorDto { name = name, description = description, inputSchema = inputSchema, mutating = mutating };
+
+        private static Dictionary<string, object> Obj(Dictionary<string, object> properties = null, params string[] required)
+        {
+            var schema = new Dictionary<string, object>
+            {
+                ["type"] = "object",
+                ["properties"] = properties ?? new Dictionary<string, object>()
+            };
+            if (required != null && required.Length > 0) schema["required"] = required;
+            return schema;
+        }
+
+        private static Dictionary<string, object> Str(string description, string defaultValue = null)
+        {
+            var schema = new Dictionary<string, object> { ["type"] = "string" };
+            if (description != null) schema["description"] = description;
+            if (defaultValue != null) schema["default"] = defaultValue;
+            return schema;
+        }
+    }
+}
@@ -191,6 +191,59 @@ namespace waabe_navi_mcp_server.Services.Backends
 
 
 
+        /// <summary>
+        /// Safely collects the clashing item pairs of a <see cref="ClashTest"/>.
+        /// - Walks the same children as <see cref="CountClashResultsSafe"/> (results and result groups).
+        /// - Maps Item1/Item2 of each <see cref="ClashResult"/> to canonical IDs.
+        /// - Returns the pairs collected so far if the test is disposed or an error occurs.
+        /// </summary>
+        /// <param name="test">The clash test after it has been run.</param>
+        /// <returns>One <see cref="ClashPairDto"/> per clash result.</returns>
+        private List<ClashPairDto> CollectClashPairsSafe(Autodesk.Navisworks.Api.Clash.ClashTest test)
+        {
+            var pairs = new List<ClashPairDto>();
+            if (test?.Children == null) return pairs;
+
+            void Add(Autodesk.Navisworks.Api.Clash.ClashResult r)
+            {
+                pairs.Add(new ClashPairDto
+                {
+                    a = r.Item1 != null ? GetCanonicalId(r.Item1) : "",
+                    b = r.Item2 != null ? GetCanonicalId(r.Item2) : "",
+                    name = r.DisplayName ?? "",
+                    distance = r.Distance
+                });
+            }
+
+            try
+            {
+                foreach (Autodesk.Navisworks.Api.SavedItem child in test.Children.ToList())
+                {
+                    if (child is Autodesk.Navisworks.Api.Clash.ClashResult result)
+                    {
+                        Add(result);
+                    }
+                    else if (child is Autodesk.Navisworks.Api.Clash.ClashResultGroup g && g.Children != null)
+                    {
+                        foreach (Autodesk.Navisworks.Api.SavedItem c in g.Children.ToList())
+                        {
+                            if (c is Autodesk.Navisworks.Api.Clash.ClashResult r) Add(r);
+                        }
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                LogHelper.LogWarning($"[CLASH] CollectClashPairsSafe: exception after {pairs.Count} pairs ({ex.Message})");
+            }
+
+            LogHelper.LogEvent($"[CLASH] CollectClashPairsSafe => {pairs.Count}");
+            return pairs;
+        }
+
+
+
+
         /// <summary>
         /// RPC: run_simple_clash
         /// Purpose:
@@ -210,6 +263,7 @@ namespace waabe_navi_mcp_server.Services.Backends
         ///       * success flag
         ///       * test name
         ///       * result count
+        ///       * pairs (canonical IDs of the clashing items, see <see cref="CollectClashPairsSafe"/>)
         ///       * details (JSON with scope resolution info)
         /// Behavior:
         ///   - Uses <see cref="BuildSelectionWithPromotionIfCanonical"/> to resolve scopes.
@@ -287,6 +341,7 @@ namespace waabe_navi_mcp_server.Services.Backends
                     
                      
                     dto.results = CountClashResultsSafe(added);
+                    dto.pairs = CollectClashPairsSafe(fresh);
                     dto.message = $"ok; results={dto.results}";
 
                      
@@ -1375,6 +1430,9 @@ namespace waabe_navi_mcp_server.Services.Backends
         /// <summary>
         /// Builds an overview of the currently loaded Navisworks <see cref="Document"/>.  
         /// </summary>
+        /// <param name="includeCategories">
+        /// Also walk every item of every submodel to fill the categories histogram.  
+        /// </param>
         /// <param name="ct">
         /// A <see cref="CancellationToken"/> that can be used to cancel the operation early.  
         /// </param>
@@ -1383,7 +1441,9 @@ namespace waabe_navi_mcp_server.Services.Backends
         /// - The active document title.  
         /// - A list of all discovered submodels (<see cref="ModelDetailDto"/>).  
         /// - Total element counts (children + descendants).  
-        /// - Categories histogram (empty in fallback mode).  
+        /// - Categories histogram (only with <paramref name="includeCategories"/>): items per class  
+        ///   (<c>ClassDisplayName</c> / <c>ClassName</c>), the classes <see cref="CountByCategory"/> matches first;  
+        ///   the classes also make up <c>available_categories</c>.  
         /// </returns>
         /// <remarks>
         /// Behavior:
@@ -1391,6 +1451,9 @@ namespace waabe_navi_mcp_server.Services.Backends
         /// - Iterates all submodels using <see cref="ScanSubModels"/> (excluding containers).  
         /// - Each submodel contributes a <see cref="ModelDetailDto"/> with canonical ID,  
         ///   file and display names, children count, and descendants count.  
+        /// - With <paramref name="includeCategories"/> the walk that counts the descendants also fills  
+        ///   the categories histogram. Without it the histogram stays empty, so frequent callers  
+        ///   (revision checks, resource polling) do not read the class of every item.  
         /// - Increments <see cref="ModelOverviewDto.TotalElements"/> per submodel.  
         ///
         /// Logging:
@@ -1399,9 +1462,8 @@ namespace waabe_navi_mcp_server.Services.Backends
         ///
         /// Notes:
         /// - Submodels without a canonical ID are listed but cannot be selected.  
-        /// - This fallback implementation does not populate category histograms.  
         /// </remarks>
-        public Task<ModelOverviewDto> GetModelOverviewAsync(CancellationToken ct)
+        public Task<ModelOverviewDto> GetModelOverviewAsync(bool includeCategories, CancellationToken ct)
         {
             LogHelper.LogEvent("RPC get_model_overview (Fallback) gestartet.");
             var doc = RequireDocument();
@@ -1438,6 +1500,25 @@ namespace waabe_navi_mcp_server.Services.Backends
                     if (string.IsNullOrWhiteSpace(sm.CanonicalId))
                         LogHelper.LogError("[FALLBACK] ℹ️ Keine CanonicalId verfügbar → Modell in Übersicht, aber nicht selektierbar.", "GetModelOverviewAsync");
 
+                    var descendants = 0;
+                    if (!includeCategories)
+                    {
+                        descendants = sm.Root?.DescendantsAndSelf?.Count() ?? 0;
+                    }
+                    else
+                    {
+                        foreach (var item in sm.Root?.DescendantsAndSelf ?? Enumerable.Empty<ModelItem>())
+                        {
+                            if (ct.IsCancellationRequested) break;
+                            descendants++;
+
+                            var cls = SafeNameOrDefault(item?.ClassDisplayName, item?.ClassName, "");
+                            if (string.IsNullOrEmpty(cls)) continue;
+                            dto.categories_histogram.TryGetValue(cls, out var n);
+                            dto.categories_histogram[cls] = n + 1;
+                        }
+                    }
+
                     dto.TotalElements += sm.Root?.Children?.Count() ?? 0;
                     dto.Models.Add(new ModelDetailDto
                     {
@@ -1445,13 +1526,14 @@ namespace waabe_navi_mcp_server.Services.Backends
                         SourceFileName = NullSafe(sm.Ext),
                         DisplayName = NullSafe(sm.Display),
                         ChildrenCount = sm.Root?.Children?.Count() ?? 0,
-                        DescendantsCount = sm.Root?.DescendantsAndSelf?.Count() ?? 0,
+                        DescendantsCount = descendants,
                         canonical_id = NullSafe(sm.CanonicalId),
                         perent_canonical_id = GetCanonicalId(sm.Root?.Parent)
                     });
                 }
 
                 dto.ModelsCount = dto.Models.Count;
+                dto.available_categories = dto.categories_histogram.Keys.OrderBy(k => k, StringComparer.OrdinalIgnoreCase).ToList();
                 LogHelper.LogInfo($"[FALLBACK] ✅ ModelsCount (aus dto.Models.Count) = {dto.ModelsCount}");
                 LogHelper.LogSuccess($"[FALLBACK] get_model_overview: {dto.ModelsCount} Untermodell(e) gelistet.");
             }
@@ -13,9 +13,10 @@ namespace waabe_navi_mcp_server.Services.Backends
     public interface IWaabeNavisworksBackend
     {
         /// <summary>
-        /// Returns an overview of all currently loaded models, including categories and counts.
+        /// Returns an overview of all currently loaded models and their counts;
+        /// the categories histogram only with <paramref name="includeCategories"/>.
         /// </summary>
-        Task<ModelOverviewDto> GetModelOverviewAsync(CancellationToken ct);
+        Task<ModelOverviewDto> GetModelOverviewAsync(bool includeCategories, CancellationToken ct);
 
         /// <summary>
         /// Lists all models/submodels available in the current document.
@@ -104,10 +104,10 @@ namespace waabe_navi_mcp_server.Services.Backends
         /// - Preferred execution on UI thread if available.
         /// - Falls back to <see cref="FallbackBackend.GetModelOverviewAsync"/>.
         /// </summary>
-        public Task<ModelOverviewDto> GetModelOverviewAsync(CancellationToken ct)
+        public Task<ModelOverviewDto> GetModelOverviewAsync(bool includeCategories, CancellationToken ct)
               => TryUiCall(
-                  fbCall: () => _fb.GetModelOverviewAsync(ct),
-                  fbUiPreferredCall: () => _fb.GetModelOverviewAsync(ct),
+                  fbCall: () => _fb.GetModelOverviewAsync(includeCategories, ct),
+                  fbUiPreferredCall: () => _fb.GetModelOverviewAsync(includeCategories, ct),
                   opName: nameof(GetModelOverviewAsync));
 
         /// <summary>
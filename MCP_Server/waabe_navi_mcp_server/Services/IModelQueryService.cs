@@ -14,8 +14,9 @@ namespace waabe_navi_mcp_server.Services
         /// <summary>
         /// Retrieves an overview of the current model, including metadata,
         /// sub-models, categories, and total element counts.
+        /// The categories are only collected with <paramref name="includeCategories"/>.
         /// </summary>
-        Task<ModelOverviewDto> GetOverviewAsync(CancellationToken ct);
+        Task<ModelOverviewDto> GetOverviewAsync(bool includeCategories, CancellationToken ct);
 
         /// <summary>
         /// Retrieves the active document’s unit system and tolerance information.
@@ -25,12 +25,13 @@ namespace waabe_navi_mcp_server.Services.Implementations
         /// <summary>
         /// Retrieves a model overview from the backend.
         /// - Returns metadata about loaded models and their structure.
+        /// - Collects the categories histogram only if <paramref name="includeCategories"/> is set.
         /// - Cancellation is supported via <paramref name="ct"/>.
         /// </summary> 
-        public async Task<ModelOverviewDto> GetOverviewAsync(CancellationToken ct)
+        public async Task<ModelOverviewDto> GetOverviewAsync(bool includeCategories, CancellationToken ct)
         {
-              LogHelper.LogDebug("ModelQueryService.GetOverviewAsync()");
-              return await BE.GetModelOverviewAsync(ct).ConfigureAwait(false);
+              LogHelper.LogDebug($"ModelQueryService.GetOverviewAsync(includeCategories={includeCategories})");
+              return await BE.GetModelOverviewAsync(includeCategories, ct).ConfigureAwait(false);
         }
 
         /// <summary>